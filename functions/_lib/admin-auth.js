@@ -0,0 +1,135 @@
+// functions/_lib/admin-auth.js
+// Authentication for /api/admin/* endpoints.
+//
+// Two ways in, either of which is enough:
+//   - "Authorization: Bearer <ADMIN_API_TOKEN>" for scripts and the admin page
+//   - a Cloudflare Access JWT (Cf-Access-Jwt-Assertion header, or the
+//     CF_Authorization cookie) when the admin routes sit behind an Access
+//     application; needs ACCESS_TEAM_DOMAIN (e.g. "dtw.cloudflareaccess.com")
+//     and ACCESS_AUD (the application's audience tag)
+
+import { timingSafeEqual, base64UrlDecode } from './signing.js';
+
+// Access rotates its signing keys; re-fetch them every so often
+const CERTS_CACHE_MS = 10 * 60 * 1000;
+const CERTS_TIMEOUT_MS = 5000;
+// ...but not more than once a minute, however many unknown key ids turn up
+const CERTS_MIN_REFRESH_MS = 60 * 1000;
+let cachedCerts = null;
+
+// Resolves to { ok: true, identity } or { ok: false, status, message }
+export async function authenticateAdmin(request, env) {
+  const accessConfigured = Boolean(env.ACCESS_TEAM_DOMAIN && env.ACCESS_AUD);
+  if (!env.ADMIN_API_TOKEN && !accessConfigured) {
+    console.warn('Admin API not configured - set ADMIN_API_TOKEN or ACCESS_TEAM_DOMAIN and ACCESS_AUD');
+    return { ok: false, status: 503, message: 'Admin API not configured' };
+  }
+
+  const authorization = request.headers.get('Authorization') || '';
+  if (env.ADMIN_API_TOKEN && authorization.startsWith('Bearer ')) {
+    if (timingSafeEqual(authorization.slice(7).trim(), env.ADMIN_API_TOKEN)) {
+      return { ok: true, identity: 'token' };
+    }
+    return { ok: false, status: 401, message: 'Invalid token' };
+  }
+
+  const accessJwt = request.headers.get('Cf-Access-Jwt-Assertion') || readCookie(request, 'CF_Authorization');
+  if (accessConfigured && accessJwt) {
+    try {
+      const claims = await verifyAccessJwt(accessJwt, env);
+      return { ok: true, identity: claims.email || claims.sub };
+    } catch (error) {
+      console.warn('Access JWT rejected:', error.message);
+      return { ok: false, status: 403, message: 'Invalid Access token' };
+    }
+  }
+
+  return { ok: false, status: 401, message: 'Authentication required' };
+}
+
+// Verify an RS256 Access JWT against the team's published certs
+async function verifyAccessJwt(jwt, env) {
+  const [headerPart, payloadPart, signaturePart] = jwt.split('.');
+  if (!headerPart || !payloadPart || !signaturePart) {
+    throw new Error('malformed token');
+  }
+
+  const decode = part => JSON.parse(new TextDecoder().decode(base64UrlDecode(part)));
+  const header = decode(headerPart);
+  const claims = decode(payloadPart);
+
+  if (header.alg !== 'RS256') {
+    throw new Error(`unexpected algorithm ${header.alg}`);
+  }
+
+  const teamUrl = `https://${env.ACCESS_TEAM_DOMAIN.replace(/^https?:\/\//, '').replace(/\/$/, '')}`;
+  let jwk = (await loadAccessCerts(teamUrl)).find(key => key.kid === header.kid);
+  if (!jwk) {
+    // The keys may have rotated since they were cached
+    jwk = (await loadAccessCerts(teamUrl, { refresh: true })).find(key => key.kid === header.kid);
+  }
+  if (!jwk) {
+    throw new Error('unknown signing key');
+  }
+
+  const key = await crypto.subtle.importKey(
+    'jwk',
+    jwk,
+    { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+    false,
+    ['verify']
+  );
+  const valid = await crypto.subtle.verify(
+    'RSASSA-PKCS1-v1_5',
+    key,
+    base64UrlDecode(signaturePart),
+    new TextEncoder().encode(`${headerPart}.${payloadPart}`)
+  );
+  if (!valid) {
+    throw new Error('bad signature');
+  }
+
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (!audiences.includes(env.ACCESS_AUD)) {
+    throw new Error('wrong audience');
+  }
+  if (claims.iss !== teamUrl) {
+    throw new Error('wrong issuer');
+  }
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== 'number' || claims.exp < now) {
+    throw new Error('expired');
+  }
+  if (typeof claims.nbf === 'number' && claims.nbf > now) {
+    throw new Error('not yet valid');
+  }
+
+  return claims;
+}
+
+async function loadAccessCerts(teamUrl, { refresh = false } = {}) {
+  const age = cachedCerts && cachedCerts.teamUrl === teamUrl ? Date.now() - cachedCerts.fetchedAt : Infinity;
+  if (age < (refresh ? CERTS_MIN_REFRESH_MS : CERTS_CACHE_MS)) {
+    return cachedCerts.keys;
+  }
+
+  const response = await fetch(`${teamUrl}/cdn-cgi/access/certs`, {
+    signal: AbortSignal.timeout(CERTS_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    throw new Error(`certs responded ${response.status}`);
+  }
+
+  const { keys = [] } = await response.json();
+  cachedCerts = { teamUrl, keys, fetchedAt: Date.now() };
+  return keys;
+}
+
+function readCookie(request, name) {
+  const cookies = request.headers.get('Cookie') || '';
+  for (const cookie of cookies.split(';')) {
+    const [key, ...value] = cookie.trim().split('=');
+    if (key === name) return value.join('=');
+  }
+  return null;
+}
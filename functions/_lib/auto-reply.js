@@ -0,0 +1,82 @@
+// functions/_lib/auto-reply.js
+// Confirmation email sent to whoever fills in the contact form.
+// Copy follows the site's lowercase voice; proper nouns keep their capitals.
+
+import { SITE_URL, SUBSTACK_URL } from './site.js';
+import { escapeHtml } from './http.js';
+
+const BOOK_URL = 'https://www.barnesandnoble.com/w/re-rooting-courtney-chandrea/1136433466';
+const SERIES_URL = `${SUBSTACK_URL}/t/the-ecology-of-the-zodiac`;
+
+// Per-service copy, keyed by the lowercase `service` value from the form.
+// Each entry is a list of paragraphs plus an optional link.
+const SERVICE_COPY = {
+  'birth chart reading': {
+    subject: 'your birth chart reading inquiry',
+    paragraphs: [
+      'thank you for reaching out about a birth chart reading. i\'ll be in touch within a few days to find a time for our 60-minute session together.',
+      'readings are offered on a sliding scale. thank you for sharing your birth details - if you turn up a more exact birth time before we meet, just reply to this email with it.'
+    ]
+  },
+  're-rooting book': {
+    subject: 'thank you for your interest in Re-Rooting',
+    paragraphs: [
+      'thank you for writing about Re-Rooting: a Landmark Map to the Wild Soul. i\'ll reply to your note personally soon.',
+      'in the meantime, the illustrated ebook is available to purchase whenever you\'re ready - it works well as a personal twelve-week curriculum or with a group.'
+    ],
+    link: { label: 'get the book', url: BOOK_URL }
+  },
+  'ecology of the zodiac series': {
+    subject: 'about the ecology of the zodiac',
+    paragraphs: [
+      'thank you for writing about the ecology of the zodiac. i love hearing how the series lands with people, and i\'ll reply soon.',
+      'new installments arrive monthly and are free to read; subscribers can also explore the full archive.'
+    ],
+    link: { label: 'read the series', url: SERIES_URL }
+  },
+  'general inquiry': {
+    subject: 'i received your message',
+    paragraphs: [
+      'thank you for reaching out. your message arrived safely and i\'ll get back to you within a few days.'
+    ]
+  }
+};
+
+// Build the confirmation for a submission.
+// Returns { subject, html, text }.
+export function buildAutoReply({ name, service, message }) {
+  const copy = SERVICE_COPY[String(service || '').trim().toLowerCase()] || SERVICE_COPY['general inquiry'];
+  const firstName = String(name || '').trim().split(/\s+/)[0] || 'there';
+  const signOff = ['warmly,', 'Courtney', 'dream the wilderness'];
+
+  const html = `
+    <div style="font-family: Georgia, serif; color: #3d2914; max-width: 560px; line-height: 1.6;">
+      <p>hi ${escapeHtml(firstName)},</p>
+      ${copy.paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('\n      ')}
+      ${copy.link ? `<p><a href="${escapeHtml(copy.link.url)}" style="color: #8b755d;">${escapeHtml(copy.link.label)}</a></p>` : ''}
+      <p>here's a copy of what you sent:</p>
+      <div style="background: #f2f2e3; padding: 15px; border-radius: 5px;">
+        ${escapeHtml(message).replace(/\n/g, '<br>')}
+      </div>
+      <p>${signOff.map(escapeHtml).join('<br>')}</p>
+      <hr>
+      <p><small>you're receiving this because this address was entered on the contact form at <a href="${SITE_URL}" style="color: #8b755d;">dreamthewilderness.com</a>. just reply to this email if you need to add anything.</small></p>
+    </div>
+  `;
+
+  const text = [
+    `hi ${firstName},`,
+    ...copy.paragraphs,
+    ...(copy.link ? [`${copy.link.label}: ${copy.link.url}`] : []),
+    `here's a copy of what you sent:\n\n${quote(message)}`,
+    signOff.join('\n'),
+    '--',
+    `you're receiving this because this address was entered on the contact form at ${SITE_URL}. just reply to this email if you need to add anything.`
+  ].join('\n\n');
+
+  return { subject: copy.subject, html, text };
+}
+
+function quote(text) {
+  return String(text || '').split('\n').map(line => `> ${line}`).join('\n');
+}
@@ -0,0 +1,95 @@
+// functions/_lib/booking-emails.js
+// Emails sent when a reading is booked: a confirmation to the guest and a
+// notification to the owner, each with an .ics invite attached. Copy follows
+// the site's lowercase voice, like auto-reply.js.
+
+import { buildCalendar } from './ical.js';
+import { bookingEvent, bookingFeedUrl } from './bookings.js';
+import { textAttachment } from './email.js';
+import { SITE_AUTHOR } from './site.js';
+import { escapeHtml } from './http.js';
+
+// Confirmation for the guest. Returns { subject, html, text, attachments }.
+export function buildBookingConfirmation(booking, { ownerEmail }) {
+  const firstName = String(booking.name || '').trim().split(/\s+/)[0] || 'there';
+  const when = formatWhen(booking.start, booking.guestTimeZone || booking.timeZone);
+  const paragraphs = [
+    `your birth chart reading is booked for ${when}.`,
+    'it\'s a 60-minute session on a sliding scale. i\'ll be in touch before we meet with how we\'ll connect and, if i don\'t have them yet, to ask for your birth date, time and place.',
+    'the invite attached to this email will add the session to your calendar. if you need to change or cancel, just reply to this email.'
+  ];
+  const signOff = ['warmly,', 'Courtney', 'dream the wilderness'];
+
+  const html = `
+    <div style="font-family: Georgia, serif; color: #3d2914; max-width: 560px; line-height: 1.6;">
+      <p>hi ${escapeHtml(firstName)},</p>
+      ${paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('\n      ')}
+      <p>${signOff.map(escapeHtml).join('<br>')}</p>
+    </div>
+  `;
+  const text = [`hi ${firstName},`, ...paragraphs, signOff.join('\n')].join('\n\n');
+
+  return {
+    subject: `your reading with ${SITE_AUTHOR.split(' ')[0]} is booked`,
+    html,
+    text,
+    attachments: [invite(booking, ownerEmail, false)]
+  };
+}
+
+// Notification for the owner. Returns { subject, html, text, attachments }.
+export function buildBookingNotification(booking, { ownerEmail, env }) {
+  const when = formatWhen(booking.start, booking.timeZone);
+  const guestWhen = booking.guestTimeZone && booking.guestTimeZone !== booking.timeZone
+    ? formatWhen(booking.start, booking.guestTimeZone)
+    : null;
+  const feedUrl = bookingFeedUrl(env);
+
+  const html = `
+    <h2>New Reading Booked</h2>
+    <p><strong>When:</strong> ${escapeHtml(when)}${guestWhen ? ` (${escapeHtml(guestWhen)} for them)` : ''}</p>
+    <p><strong>Name:</strong> ${escapeHtml(booking.name)}</p>
+    <p><strong>Email:</strong> ${escapeHtml(booking.email)}</p>
+    ${booking.notes ? `<p><strong>Notes:</strong></p>
+    <div style="background: #f5f5f5; padding: 15px; border-radius: 5px;">
+      ${escapeHtml(booking.notes).replace(/\n/g, '<br>')}
+    </div>` : ''}
+    <hr>
+    <p><small>Booking ${escapeHtml(booking.id)}.${feedUrl ? ` Subscribe to all bookings in your calendar app: <a href="${escapeHtml(feedUrl)}">${escapeHtml(feedUrl)}</a> (private - don't share it)` : ' Set BOOKING_FEED_TOKEN for a calendar feed of all bookings.'}</small></p>
+  `;
+
+  const text = [
+    'New reading booked',
+    `When: ${when}${guestWhen ? ` (${guestWhen} for them)` : ''}`,
+    `Name: ${booking.name}`,
+    `Email: ${booking.email}`,
+    booking.notes ? `Notes:\n${booking.notes}` : null,
+    feedUrl ? `Calendar feed (private): ${feedUrl}` : null
+  ].filter(Boolean).join('\n\n');
+
+  return {
+    subject: `New Reading Booked: ${when}`,
+    html,
+    text,
+    attachments: [invite(booking, ownerEmail, true)]
+  };
+}
+
+function invite(booking, ownerEmail, forOwner) {
+  const calendar = buildCalendar([bookingEvent(booking, ownerEmail, { forOwner })]);
+  return textAttachment('reading.ics', calendar, 'text/calendar; charset=utf-8');
+}
+
+// "Tuesday, November 3, 2026 at 10:00 AM CST"
+function formatWhen(iso, timeZone) {
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZoneName: 'short'
+  }).format(new Date(iso));
+}
@@ -0,0 +1,291 @@
+// functions/_lib/bookings.js
+// Reading bookings: the owner's availability rules, open 60-minute slots,
+// and reservations. Rules and bookings live in BOOKINGS_KV:
+//
+//   availability_rules       the owner's rules (edited via /api/admin/booking-rules)
+//   booking_<start ms>_<id>  the booking itself, kept for the contact retention
+//                            period after the session
+//
+// Claims on slots live in the BOOKINGS_DB D1 database instead, in a
+// slot_claims table keyed by start time (migrations/0001_slot_claims.sql).
+// KV has no compare-and-set, so two guests could both win a KV claim; the
+// table's primary key lets exactly one insert through.
+//
+// Rules look like:
+//   {
+//     "timeZone": "America/Chicago",
+//     "weekly": { "tuesday": [{ "start": "10:00", "end": "14:00" }], ... },
+//     "blackouts": [{ "from": "2026-12-20", "to": "2027-01-02" }],
+//     "minNoticeHours": 24,
+//     "horizonDays": 60
+//   }
+// Window times are wall-clock times in the rules' time zone, so DST is
+// followed automatically. Blackouts cover whole days, `to` included.
+
+import { localTimeToUtc, utcOffsetMinutes } from './timezone.js';
+import { emailFingerprint, retentionDays } from './contacts.js';
+import { SITE_URL, SITE_AUTHOR } from './site.js';
+
+export const SLOT_MINUTES = 60;
+export const BOOKING_PREFIX = 'booking_';
+const RULES_KEY = 'availability_rules';
+
+export const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const DEFAULT_RULES = {
+  timeZone: 'America/Chicago',
+  weekly: {},
+  blackouts: [],
+  minNoticeHours: 24,
+  horizonDays: 60
+};
+
+const MAX_HORIZON_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SLOT_MS = SLOT_MINUTES * 60 * 1000;
+
+// Rules from KV, or the defaults (no open hours) if none are saved yet
+export async function loadBookingRules(kv) {
+  const stored = kv ? await kv.get(RULES_KEY, 'json') : null;
+  if (!stored) {
+    console.warn('No booking rules saved yet - set them via /api/admin/booking-rules');
+    return { ...DEFAULT_RULES };
+  }
+  return { ...DEFAULT_RULES, ...stored };
+}
+
+export async function saveBookingRules(kv, rules) {
+  await kv.put(RULES_KEY, JSON.stringify(rules));
+}
+
+// Check rules sent by the owner. Resolves to { rules } or { error }.
+export function parseBookingRules(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Rules must be a JSON object' };
+  }
+
+  const rules = { ...DEFAULT_RULES, ...input };
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: rules.timeZone });
+  } catch (error) {
+    return { error: `Unknown time zone "${rules.timeZone}"` };
+  }
+
+  if (!rules.weekly || typeof rules.weekly !== 'object' || Array.isArray(rules.weekly)) {
+    return { error: 'weekly must map weekday names to lists of { start, end } windows' };
+  }
+  const weekly = {};
+  for (const [day, windows] of Object.entries(rules.weekly)) {
+    const weekday = day.toLowerCase();
+    if (!WEEKDAYS.includes(weekday)) {
+      return { error: `Unknown weekday "${day}"` };
+    }
+    if (!Array.isArray(windows)) {
+      return { error: `weekly.${day} must be a list of { start, end } windows` };
+    }
+    for (const window of windows) {
+      const start = minutesOfDay(window && window.start);
+      const end = minutesOfDay(window && window.end);
+      if (start === null || end === null || end - start < SLOT_MINUTES) {
+        return { error: `weekly.${day} has an invalid window - use "HH:MM" times at least ${SLOT_MINUTES} minutes apart` };
+      }
+    }
+    weekly[weekday] = windows.map(({ start, end }) => ({ start, end }));
+  }
+
+  if (!Array.isArray(rules.blackouts)) {
+    return { error: 'blackouts must be a list of { from, to } dates' };
+  }
+  const blackouts = [];
+  for (const blackout of rules.blackouts) {
+    const from = blackout && blackout.from;
+    const to = (blackout && blackout.to) || from;
+    if (!isDateString(from) || !isDateString(to) || to < from) {
+      return { error: 'Each blackout needs a "from" date and an optional "to" date (YYYY-MM-DD, not before "from")' };
+    }
+    blackouts.push(blackout.note ? { from, to, note: String(blackout.note).slice(0, 200) } : { from, to });
+  }
+
+  const minNoticeHours = Number(rules.minNoticeHours);
+  const horizonDays = Number(rules.horizonDays);
+  if (!Number.isFinite(minNoticeHours) || minNoticeHours < 0) {
+    return { error: 'minNoticeHours must be zero or more' };
+  }
+  if (!Number.isInteger(horizonDays) || horizonDays < 1 || horizonDays > MAX_HORIZON_DAYS) {
+    return { error: `horizonDays must be a whole number from 1 to ${MAX_HORIZON_DAYS}` };
+  }
+
+  return { rules: { timeZone: rules.timeZone, weekly, blackouts, minNoticeHours, horizonDays } };
+}
+
+// Start times (ISO) of every slot that is currently claimed
+export async function bookedSlotStarts(db, now = Date.now()) {
+  const { results } = await db
+    .prepare('SELECT start FROM slot_claims WHERE expires_at > ?')
+    .bind(now)
+    .all();
+  return new Set(results.map(row => row.start));
+}
+
+// Open slots starting within [fromMs, untilMs), limited by the rules' notice
+// period and horizon. Returns [{ start, end }] as ISO strings.
+export function openSlots(rules, booked, { fromMs, untilMs, now = Date.now() }) {
+  const earliest = Math.max(fromMs, now + rules.minNoticeHours * 60 * 60 * 1000);
+  const latest = Math.min(untilMs, now + rules.horizonDays * DAY_MS);
+  const slots = [];
+
+  // Walk the local calendar days that overlap the range
+  let date = localDate(rules.timeZone, earliest);
+  const lastDate = localDate(rules.timeZone, latest);
+  while (date <= lastDate) {
+    const weekday = WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+    const blackedOut = rules.blackouts.some(({ from, to }) => date >= from && date <= (to || from));
+
+    if (!blackedOut) {
+      for (const window of rules.weekly[weekday] || []) {
+        const windowEnd = minutesOfDay(window.end);
+        for (let minutes = minutesOfDay(window.start); minutes + SLOT_MINUTES <= windowEnd; minutes += SLOT_MINUTES) {
+          const converted = localTimeToUtc(date, formatMinutes(minutes), rules.timeZone);
+          // Skip wall-clock times the clocks jump over
+          if (converted.note === 'nonexistent') continue;
+
+          const startMs = Date.parse(converted.utc);
+          if (startMs < earliest || startMs >= latest || booked.has(converted.utc)) continue;
+          slots.push({ start: converted.utc, end: new Date(startMs + SLOT_MS).toISOString() });
+        }
+      }
+    }
+
+    date = new Date(Date.parse(`${date}T00:00:00Z`) + DAY_MS).toISOString().slice(0, 10);
+  }
+
+  return slots.sort((a, b) => a.start.localeCompare(b.start));
+}
+
+// Is `startIso` one of the slots the rules offer right now (ignoring claims)?
+export function isOfferedSlot(rules, startIso, now = Date.now()) {
+  const startMs = Date.parse(startIso);
+  if (!Number.isFinite(startMs)) return false;
+  return openSlots(rules, new Set(), { fromMs: startMs - DAY_MS, untilMs: startMs + DAY_MS, now })
+    .some(slot => Date.parse(slot.start) === startMs);
+}
+
+// Reserve a slot for a booking. The insert only goes through if no live
+// claim holds the start time; lapsed claims are cleared in the same
+// transaction so their rows don't pile up.
+// Resolves to true if the slot is now held for `bookingId`.
+export async function claimSlot(db, startIso, bookingId, now = Date.now()) {
+  // Kept until a day after the session, when the slot can't be offered anyway
+  const expiresAt = Date.parse(startIso) + SLOT_MS + DAY_MS;
+  const [, claim] = await db.batch([
+    db.prepare('DELETE FROM slot_claims WHERE expires_at <= ?').bind(now),
+    db.prepare('INSERT OR IGNORE INTO slot_claims (start, booking_id, expires_at) VALUES (?, ?, ?)')
+      .bind(startIso, bookingId, expiresAt)
+  ]);
+  return claim.meta.changes === 1;
+}
+
+// Free a slot, but only if `bookingId` is the booking holding it
+export async function releaseSlot(db, startIso, bookingId) {
+  await db
+    .prepare('DELETE FROM slot_claims WHERE start = ? AND booking_id = ?')
+    .bind(startIso, bookingId)
+    .run();
+}
+
+export function newBookingId(startIso) {
+  return `${BOOKING_PREFIX}${Date.parse(startIso)}_${crypto.randomUUID().slice(0, 8)}`;
+}
+
+// Store a booking until the retention period after its session has passed
+export async function saveBooking(kv, env, record) {
+  const expiresAt = Date.parse(record.end) + retentionDays(env) * DAY_MS;
+  await kv.put(record.id, JSON.stringify(record), {
+    expirationTtl: Math.max(60, Math.floor((expiresAt - Date.now()) / 1000)),
+    metadata: {
+      start: record.start,
+      status: record.status,
+      emailHash: await emailFingerprint(record.email)
+    }
+  });
+}
+
+// Every booking, oldest session first. Resolves to [record].
+export async function listBookings(kv) {
+  const bookings = [];
+  let cursor;
+  do {
+    const page = await kv.list({ prefix: BOOKING_PREFIX, cursor });
+    for (const key of page.keys) {
+      const record = await kv.get(key.name, 'json');
+      if (record) bookings.push(record);
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return bookings.sort((a, b) => a.start.localeCompare(b.start));
+}
+
+// Every booking made with an address. Resolves to [{ id, record }].
+export async function findBookingsByEmail(kv, email) {
+  const fingerprint = await emailFingerprint(email);
+  const found = [];
+  let cursor;
+  do {
+    const page = await kv.list({ prefix: BOOKING_PREFIX, cursor });
+    for (const key of page.keys) {
+      if (!key.metadata || key.metadata.emailHash !== fingerprint) continue;
+      const record = await kv.get(key.name, 'json');
+      if (record) found.push({ id: key.name, record });
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return found;
+}
+
+// Calendar date in a time zone at an instant, as YYYY-MM-DD
+export function localDate(timeZone, epochMs) {
+  return new Date(epochMs + utcOffsetMinutes(timeZone, epochMs) * 60000).toISOString().slice(0, 10);
+}
+
+// Private iCal feed URL for the owner, or null when BOOKING_FEED_TOKEN isn't set
+export function bookingFeedUrl(env) {
+  if (!env.BOOKING_FEED_TOKEN) return null;
+  return `${SITE_URL}/api/bookings/feed.ics?token=${encodeURIComponent(env.BOOKING_FEED_TOKEN)}`;
+}
+
+// A booking as a calendar event - titled with the guest's name in the
+// owner's copies and with the reader's name in the guest's
+export function bookingEvent(booking, ownerEmail, { forOwner = false } = {}) {
+  return {
+    uid: `${booking.id}@dreamthewilderness.com`,
+    start: booking.start,
+    end: booking.end,
+    created: booking.createdAt,
+    summary: forOwner ? `birth chart reading: ${booking.name}` : `birth chart reading with ${SITE_AUTHOR}`,
+    description: [
+      `60-minute birth chart reading with ${SITE_AUTHOR}.`,
+      booking.notes ? `notes: ${booking.notes}` : null,
+      `questions or changes: reply to your confirmation email or write to ${ownerEmail}.`
+    ].filter(Boolean).join('\n\n'),
+    url: `${SITE_URL}/reading`,
+    organizer: { name: SITE_AUTHOR, email: ownerEmail },
+    attendee: { name: booking.name, email: booking.email },
+    status: booking.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'
+  };
+}
+
+function isDateString(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+// "HH:MM" -> minutes after midnight, or null
+function minutesOfDay(value) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(value || '');
+  if (value === '24:00') return 24 * 60;
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+function formatMinutes(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
@@ -0,0 +1,191 @@
+// functions/_lib/contacts.js
+// Storage for contact form submissions in CONTACTS_KV.
+//
+// Each record lives under contact_<timestamp>_<rand> and expires after the
+// retention period (CONTACT_RETENTION_DAYS, 90 by default). A small copy of
+// the filterable fields rides along as KV metadata so the admin list and
+// privacy requests can find records without reading every one.
+
+import { sha256Hex } from './signing.js';
+
+export const CONTACT_PREFIX = 'contact_';
+export const CONTACT_STATUSES = ['new', 'replied', 'archived'];
+
+const DEFAULT_RETENTION_DAYS = 90;
+const MAX_RETENTION_DAYS = 365;
+
+// KV metadata is capped at 1024 bytes, so long free-text values are trimmed
+const METADATA_SERVICE_LIMIT = 100;
+
+export function isContactId(id) {
+  return /^contact_\d+_[a-z0-9]*$/.test(id || '');
+}
+
+// Retention in days from CONTACT_RETENTION_DAYS, falling back to the default
+export function retentionDays(env) {
+  const days = parseInt(env.CONTACT_RETENTION_DAYS, 10);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_RETENTION_DAYS) {
+    if (env.CONTACT_RETENTION_DAYS) {
+      console.warn(`Ignoring CONTACT_RETENTION_DAYS="${env.CONTACT_RETENTION_DAYS}", expected 1-${MAX_RETENTION_DAYS}`);
+    }
+    return DEFAULT_RETENTION_DAYS;
+  }
+  return days;
+}
+
+// Write a record. The expiry is fixed when the record is first saved
+// (`expiresAt`), so later updates don't extend it
+export async function saveContact(kv, id, record) {
+  const expiresAt = Date.parse(record.expiresAt) ||
+    Date.parse(record.timestamp) + DEFAULT_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  // KV's minimum TTL is 60 seconds
+  const expirationTtl = Math.max(60, Math.floor((expiresAt - Date.now()) / 1000));
+
+  await kv.put(id, JSON.stringify(record), {
+    expirationTtl,
+    metadata: {
+      ...contactMetadata(record),
+      emailHash: await emailFingerprint(record.email)
+    }
+  });
+}
+
+// Record how the owner's notification for a message went ('sent', 'pending'
+// or 'failed'). Does nothing if the record has expired or been erased.
+export async function updateDeliveryStatus(kv, id, deliveryStatus) {
+  const record = await kv.get(id, 'json');
+  if (!record || record.deliveryStatus === deliveryStatus) return;
+  await saveContact(kv, id, { ...record, deliveryStatus });
+}
+
+// Every stored record for an address, oldest first.
+// Resolves to [{ id, record }].
+export async function findContactsByEmail(kv, email) {
+  const fingerprint = await emailFingerprint(email);
+  const found = [];
+
+  let listCursor;
+  do {
+    const page = await kv.list({ prefix: CONTACT_PREFIX, cursor: listCursor });
+    for (const key of page.keys) {
+      const knownHash = key.metadata && key.metadata.emailHash;
+      if (knownHash && knownHash !== fingerprint) continue;
+
+      // Records written before the hash was added have to be read to check
+      const record = await kv.get(key.name, 'json');
+      if (record && await emailFingerprint(record.email) === fingerprint) {
+        found.push({ id: key.name, record });
+      }
+    }
+    listCursor = page.list_complete ? null : page.cursor;
+  } while (listCursor);
+
+  return found;
+}
+
+// Stable, non-reversible key for an address (case and whitespace ignored)
+export async function emailFingerprint(email) {
+  const normalized = String(email || '').trim().toLowerCase();
+  return (await sha256Hex(normalized)).slice(0, 32);
+}
+
+export function contactMetadata(record) {
+  return {
+    timestamp: record.timestamp,
+    service: String(record.service || '').slice(0, METADATA_SERVICE_LIMIT),
+    spamStatus: record.spamStatus || 'ok',
+    status: record.status || 'new'
+  };
+}
+
+// Read filters from a query string.
+// Returns { filters } or { error } with a message for a 400 response.
+export function parseContactFilters(params) {
+  const filters = {};
+
+  const service = (params.get('service') || '').trim().toLowerCase();
+  if (service) filters.service = service;
+
+  const spam = params.get('spam');
+  if (spam) {
+    if (!['ok', 'suspect'].includes(spam)) {
+      return { error: 'spam must be "ok" or "suspect"' };
+    }
+    filters.spamStatus = spam;
+  }
+
+  const status = params.get('status');
+  if (status) {
+    if (!CONTACT_STATUSES.includes(status)) {
+      return { error: `status must be one of ${CONTACT_STATUSES.join(', ')}` };
+    }
+    filters.status = status;
+  }
+
+  for (const name of ['from', 'to']) {
+    const value = params.get(name);
+    if (!value) continue;
+
+    let time = Date.parse(value);
+    if (Number.isNaN(time)) {
+      return { error: `${name} must be a date such as 2025-01-31` };
+    }
+    // A bare date as the upper bound means "through the end of that day"
+    if (name === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      time += 24 * 60 * 60 * 1000 - 1;
+    }
+    filters[name] = time;
+  }
+
+  return { filters };
+}
+
+// Matching records, newest first. `cursor` is the id of the last record on
+// the previous page. Resolves to { items, total, nextCursor }.
+export async function queryContacts(kv, filters = {}, { cursor = null, limit = Infinity } = {}) {
+  const matches = [];
+  let listCursor;
+  do {
+    const page = await kv.list({ prefix: CONTACT_PREFIX, cursor: listCursor });
+    for (const key of page.keys) {
+      // Records written before metadata was added need a read to filter
+      const metadata = key.metadata || contactMetadata(await kv.get(key.name, 'json') || {});
+      if (matchesFilters(metadata, filters)) {
+        matches.push(key.name);
+      }
+    }
+    listCursor = page.list_complete ? null : page.cursor;
+  } while (listCursor);
+
+  // Keys embed a fixed-width millisecond timestamp, so they sort by age
+  matches.sort().reverse();
+
+  const start = cursor ? matches.findIndex(id => id < cursor) : 0;
+  const pageIds = start === -1 ? [] : matches.slice(start, start + limit);
+  const records = await Promise.all(pageIds.map(id => kv.get(id, 'json')));
+
+  const items = [];
+  pageIds.forEach((id, index) => {
+    // Skip anything that expired between the list and the read
+    if (records[index]) {
+      items.push({ id, ...records[index], status: records[index].status || 'new' });
+    }
+  });
+
+  const hasMore = start !== -1 && start + limit < matches.length;
+  return {
+    items,
+    total: matches.length,
+    nextCursor: hasMore ? pageIds[pageIds.length - 1] : null
+  };
+}
+
+function matchesFilters(metadata, filters) {
+  const time = Date.parse(metadata.timestamp);
+  if (filters.service && String(metadata.service || '').toLowerCase() !== filters.service) return false;
+  if (filters.spamStatus && (metadata.spamStatus || 'ok') !== filters.spamStatus) return false;
+  if (filters.status && (metadata.status || 'new') !== filters.status) return false;
+  if (filters.from !== undefined && !(time >= filters.from)) return false;
+  if (filters.to !== undefined && !(time <= filters.to)) return false;
+  return true;
+}
@@ -0,0 +1,168 @@
+// functions/_lib/csp.js
+// Content Security Policy for HTML pages, applied by functions/_middleware.js.
+//
+// Every HTML response gets a fresh nonce. HTMLRewriter stamps it on each
+// <script> element of the page as served - before the middleware prerenders
+// feed content into it - and the policy only runs scripts carrying it;
+// 'strict-dynamic' then trusts whatever those scripts load (module imports,
+// Turnstile's own files). Inline event handlers like onclick="" never run, so
+// the site's scripts attach listeners instead.
+//
+// The policy is sent as Content-Security-Policy-Report-Only until
+// CSP_ENFORCE is 'true', so violations can be reviewed before anything is
+// blocked. Browsers post them to /api/csp-report, which only collects them:
+// they're deduplicated into CSP_REPORTS_KV (or CONTACTS_KV) under
+// csp_<fingerprint> keys for 30 days, and read from there, e.g. with
+// `wrangler kv key list --namespace-id <id> --prefix csp_` or the
+// dashboard's KV viewer.
+
+import { base64UrlEncode, sha256Hex } from './signing.js';
+import { embedOrigins } from './embeds.js';
+
+export const CSP_REPORT_PATH = '/api/csp-report';
+const REPORT_GROUP = 'csp-endpoint';
+
+// Style attributes are used throughout the pages, and a nonce in style-src
+// would switch 'unsafe-inline' off, so styles aren't nonce-checked. Frames
+// are Turnstile's challenge plus the players posts may embed.
+export function buildPolicy(nonce) {
+  return [
+    "default-src 'self'",
+    `script-src 'nonce-${nonce}' 'strict-dynamic' https: 'unsafe-inline'`,
+    "style-src 'self' 'unsafe-inline'",
+    "img-src 'self' data: https:",
+    "font-src 'self'",
+    "connect-src 'self'",
+    `frame-src https://challenges.cloudflare.com ${embedOrigins().join(' ')}`,
+    "object-src 'none'",
+    "base-uri 'none'",
+    "form-action 'self'",
+    "frame-ancestors 'none'",
+    `report-uri ${CSP_REPORT_PATH}`,
+    `report-to ${REPORT_GROUP}`
+  ].join('; ');
+}
+
+function createNonce() {
+  return base64UrlEncode(crypto.getRandomValues(new Uint8Array(16)));
+}
+
+// Add the policy to an HTML response, nonce its scripts and return the new
+// response. Anything that isn't HTML, or already has a policy, is returned as-is.
+export function applyContentSecurityPolicy(env, response) {
+  const contentType = response.headers.get('Content-Type') || '';
+  if (!contentType.includes('text/html') || !response.body) return response;
+  if (response.headers.has('Content-Security-Policy') || response.headers.has('Content-Security-Policy-Report-Only')) {
+    return response;
+  }
+
+  const nonce = createNonce();
+  const transformed = new HTMLRewriter()
+    .on('script', {
+      element(element) {
+        element.setAttribute('nonce', nonce);
+      }
+    })
+    .transform(response);
+  const rewritten = new Response(transformed.body, transformed);
+
+  const headerName = env.CSP_ENFORCE === 'true' ? 'Content-Security-Policy' : 'Content-Security-Policy-Report-Only';
+  rewritten.headers.set(headerName, buildPolicy(nonce));
+  rewritten.headers.set('Reporting-Endpoints', `${REPORT_GROUP}="${CSP_REPORT_PATH}"`);
+  // A revalidated copy would keep the old nonce against a new header, so the
+  // page is always sent in full
+  rewritten.headers.delete('ETag');
+  rewritten.headers.delete('Last-Modified');
+  return rewritten;
+}
+
+const REPORT_PREFIX = 'csp_';
+const REPORT_TTL_SECONDS = 30 * 24 * 3600;
+const MAX_FIELD_LENGTH = 200;
+const MAX_SAMPLE_LENGTH = 40;
+
+// Browsers send either Reporting API batches (application/reports+json: an
+// array of { type: 'csp-violation', body: {...} }) or the older report-uri
+// shape ({ "csp-report": {...} } with hyphenated names). Both come out as the
+// same flat record, or null if it isn't a CSP report.
+export function normalizeCspReport(report) {
+  if (!report || typeof report !== 'object') return null;
+
+  if (report['csp-report'] && typeof report['csp-report'] === 'object') {
+    const legacy = report['csp-report'];
+    return cleanReport({
+      documentUrl: legacy['document-uri'],
+      blockedUrl: legacy['blocked-uri'],
+      directive: legacy['effective-directive'] || legacy['violated-directive'],
+      disposition: legacy.disposition,
+      sourceFile: legacy['source-file'],
+      lineNumber: legacy['line-number'],
+      sample: legacy['script-sample']
+    });
+  }
+
+  if (report.type === 'csp-violation' && report.body && typeof report.body === 'object') {
+    const body = report.body;
+    return cleanReport({
+      documentUrl: body.documentURL,
+      blockedUrl: body.blockedURL,
+      directive: body.effectiveDirective,
+      disposition: body.disposition,
+      sourceFile: body.sourceFile,
+      lineNumber: body.lineNumber,
+      sample: body.sample
+    });
+  }
+
+  return null;
+}
+
+function cleanReport(report) {
+  if (!report.directive) return null;
+  return {
+    documentUrl: stripQuery(report.documentUrl),
+    blockedUrl: stripQuery(report.blockedUrl),
+    directive: String(report.directive).slice(0, MAX_FIELD_LENGTH),
+    disposition: report.disposition === 'enforce' ? 'enforce' : 'report',
+    sourceFile: stripQuery(report.sourceFile),
+    lineNumber: Number.isInteger(report.lineNumber) ? report.lineNumber : null,
+    sample: report.sample ? String(report.sample).slice(0, MAX_SAMPLE_LENGTH) : ''
+  };
+}
+
+// Query strings can carry signed tokens (download and confirmation links), so
+// only the origin and path are kept. Keywords like "inline" or "eval" pass
+// through.
+function stripQuery(value) {
+  if (!value) return '';
+  try {
+    const url = new URL(String(value));
+    return `${url.origin}${url.pathname}`.slice(0, MAX_FIELD_LENGTH);
+  } catch (error) {
+    return String(value).split(/[?#]/)[0].slice(0, MAX_FIELD_LENGTH);
+  }
+}
+
+// Store a report, folding repeats of the same violation into one KV entry
+// with a count. Like the download counts this is read-then-write, so
+// simultaneous repeats may undercount - fine for spotting what breaks.
+export async function recordCspReport(kv, report, now = new Date()) {
+  const fingerprint = (await sha256Hex([
+    report.directive,
+    report.blockedUrl,
+    report.documentUrl,
+    report.sourceFile,
+    report.lineNumber,
+    report.disposition
+  ].join('|'))).slice(0, 32);
+  const key = `${REPORT_PREFIX}${fingerprint}`;
+  const seenAt = now.toISOString();
+
+  const existing = await kv.get(key, 'json');
+  const record = existing
+    ? { ...existing, count: (existing.count || 0) + 1, lastSeen: seenAt }
+    : { ...report, count: 1, firstSeen: seenAt, lastSeen: seenAt };
+
+  await kv.put(key, JSON.stringify(record), { expirationTtl: REPORT_TTL_SECONDS });
+  return record;
+}
@@ -0,0 +1,175 @@
+// functions/_lib/downloads.js
+// Digital product delivery through signed, expiring download links.
+//
+// A link is /downloads/<file>?token=<token>, with the token signed with
+// DOWNLOAD_SIGNING_SECRET. It works for DOWNLOAD_LINK_DAYS (7 by default)
+// and at most DOWNLOAD_LIMIT times (5 by default); uses are counted in
+// DOWNLOADS_KV, or CONTACTS_KV when that isn't bound. Links are issued after
+// a purchase (see stripe.js) or a lead-magnet signup.
+//
+// Files come from the DOWNLOADS_BUCKET R2 bucket when it's bound, and from
+// the site's own static assets otherwise. Either way they're only reachable
+// through functions/downloads/[file].js, which sits in front of the old
+// static path.
+
+import { signToken, verifyToken } from './signing.js';
+import { deliverEmail } from './email.js';
+import { SITE_URL } from './site.js';
+import { escapeHtml } from './http.js';
+
+const DEFAULT_LINK_DAYS = 7;
+const DEFAULT_DOWNLOAD_LIMIT = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const COUNT_PREFIX = 'download_';
+
+// What can be downloaded. `gate` is where someone without a valid link is
+// sent to get one; `price` (whole currency units) makes a product available
+// through /api/checkout, null means it's only given away.
+export const PRODUCTS = {
+  'quick-guide-traditional-astrology': {
+    title: 'a quick guide to traditional astrology',
+    file: 'quick-guide-traditional-astrology.pdf',
+    contentType: 'application/pdf',
+    gate: '/#guide',
+    price: null
+  }
+};
+
+export function findProduct(productId) {
+  return Object.prototype.hasOwnProperty.call(PRODUCTS, productId) ? PRODUCTS[productId] : null;
+}
+
+// Product ID for a file name under /downloads/, or null
+export function productIdForFile(file) {
+  return Object.keys(PRODUCTS).find(productId => PRODUCTS[productId].file === file) || null;
+}
+
+function downloadSettings(env) {
+  const days = parseInt(env.DOWNLOAD_LINK_DAYS, 10);
+  const limit = parseInt(env.DOWNLOAD_LIMIT, 10);
+  return {
+    linkMs: (Number.isInteger(days) && days > 0 ? days : DEFAULT_LINK_DAYS) * DAY_MS,
+    limit: Number.isInteger(limit) && limit > 0 ? limit : DEFAULT_DOWNLOAD_LIMIT
+  };
+}
+
+// Signed link for a product. `source` ('purchase', 'signup', ...) is kept in
+// the token for the logs. Resolves to null if downloads aren't configured.
+export async function createDownloadLink(env, productId, { source = null } = {}) {
+  const product = findProduct(productId);
+  if (!product) {
+    throw new Error(`Unknown product "${productId}"`);
+  }
+  if (!env.DOWNLOAD_SIGNING_SECRET) {
+    console.warn('Downloads not configured - set DOWNLOAD_SIGNING_SECRET');
+    return null;
+  }
+
+  const { linkMs, limit } = downloadSettings(env);
+  const token = await signToken({
+    action: 'download',
+    product: productId,
+    id: crypto.randomUUID(),
+    limit,
+    source,
+    exp: Date.now() + linkMs
+  }, env.DOWNLOAD_SIGNING_SECRET);
+
+  return `${SITE_URL}/downloads/${encodeURIComponent(product.file)}?token=${encodeURIComponent(token)}`;
+}
+
+// Resolves to the token payload if it's genuine, unexpired and for this
+// product, otherwise null
+export async function verifyDownloadToken(env, token, productId) {
+  if (!token || !env.DOWNLOAD_SIGNING_SECRET) return null;
+  const payload = await verifyToken(token, env.DOWNLOAD_SIGNING_SECRET);
+  if (!payload || payload.action !== 'download' || payload.product !== productId || !payload.id) {
+    return null;
+  }
+  return payload;
+}
+
+// Count one use of a link. Resolves to { allowed, remaining }.
+//
+// KV has no atomic increment, so two downloads started at the same moment
+// can both be counted as the same use. The limit is there to stop a link
+// being passed around, not to be exact.
+export async function countDownload(env, payload) {
+  const kv = env.DOWNLOADS_KV || env.CONTACTS_KV;
+  const key = `${COUNT_PREFIX}${payload.id}`;
+  const used = parseInt(await kv.get(key), 10) || 0;
+  const limit = Number.isInteger(payload.limit) ? payload.limit : DEFAULT_DOWNLOAD_LIMIT;
+
+  if (used >= limit) {
+    return { allowed: false, remaining: 0 };
+  }
+
+  await kv.put(key, String(used + 1), {
+    // Keep the count as long as the link works
+    expirationTtl: Math.max(60, Math.ceil((payload.exp - Date.now()) / 1000))
+  });
+  return { allowed: true, remaining: limit - used - 1 };
+}
+
+// Fetch a product's file. Resolves to { body, size, etag } or null if it
+// isn't there.
+export async function loadProductFile(env, product, request) {
+  if (env.DOWNLOADS_BUCKET) {
+    const object = await env.DOWNLOADS_BUCKET.get(product.file);
+    return object ? { body: object.body, size: object.size, etag: object.httpEtag } : null;
+  }
+
+  if (env.ASSETS) {
+    // Straight from the static assets, so this doesn't come back through the
+    // Function guarding the path
+    const response = await env.ASSETS.fetch(new Request(new URL(`/downloads/${product.file}`, request.url)));
+    if (!response.ok) return null;
+    return {
+      body: response.body,
+      size: parseInt(response.headers.get('Content-Length'), 10) || null,
+      etag: response.headers.get('ETag')
+    };
+  }
+
+  console.warn('No download storage - bind DOWNLOADS_BUCKET (R2) or deploy on Pages');
+  return null;
+}
+
+// Email a fresh link for a product to `to`. Resolves to 'sent' or 'pending'
+// like deliverEmail, or null if downloads aren't configured.
+export async function sendDownloadLink(env, productId, to, { source = null } = {}) {
+  const link = await createDownloadLink(env, productId, { source });
+  if (!link) return null;
+
+  const { linkMs, limit } = downloadSettings(env);
+  const ownerEmail = env.CONTACT_EMAIL || 'hello@dreamthewilderness.com';
+  return deliverEmail({
+    ...buildDownloadEmail(findProduct(productId), link, { limit, days: Math.round(linkMs / DAY_MS) }),
+    to,
+    from: env.FROM_EMAIL || 'noreply@dreamthewilderness.com',
+    replyTo: ownerEmail
+  }, env);
+}
+
+// Email with a download link. Returns { subject, html, text }.
+function buildDownloadEmail(product, link, { limit, days }) {
+  const paragraphs = [
+    `here's your copy of ${product.title}.`,
+    `the link works ${limit} times over the next ${days} days, so save the file somewhere you'll find it again.`
+  ];
+  const signOff = ['warmly,', 'Courtney', 'dream the wilderness'];
+
+  const html = `
+    <div style="font-family: Georgia, serif; color: #3d2914; max-width: 560px; line-height: 1.6;">
+      <p>hi there,</p>
+      <p>${escapeHtml(paragraphs[0])}</p>
+      <p><a href="${escapeHtml(link)}" style="color: #8b755d;">download ${escapeHtml(product.title)}</a></p>
+      <p>${escapeHtml(paragraphs[1])}</p>
+      <p>${signOff.map(escapeHtml).join('<br>')}</p>
+    </div>
+  `;
+  const text = ['hi there,', paragraphs[0], link, paragraphs[1], signOff.join('\n')].join('\n\n');
+
+  return { subject: `your download: ${product.title}`, html, text };
+}
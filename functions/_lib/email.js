@@ -0,0 +1,348 @@
+// functions/_lib/email.js
+// Outgoing email with provider fallback and a KV-backed retry queue.
+//
+// Providers are tried in the order given by EMAIL_PROVIDERS (comma-separated,
+// e.g. "resend,mailchannels"); unconfigured ones are skipped. Without the
+// variable, every configured provider is tried in the order below.
+//
+//   resend       RESEND_API_KEY
+//   mailchannels MAILCHANNELS_API_KEY (+ optional MAILCHANNELS_DKIM_DOMAIN,
+//                MAILCHANNELS_DKIM_SELECTOR, MAILCHANNELS_DKIM_PRIVATE_KEY)
+//   webhook      EMAIL_WEBHOOK_URL (+ optional EMAIL_WEBHOOK_TOKEN, sent as a
+//                bearer token) - receives the message as JSON
+//
+// When all of them fail, queueEmail() keeps the message in KV and
+// flushPendingEmails() retries it with exponential backoff. A message queued
+// with a `contactId` is the owner's notification of that contact form
+// message, and the flush keeps the record's deliveryStatus up to date.
+
+import { updateDeliveryStatus, retentionDays } from './contacts.js';
+
+const SEND_TIMEOUT_MS = 10000;
+
+export const PENDING_PREFIX = 'pending_email_';
+// Give up entirely after 30 days, or sooner if CONTACT_RETENTION_DAYS is
+// shorter - a queued message holds the same personal details as the record
+const PENDING_TTL_SECONDS = 30 * 24 * 60 * 60;
+const MAX_ATTEMPTS = 10;
+const RETRY_BASE_SECONDS = 60;
+const RETRY_MAX_SECONDS = 6 * 60 * 60;
+// While one flush is sending a message, others leave it alone for this long
+const CLAIM_SECONDS = 120;
+
+export class EmailDeliveryError extends Error {
+  constructor(message, failures = []) {
+    super(message);
+    this.name = 'EmailDeliveryError';
+    this.failures = failures;
+  }
+}
+
+// Each transport sends { to, from, replyTo, subject, html, text, attachments }
+// and resolves to a provider message id (or null), throwing on failure.
+// Attachments are [{ filename, content, contentType }] with base64 content -
+// see textAttachment().
+const TRANSPORTS = {
+  resend: {
+    isConfigured: env => Boolean(env.RESEND_API_KEY),
+    async send(email, env) {
+      const emailData = {
+        from: email.from,
+        to: [email.to],
+        subject: email.subject,
+        html: email.html
+      };
+
+      // Plain-text alternative for clients that don't render HTML
+      if (email.text) {
+        emailData.text = email.text;
+      }
+
+      // Add reply-to if specified
+      if (email.replyTo) {
+        emailData.reply_to = email.replyTo;
+      }
+
+      if (email.attachments && email.attachments.length > 0) {
+        emailData.attachments = email.attachments.map(attachment => ({
+          filename: attachment.filename,
+          content: attachment.content,
+          content_type: attachment.contentType
+        }));
+      }
+
+      const response = await fetch('https://api.resend.com/emails', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${env.RESEND_API_KEY}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(emailData),
+        signal: AbortSignal.timeout(SEND_TIMEOUT_MS)
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Resend error: ${response.status} ${response.statusText} - ${errorText}`);
+      }
+
+      const result = await response.json();
+      return result.id || null;
+    }
+  },
+
+  mailchannels: {
+    isConfigured: env => Boolean(env.MAILCHANNELS_API_KEY),
+    async send(email, env) {
+      const personalization = { to: [{ email: email.to }] };
+      if (env.MAILCHANNELS_DKIM_DOMAIN && env.MAILCHANNELS_DKIM_PRIVATE_KEY) {
+        personalization.dkim_domain = env.MAILCHANNELS_DKIM_DOMAIN;
+        personalization.dkim_selector = env.MAILCHANNELS_DKIM_SELECTOR || 'mailchannels';
+        personalization.dkim_private_key = env.MAILCHANNELS_DKIM_PRIVATE_KEY;
+      }
+
+      // MailChannels wants the plain-text part before the HTML one
+      const content = [];
+      if (email.text) {
+        content.push({ type: 'text/plain', value: email.text });
+      }
+      content.push({ type: 'text/html', value: email.html });
+
+      const emailData = {
+        personalizations: [personalization],
+        from: { email: email.from },
+        subject: email.subject,
+        content
+      };
+      if (email.replyTo) {
+        emailData.reply_to = { email: email.replyTo };
+      }
+      if (email.attachments && email.attachments.length > 0) {
+        emailData.attachments = email.attachments.map(attachment => ({
+          type: attachment.contentType,
+          filename: attachment.filename,
+          content: attachment.content
+        }));
+      }
+
+      const response = await fetch('https://api.mailchannels.net/tx/v1/send', {
+        method: 'POST',
+        headers: {
+          'X-Api-Key': env.MAILCHANNELS_API_KEY,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(emailData),
+        signal: AbortSignal.timeout(SEND_TIMEOUT_MS)
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`MailChannels error: ${response.status} - ${errorText}`);
+      }
+
+      return response.headers.get('X-Message-Id');
+    }
+  },
+
+  webhook: {
+    isConfigured: env => Boolean(env.EMAIL_WEBHOOK_URL),
+    async send(email, env) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (env.EMAIL_WEBHOOK_TOKEN) {
+        headers['Authorization'] = `Bearer ${env.EMAIL_WEBHOOK_TOKEN}`;
+      }
+
+      const response = await fetch(env.EMAIL_WEBHOOK_URL, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          to: email.to,
+          from: email.from,
+          replyTo: email.replyTo || null,
+          subject: email.subject,
+          html: email.html,
+          text: email.text || null,
+          attachments: email.attachments || []
+        }),
+        signal: AbortSignal.timeout(SEND_TIMEOUT_MS)
+      });
+
+      if (!response.ok) {
+        throw new Error(`Email webhook error: ${response.status}`);
+      }
+
+      return null;
+    }
+  }
+};
+
+// Attachment from text content, e.g. an .ics invite
+export function textAttachment(filename, text, contentType) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return { filename, content: btoa(binary), contentType };
+}
+
+// Configured providers in the order they should be tried
+export function emailProviders(env) {
+  const requested = (env.EMAIL_PROVIDERS || Object.keys(TRANSPORTS).join(','))
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  const names = [];
+  for (const name of requested) {
+    if (!TRANSPORTS[name]) {
+      console.warn(`Ignoring unknown email provider "${name}"`);
+    } else if (TRANSPORTS[name].isConfigured(env) && !names.includes(name)) {
+      names.push(name);
+    }
+  }
+  return names;
+}
+
+// Send through the first provider that accepts the message.
+// Resolves to { provider, id }; throws EmailDeliveryError if none did.
+export async function sendEmail(email, env) {
+  const providers = emailProviders(env);
+  if (providers.length === 0) {
+    throw new EmailDeliveryError('Email service not configured - set RESEND_API_KEY, MAILCHANNELS_API_KEY or EMAIL_WEBHOOK_URL');
+  }
+
+  const failures = [];
+  for (const provider of providers) {
+    try {
+      const id = await TRANSPORTS[provider].send(email, env);
+      console.log(`Email sent via ${provider}:`, id || '(no id)');
+      return { provider, id };
+    } catch (error) {
+      console.warn(`Email provider ${provider} failed:`, error.message);
+      failures.push({ provider, error: error.message });
+    }
+  }
+
+  throw new EmailDeliveryError(`All email providers failed (${providers.join(', ')})`, failures);
+}
+
+// Keep a message that couldn't be sent so a later flush can retry it.
+// Resolves to the queue key.
+export async function queueEmail(kv, email, { reason = null, contactId = null, ttlSeconds = PENDING_TTL_SECONDS } = {}) {
+  if (!kv) {
+    throw new Error('Cannot queue email - CONTACTS_KV is not bound');
+  }
+
+  const now = Date.now();
+  const key = `${PENDING_PREFIX}${now}_${crypto.randomUUID().slice(0, 8)}`;
+  const entry = {
+    email,
+    contactId,
+    queuedAt: new Date(now).toISOString(),
+    attempts: 0,
+    lastError: reason
+  };
+
+  await kv.put(key, JSON.stringify(entry), {
+    expirationTtl: Math.min(ttlSeconds, PENDING_TTL_SECONDS),
+    metadata: { status: 'pending', attempts: 0, nextAttemptAt: now }
+  });
+  console.warn(`Queued email "${email.subject}" for retry as ${key}`);
+  return key;
+}
+
+// Send a message, falling back to the retry queue if every provider fails.
+// Resolves to 'sent' or 'pending'; only throws if the message can't be kept.
+export async function deliverEmail(email, env, options = {}) {
+  try {
+    await sendEmail(email, env);
+    return 'sent';
+  } catch (error) {
+    await queueEmail(env.CONTACTS_KV, email, { ...options, reason: error.message, ttlSeconds: pendingTtlSeconds(env) });
+    return 'pending';
+  }
+}
+
+// Retry queued messages that are due. Resolves to { sent, failed, remaining }.
+export async function flushPendingEmails(env, { limit = 10 } = {}) {
+  const kv = env.CONTACTS_KV;
+  const summary = { sent: 0, failed: 0, remaining: 0 };
+  if (!kv || emailProviders(env).length === 0) {
+    return summary;
+  }
+
+  const now = Date.now();
+  const due = [];
+  let cursor;
+  do {
+    const page = await kv.list({ prefix: PENDING_PREFIX, cursor });
+    for (const key of page.keys) {
+      const metadata = key.metadata || {};
+      if (metadata.status === 'failed') continue;
+      summary.remaining++;
+      if ((metadata.nextAttemptAt || 0) <= now) {
+        due.push(key);
+      }
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+
+  const lifetimeSeconds = pendingTtlSeconds(env);
+  for (const key of due.slice(0, limit)) {
+    const entry = await kv.get(key.name, 'json');
+    if (!entry) continue;
+
+    const attempts = (entry.attempts || 0) + 1;
+    const ttl = remainingTtl(entry.queuedAt, lifetimeSeconds);
+
+    // Claim it so an overlapping flush doesn't send the same message twice
+    await kv.put(key.name, JSON.stringify(entry), {
+      expirationTtl: ttl,
+      metadata: { status: 'pending', attempts: entry.attempts || 0, nextAttemptAt: now + CLAIM_SECONDS * 1000 }
+    });
+
+    try {
+      await sendEmail(entry.email, env);
+      await kv.delete(key.name);
+      if (entry.contactId) {
+        await updateDeliveryStatus(kv, entry.contactId, 'sent');
+      }
+      summary.sent++;
+      summary.remaining--;
+    } catch (error) {
+      const exhausted = attempts >= MAX_ATTEMPTS;
+      const delaySeconds = Math.min(RETRY_MAX_SECONDS, RETRY_BASE_SECONDS * 2 ** attempts);
+      await kv.put(key.name, JSON.stringify({ ...entry, attempts, lastError: error.message }), {
+        expirationTtl: ttl,
+        metadata: {
+          status: exhausted ? 'failed' : 'pending',
+          attempts,
+          nextAttemptAt: now + delaySeconds * 1000
+        }
+      });
+      if (exhausted) {
+        console.error(`Giving up on queued email ${key.name} after ${attempts} attempts:`, error.message);
+        if (entry.contactId) {
+          await updateDeliveryStatus(kv, entry.contactId, 'failed');
+        }
+        summary.remaining--;
+      }
+      summary.failed++;
+    }
+  }
+
+  return summary;
+}
+
+// How long a queued message may be kept, in seconds
+function pendingTtlSeconds(env) {
+  return Math.min(PENDING_TTL_SECONDS, retentionDays(env) * 24 * 60 * 60);
+}
+
+// Seconds left of the queue entry's original lifetime
+function remainingTtl(queuedAt, lifetimeSeconds) {
+  const elapsed = Math.floor((Date.now() - Date.parse(queuedAt)) / 1000) || 0;
+  // KV's minimum TTL is 60 seconds
+  return Math.max(60, lifetimeSeconds - elapsed);
+}
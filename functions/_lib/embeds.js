@@ -0,0 +1,23 @@
+// functions/_lib/embeds.js
+// The video/audio players post bodies may embed. The sanitizer keeps only
+// iframes pointing at one of these, and the Content Security Policy's
+// frame-src allows exactly their origins, so the two can't drift apart.
+
+export const APPROVED_EMBEDS = [
+  { origin: 'https://www.youtube.com', path: '/embed/' },
+  { origin: 'https://www.youtube-nocookie.com', path: '/embed/' },
+  { origin: 'https://player.vimeo.com', path: '/video/' },
+  { origin: 'https://open.spotify.com', path: '/embed/' },
+  { origin: 'https://w.soundcloud.com', path: '/player/' },
+  { origin: 'https://bandcamp.com', path: '/EmbeddedPlayer/' }
+];
+
+// Is `src` one of the approved players?
+export function isApprovedEmbed(src) {
+  return APPROVED_EMBEDS.some(({ origin, path }) => String(src || '').startsWith(`${origin}${path}`));
+}
+
+// Origins for frame-src, each once
+export function embedOrigins() {
+  return [...new Set(APPROVED_EMBEDS.map(embed => embed.origin))];
+}
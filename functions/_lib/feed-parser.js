@@ -0,0 +1,282 @@
+// functions/_lib/feed-parser.js
+// Turns an RSS 2.0 / RSS 1.0 (RDF) or Atom document into the post objects
+// served by /api/blog. Items that can't be understood are skipped and
+// reported back to the caller rather than failing the whole feed.
+
+import { parseXml, decodeEntities, childElements, firstChild, descendants, textContent } from './xml.js';
+
+const NS = {
+  atom: 'http://www.w3.org/2005/Atom',
+  content: 'http://purl.org/rss/1.0/modules/content/',
+  dc: 'http://purl.org/dc/elements/1.1/',
+  media: 'http://search.yahoo.com/mrss/',
+  rss1: 'http://purl.org/rss/1.0/'
+};
+
+const DEFAULT_AUTHOR = 'Dream the Wilderness';
+const EXCERPT_LENGTH = 200;
+
+// Returns { format, items, errors } where `errors` lists skipped items as
+// { index, reason }. Throws only when the document isn't a feed at all.
+export function parseFeed(xmlText) {
+  const doc = parseXml(xmlText);
+  const root = childElements(doc)[0];
+
+  if (!root) {
+    throw new Error('Feed is empty');
+  }
+
+  let format;
+  let entries;
+  let readEntry;
+
+  if (root.local === 'feed' && root.ns === NS.atom) {
+    format = 'atom';
+    entries = childElements(root, 'entry', NS.atom);
+    readEntry = readAtomEntry;
+  } else if (root.local === 'rss') {
+    format = 'rss';
+    entries = childElements(firstChild(root, 'channel'), 'item');
+    readEntry = readRssItem;
+  } else if (root.local === 'RDF') {
+    // RSS 1.0 puts items beside the channel rather than inside it
+    format = 'rdf';
+    entries = descendants(root, 'item', NS.rss1);
+    readEntry = readRssItem;
+  } else {
+    throw new Error(`Unrecognized feed format: <${root.name}>`);
+  }
+
+  const items = [];
+  const errors = [];
+
+  entries.forEach((entry, index) => {
+    try {
+      items.push(readEntry(entry));
+    } catch (error) {
+      errors.push({ index, reason: error.message });
+    }
+  });
+
+  // Sort by date descending (newest first)
+  items.sort((a, b) => b.timestamp - a.timestamp);
+
+  return { format, items, errors };
+}
+
+function readRssItem(item) {
+  // RSS 1.0 elements live in the RSS 1.0 namespace; RSS 2.0 has none
+  const ns = item.ns;
+  const text = (local, namespace = ns) => cleanText(textContent(firstChild(item, local, namespace)));
+
+  const guidElement = firstChild(item, 'guid', ns);
+  const guid = cleanText(textContent(guidElement)) || null;
+  const guidIsLink = guid && guidElement.attributes.isPermaLink !== 'false' && /^https?:\/\//.test(guid);
+
+  const atomLink = childElements(item, 'link', NS.atom)
+    .find(link => !link.attributes.rel || link.attributes.rel === 'alternate');
+
+  const link = text('link') ||
+    (guidIsLink ? guid : '') ||
+    (atomLink ? atomLink.attributes.href : '') ||
+    item.attributes.about ||
+    '';
+
+  const descriptionHtml = textContent(firstChild(item, 'description', ns));
+  const contentHtml = textContent(firstChild(item, 'encoded', NS.content));
+
+  const enclosureElement = firstChild(item, 'enclosure', ns);
+  const enclosure = enclosureElement && enclosureElement.attributes.url
+    ? {
+      url: enclosureElement.attributes.url,
+      type: enclosureElement.attributes.type || null,
+      length: parseInt(enclosureElement.attributes.length, 10) || null
+    }
+    : null;
+
+  return buildPost({
+    // Some publishers double-encode titles (&amp;#8217;); one more pass fixes that
+    title: decodeEntities(text('title')),
+    link,
+    guid,
+    dateText: text('pubDate') || text('date', NS.dc),
+    author: text('creator', NS.dc) || text('author'),
+    categories: childElements(item, 'category', ns).map(el => cleanText(textContent(el)))
+      .concat(childElements(item, 'subject', NS.dc).map(el => cleanText(textContent(el)))),
+    descriptionHtml,
+    contentHtml,
+    enclosure,
+    media: readMedia(item)
+  });
+}
+
+function readAtomEntry(entry) {
+  const text = (local) => cleanText(textContent(firstChild(entry, local, NS.atom)));
+
+  const links = childElements(entry, 'link', NS.atom);
+  const alternate = links.find(link => !link.attributes.rel || link.attributes.rel === 'alternate');
+  const enclosureLink = links.find(link => link.attributes.rel === 'enclosure');
+
+  const authorElement = firstChild(entry, 'author', NS.atom);
+
+  return buildPost({
+    title: htmlToText(readAtomText(firstChild(entry, 'title', NS.atom))),
+    link: alternate ? alternate.attributes.href : '',
+    guid: text('id') || null,
+    dateText: text('published') || text('updated'),
+    author: cleanText(textContent(firstChild(authorElement, 'name', NS.atom))),
+    categories: childElements(entry, 'category', NS.atom)
+      .map(el => el.attributes.label || el.attributes.term || ''),
+    descriptionHtml: readAtomText(firstChild(entry, 'summary', NS.atom)),
+    contentHtml: readAtomText(firstChild(entry, 'content', NS.atom)),
+    enclosure: enclosureLink && enclosureLink.attributes.href
+      ? {
+        url: enclosureLink.attributes.href,
+        type: enclosureLink.attributes.type || null,
+        length: parseInt(enclosureLink.attributes.length, 10) || null
+      }
+      : null,
+    media: readMedia(entry)
+  });
+}
+
+// Atom text constructs: type="xhtml" wraps markup in a <div>, which has to be
+// serialized back out; "html" and "text" are already plain strings.
+function readAtomText(element) {
+  if (!element) return '';
+  if (element.attributes.type === 'xhtml') {
+    const div = firstChild(element, 'div');
+    return serializeChildren(div || element);
+  }
+  if (element.attributes.type === 'text' || !element.attributes.type) {
+    return escapeText(textContent(element));
+  }
+  return textContent(element);
+}
+
+function readMedia(node) {
+  const media = [];
+
+  for (const local of ['content', 'thumbnail']) {
+    for (const el of descendants(node, local, NS.media)) {
+      if (!el.attributes.url) continue;
+      media.push({
+        url: el.attributes.url,
+        type: el.attributes.type || null,
+        medium: el.attributes.medium || (local === 'thumbnail' ? 'image' : null),
+        width: parseInt(el.attributes.width, 10) || null,
+        height: parseInt(el.attributes.height, 10) || null
+      });
+    }
+  }
+
+  return media;
+}
+
+function buildPost(fields) {
+  if (!fields.link && !fields.guid) {
+    throw new Error('Item has no link or guid');
+  }
+
+  const link = fields.link || fields.guid;
+  if (!/^https?:\/\//i.test(link)) {
+    throw new Error(`Item link is not an http(s) URL: ${link.slice(0, 100)}`);
+  }
+
+  // Missing dates fall back to "now" as before; unreadable ones are malformed
+  let pubDate = fields.dateText;
+  let timestamp;
+  if (pubDate) {
+    timestamp = Date.parse(pubDate);
+    if (Number.isNaN(timestamp)) {
+      throw new Error(`Item has an unreadable date: ${pubDate.slice(0, 100)}`);
+    }
+  } else {
+    pubDate = new Date().toISOString();
+    timestamp = Date.parse(pubDate);
+  }
+
+  const descriptionHtml = fields.descriptionHtml || '';
+  const contentHtml = fields.contentHtml || '';
+  const summarySource = descriptionHtml || contentHtml;
+
+  const image = findImage(fields.enclosure, fields.media, descriptionHtml, contentHtml);
+
+  return {
+    title: fields.title || 'Untitled',
+    description: htmlToText(summarySource).substring(0, EXCERPT_LENGTH), // Limit length
+    content: contentHtml || descriptionHtml,
+    link,
+    slug: slugFromLink(link),
+    guid: fields.guid || link,
+    pubDate,
+    author: fields.author || DEFAULT_AUTHOR,
+    image,
+    enclosure: fields.enclosure,
+    media: fields.media,
+    categories: [...new Set(fields.categories.filter(Boolean))],
+    timestamp
+  };
+}
+
+// Substack post URLs look like https://<pub>.substack.com/p/<slug>; for any
+// other feed this falls back to the last path segment.
+export function slugFromLink(link) {
+  try {
+    const segments = new URL(link).pathname.split('/').filter(Boolean);
+    return segments.length > 0 ? decodeURIComponent(segments[segments.length - 1]).toLowerCase() : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Featured image: an image enclosure, then image media, then the first <img>
+function findImage(enclosure, media, ...htmlSources) {
+  if (enclosure && (!enclosure.type || enclosure.type.startsWith('image/'))) {
+    return enclosure.url;
+  }
+
+  const mediaImage = media.find(item => item.medium === 'image' || (item.type || '').startsWith('image/'));
+  if (mediaImage) {
+    return mediaImage.url;
+  }
+
+  for (const html of htmlSources) {
+    const imgMatch = html && html.match(/<img[^>]+src=["']([^"']+)["']/i);
+    if (imgMatch) {
+      return decodeEntities(imgMatch[1]);
+    }
+  }
+
+  return null;
+}
+
+function htmlToText(html) {
+  return cleanText(decodeEntities(
+    html
+      .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+      .replace(/<[^>]*>/g, ' ') // Remove HTML tags
+  ));
+}
+
+function cleanText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+function escapeText(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function serializeChildren(node) {
+  return node.children.map(child => {
+    if (typeof child === 'string') return escapeText(child);
+    const attributes = Object.entries(child.attributes)
+      .filter(([key]) => !key.startsWith('xmlns'))
+      .map(([key, value]) => ` ${key}="${escapeText(value).replace(/"/g, '&quot;')}"`)
+      .join('');
+    return `<${child.local}${attributes}>${serializeChildren(child)}</${child.local}>`;
+  }).join('');
+}
@@ -0,0 +1,440 @@
+// functions/_lib/gazetteer-data.js
+// Bundled place list for resolving birth places without a geocoding service.
+//
+// Each place is [name, region, country, latitude, longitude, IANA time zone,
+// aliases?]. Region codes are listed in REGIONS; countries use ISO 3166
+// alpha-2 codes. Where several places share a name, the best known comes
+// first and is the one picked when nothing narrows it down. Historical UTC
+// offsets come from the runtime's own tz database (see timezone.js), so only
+// the zone name is stored here.
+//
+// To add a place, append a row - coordinates to four decimals are plenty.
+
+export const COUNTRIES = {
+  US: ['united states', 'united states of america', 'usa', 'us', 'america'],
+  CA: ['canada'],
+  MX: ['mexico'],
+  GB: ['united kingdom', 'uk', 'great britain', 'britain'],
+  IE: ['ireland', 'eire'],
+  FR: ['france'],
+  DE: ['germany', 'deutschland'],
+  NL: ['netherlands', 'the netherlands', 'holland'],
+  BE: ['belgium'],
+  LU: ['luxembourg'],
+  CH: ['switzerland'],
+  AT: ['austria'],
+  CZ: ['czech republic', 'czechia'],
+  PL: ['poland'],
+  HU: ['hungary'],
+  DK: ['denmark'],
+  SE: ['sweden'],
+  NO: ['norway'],
+  FI: ['finland'],
+  IS: ['iceland'],
+  ES: ['spain'],
+  PT: ['portugal'],
+  IT: ['italy'],
+  GR: ['greece'],
+  TR: ['turkey', 'turkiye'],
+  RU: ['russia'],
+  UA: ['ukraine'],
+  RO: ['romania'],
+  BG: ['bulgaria'],
+  RS: ['serbia'],
+  HR: ['croatia'],
+  SI: ['slovenia'],
+  SK: ['slovakia'],
+  LT: ['lithuania'],
+  LV: ['latvia'],
+  EE: ['estonia'],
+  EG: ['egypt'],
+  NG: ['nigeria'],
+  KE: ['kenya'],
+  ZA: ['south africa'],
+  MA: ['morocco'],
+  GH: ['ghana'],
+  ET: ['ethiopia'],
+  SN: ['senegal'],
+  IL: ['israel'],
+  LB: ['lebanon'],
+  AE: ['united arab emirates', 'uae'],
+  IR: ['iran'],
+  SA: ['saudi arabia'],
+  JO: ['jordan'],
+  IN: ['india'],
+  PK: ['pakistan'],
+  BD: ['bangladesh'],
+  NP: ['nepal'],
+  LK: ['sri lanka'],
+  TH: ['thailand'],
+  SG: ['singapore'],
+  MY: ['malaysia'],
+  ID: ['indonesia'],
+  PH: ['philippines'],
+  VN: ['vietnam', 'viet nam'],
+  HK: ['hong kong'],
+  TW: ['taiwan'],
+  CN: ['china'],
+  KR: ['south korea', 'korea'],
+  JP: ['japan'],
+  AU: ['australia'],
+  NZ: ['new zealand', 'aotearoa'],
+  CO: ['colombia'],
+  PE: ['peru'],
+  CL: ['chile'],
+  AR: ['argentina'],
+  BR: ['brazil', 'brasil'],
+  VE: ['venezuela'],
+  EC: ['ecuador'],
+  CU: ['cuba'],
+  CR: ['costa rica'],
+  PA: ['panama'],
+  UY: ['uruguay'],
+  JM: ['jamaica'],
+  GT: ['guatemala'],
+  BO: ['bolivia'],
+  PR: ['puerto rico']
+};
+
+// Regions are keyed "<country>-<code>"
+export const REGIONS = {
+  'US-AL': 'alabama', 'US-AK': 'alaska', 'US-AZ': 'arizona', 'US-AR': 'arkansas',
+  'US-CA': 'california', 'US-CO': 'colorado', 'US-CT': 'connecticut', 'US-DE': 'delaware',
+  'US-DC': 'district of columbia', 'US-FL': 'florida', 'US-GA': 'georgia', 'US-HI': 'hawaii',
+  'US-ID': 'idaho', 'US-IL': 'illinois', 'US-IN': 'indiana', 'US-IA': 'iowa',
+  'US-KS': 'kansas', 'US-KY': 'kentucky', 'US-LA': 'louisiana', 'US-ME': 'maine',
+  'US-MD': 'maryland', 'US-MA': 'massachusetts', 'US-MI': 'michigan', 'US-MN': 'minnesota',
+  'US-MS': 'mississippi', 'US-MO': 'missouri', 'US-MT': 'montana', 'US-NE': 'nebraska',
+  'US-NV': 'nevada', 'US-NH': 'new hampshire', 'US-NJ': 'new jersey', 'US-NM': 'new mexico',
+  'US-NY': 'new york', 'US-NC': 'north carolina', 'US-ND': 'north dakota', 'US-OH': 'ohio',
+  'US-OK': 'oklahoma', 'US-OR': 'oregon', 'US-PA': 'pennsylvania', 'US-RI': 'rhode island',
+  'US-SC': 'south carolina', 'US-SD': 'south dakota', 'US-TN': 'tennessee', 'US-TX': 'texas',
+  'US-UT': 'utah', 'US-VT': 'vermont', 'US-VA': 'virginia', 'US-WA': 'washington',
+  'US-WV': 'west virginia', 'US-WI': 'wisconsin', 'US-WY': 'wyoming',
+  'CA-AB': 'alberta', 'CA-BC': 'british columbia', 'CA-MB': 'manitoba', 'CA-NB': 'new brunswick',
+  'CA-NL': 'newfoundland and labrador', 'CA-NS': 'nova scotia', 'CA-ON': 'ontario',
+  'CA-PE': 'prince edward island', 'CA-QC': 'quebec', 'CA-SK': 'saskatchewan',
+  'AU-NSW': 'new south wales', 'AU-VIC': 'victoria', 'AU-QLD': 'queensland',
+  'AU-WA': 'western australia', 'AU-SA': 'south australia', 'AU-TAS': 'tasmania',
+  'AU-NT': 'northern territory', 'AU-ACT': 'australian capital territory',
+  'GB-ENG': 'england', 'GB-SCT': 'scotland', 'GB-WLS': 'wales', 'GB-NIR': 'northern ireland'
+};
+
+export const PLACES = [
+  // United States
+  ['New York', 'NY', 'US', 40.7128, -74.0060, 'America/New_York', ['new york city', 'nyc', 'manhattan']],
+  ['Brooklyn', 'NY', 'US', 40.6782, -73.9442, 'America/New_York'],
+  ['Los Angeles', 'CA', 'US', 34.0522, -118.2437, 'America/Los_Angeles', ['la']],
+  ['Chicago', 'IL', 'US', 41.8781, -87.6298, 'America/Chicago'],
+  ['Houston', 'TX', 'US', 29.7604, -95.3698, 'America/Chicago'],
+  ['Phoenix', 'AZ', 'US', 33.4484, -112.0740, 'America/Phoenix'],
+  ['Philadelphia', 'PA', 'US', 39.9526, -75.1652, 'America/New_York'],
+  ['San Antonio', 'TX', 'US', 29.4241, -98.4936, 'America/Chicago'],
+  ['San Diego', 'CA', 'US', 32.7157, -117.1611, 'America/Los_Angeles'],
+  ['Dallas', 'TX', 'US', 32.7767, -96.7970, 'America/Chicago'],
+  ['San Jose', 'CA', 'US', 37.3382, -121.8863, 'America/Los_Angeles'],
+  ['Austin', 'TX', 'US', 30.2672, -97.7431, 'America/Chicago'],
+  ['Jacksonville', 'FL', 'US', 30.3322, -81.6557, 'America/New_York'],
+  ['San Francisco', 'CA', 'US', 37.7749, -122.4194, 'America/Los_Angeles', ['sf']],
+  ['Columbus', 'OH', 'US', 39.9612, -82.9988, 'America/New_York'],
+  ['Fort Worth', 'TX', 'US', 32.7555, -97.3308, 'America/Chicago'],
+  ['Indianapolis', 'IN', 'US', 39.7684, -86.1581, 'America/Indiana/Indianapolis'],
+  ['Charlotte', 'NC', 'US', 35.2271, -80.8431, 'America/New_York'],
+  ['Seattle', 'WA', 'US', 47.6062, -122.3321, 'America/Los_Angeles'],
+  ['Denver', 'CO', 'US', 39.7392, -104.9903, 'America/Denver'],
+  ['Washington', 'DC', 'US', 38.9072, -77.0369, 'America/New_York', ['washington dc', 'washington d c']],
+  ['Boston', 'MA', 'US', 42.3601, -71.0589, 'America/New_York'],
+  ['Nashville', 'TN', 'US', 36.1627, -86.7816, 'America/Chicago'],
+  ['Detroit', 'MI', 'US', 42.3314, -83.0458, 'America/Detroit'],
+  ['Portland', 'OR', 'US', 45.5152, -122.6784, 'America/Los_Angeles'],
+  ['Portland', 'ME', 'US', 43.6591, -70.2568, 'America/New_York'],
+  ['Las Vegas', 'NV', 'US', 36.1699, -115.1398, 'America/Los_Angeles'],
+  ['Memphis', 'TN', 'US', 35.1495, -90.0490, 'America/Chicago'],
+  ['Louisville', 'KY', 'US', 38.2527, -85.7585, 'America/Kentucky/Louisville'],
+  ['Baltimore', 'MD', 'US', 39.2904, -76.6122, 'America/New_York'],
+  ['Milwaukee', 'WI', 'US', 43.0389, -87.9065, 'America/Chicago'],
+  ['Albuquerque', 'NM', 'US', 35.0844, -106.6504, 'America/Denver'],
+  ['Tucson', 'AZ', 'US', 32.2226, -110.9747, 'America/Phoenix'],
+  ['Fresno', 'CA', 'US', 36.7378, -119.7871, 'America/Los_Angeles'],
+  ['Sacramento', 'CA', 'US', 38.5816, -121.4944, 'America/Los_Angeles'],
+  ['Kansas City', 'MO', 'US', 39.0997, -94.5786, 'America/Chicago'],
+  ['Atlanta', 'GA', 'US', 33.7490, -84.3880, 'America/New_York'],
+  ['Omaha', 'NE', 'US', 41.2565, -95.9345, 'America/Chicago'],
+  ['Raleigh', 'NC', 'US', 35.7796, -78.6382, 'America/New_York'],
+  ['Miami', 'FL', 'US', 25.7617, -80.1918, 'America/New_York'],
+  ['Minneapolis', 'MN', 'US', 44.9778, -93.2650, 'America/Chicago'],
+  ['Saint Paul', 'MN', 'US', 44.9537, -93.0900, 'America/Chicago'],
+  ['Tulsa', 'OK', 'US', 36.1540, -95.9928, 'America/Chicago'],
+  ['Oklahoma City', 'OK', 'US', 35.4676, -97.5164, 'America/Chicago'],
+  ['Cleveland', 'OH', 'US', 41.4993, -81.6944, 'America/New_York'],
+  ['New Orleans', 'LA', 'US', 29.9511, -90.0715, 'America/Chicago'],
+  ['Tampa', 'FL', 'US', 27.9506, -82.4572, 'America/New_York'],
+  ['Orlando', 'FL', 'US', 28.5383, -81.3792, 'America/New_York'],
+  ['Pittsburgh', 'PA', 'US', 40.4406, -79.9959, 'America/New_York'],
+  ['Cincinnati', 'OH', 'US', 39.1031, -84.5120, 'America/New_York'],
+  ['Saint Louis', 'MO', 'US', 38.6270, -90.1994, 'America/Chicago'],
+  ['Salt Lake City', 'UT', 'US', 40.7608, -111.8910, 'America/Denver'],
+  ['Honolulu', 'HI', 'US', 21.3069, -157.8583, 'Pacific/Honolulu'],
+  ['Hilo', 'HI', 'US', 19.7241, -155.0868, 'Pacific/Honolulu'],
+  ['Anchorage', 'AK', 'US', 61.2181, -149.9003, 'America/Anchorage'],
+  ['Fairbanks', 'AK', 'US', 64.8378, -147.7164, 'America/Anchorage'],
+  ['Juneau', 'AK', 'US', 58.3019, -134.4197, 'America/Juneau'],
+  ['Boise', 'ID', 'US', 43.6150, -116.2023, 'America/Boise'],
+  ['Oakland', 'CA', 'US', 37.8044, -122.2712, 'America/Los_Angeles'],
+  ['Long Beach', 'CA', 'US', 33.7701, -118.1937, 'America/Los_Angeles'],
+  ['El Paso', 'TX', 'US', 31.7619, -106.4850, 'America/Denver'],
+  ['Corpus Christi', 'TX', 'US', 27.8006, -97.3964, 'America/Chicago'],
+  ['Lubbock', 'TX', 'US', 33.5779, -101.8552, 'America/Chicago'],
+  ['Reno', 'NV', 'US', 39.5296, -119.8138, 'America/Los_Angeles'],
+  ['Carson City', 'NV', 'US', 39.1638, -119.7674, 'America/Los_Angeles'],
+  ['Flagstaff', 'AZ', 'US', 35.1983, -111.6513, 'America/Phoenix'],
+  ['Santa Fe', 'NM', 'US', 35.6870, -105.9378, 'America/Denver'],
+  ['Boulder', 'CO', 'US', 40.0150, -105.2705, 'America/Denver'],
+  ['Cheyenne', 'WY', 'US', 41.1400, -104.8202, 'America/Denver'],
+  ['Billings', 'MT', 'US', 45.7833, -108.5007, 'America/Denver'],
+  ['Missoula', 'MT', 'US', 46.8721, -113.9940, 'America/Denver'],
+  ['Helena', 'MT', 'US', 46.5891, -112.0391, 'America/Denver'],
+  ['Spokane', 'WA', 'US', 47.6588, -117.4260, 'America/Los_Angeles'],
+  ['Olympia', 'WA', 'US', 47.0379, -122.9007, 'America/Los_Angeles'],
+  ['Eugene', 'OR', 'US', 44.0521, -123.0868, 'America/Los_Angeles'],
+  ['Salem', 'OR', 'US', 44.9429, -123.0351, 'America/Los_Angeles'],
+  ['Madison', 'WI', 'US', 43.0731, -89.4012, 'America/Chicago'],
+  ['Green Bay', 'WI', 'US', 44.5133, -88.0133, 'America/Chicago'],
+  ['Duluth', 'MN', 'US', 46.7867, -92.1005, 'America/Chicago'],
+  ['Rochester', 'NY', 'US', 43.1566, -77.6088, 'America/New_York'],
+  ['Rochester', 'MN', 'US', 44.0121, -92.4802, 'America/Chicago'],
+  ['Buffalo', 'NY', 'US', 42.8864, -78.8784, 'America/New_York'],
+  ['Albany', 'NY', 'US', 42.6526, -73.7562, 'America/New_York'],
+  ['Syracuse', 'NY', 'US', 43.0481, -76.1474, 'America/New_York'],
+  ['Ithaca', 'NY', 'US', 42.4440, -76.5019, 'America/New_York'],
+  ['Newark', 'NJ', 'US', 40.7357, -74.1724, 'America/New_York'],
+  ['Jersey City', 'NJ', 'US', 40.7178, -74.0431, 'America/New_York'],
+  ['Trenton', 'NJ', 'US', 40.2206, -74.7597, 'America/New_York'],
+  ['Wilmington', 'DE', 'US', 39.7391, -75.5398, 'America/New_York'],
+  ['Dover', 'DE', 'US', 39.1582, -75.5244, 'America/New_York'],
+  ['Annapolis', 'MD', 'US', 38.9784, -76.4922, 'America/New_York'],
+  ['Harrisburg', 'PA', 'US', 40.2732, -76.8867, 'America/New_York'],
+  ['Richmond', 'VA', 'US', 37.5407, -77.4360, 'America/New_York'],
+  ['Norfolk', 'VA', 'US', 36.8508, -76.2859, 'America/New_York'],
+  ['Providence', 'RI', 'US', 41.8240, -71.4128, 'America/New_York'],
+  ['Hartford', 'CT', 'US', 41.7658, -72.6734, 'America/New_York'],
+  ['Springfield', 'IL', 'US', 39.7817, -89.6501, 'America/Chicago'],
+  ['Springfield', 'MO', 'US', 37.2090, -93.2923, 'America/Chicago'],
+  ['Springfield', 'MA', 'US', 42.1015, -72.5898, 'America/New_York'],
+  ['Burlington', 'VT', 'US', 44.4759, -73.2121, 'America/New_York'],
+  ['Burlington', 'IA', 'US', 40.8078, -91.1129, 'America/Chicago'],
+  ['Montpelier', 'VT', 'US', 44.2601, -72.5754, 'America/New_York'],
+  ['Concord', 'NH', 'US', 43.2081, -71.5376, 'America/New_York'],
+  ['Augusta', 'GA', 'US', 33.4735, -82.0105, 'America/New_York'],
+  ['Augusta', 'ME', 'US', 44.3106, -69.7795, 'America/New_York'],
+  ['Asheville', 'NC', 'US', 35.5951, -82.5515, 'America/New_York'],
+  ['Durham', 'NC', 'US', 35.9940, -78.8986, 'America/New_York'],
+  ['Charleston', 'SC', 'US', 32.7765, -79.9311, 'America/New_York'],
+  ['Charleston', 'WV', 'US', 38.3498, -81.6326, 'America/New_York'],
+  ['Columbia', 'SC', 'US', 34.0007, -81.0348, 'America/New_York'],
+  ['Columbia', 'MO', 'US', 38.9517, -92.3341, 'America/Chicago'],
+  ['Savannah', 'GA', 'US', 32.0809, -81.0912, 'America/New_York'],
+  ['Athens', 'GA', 'US', 33.9519, -83.3576, 'America/New_York'],
+  ['Tallahassee', 'FL', 'US', 30.4383, -84.2807, 'America/New_York'],
+  ['Birmingham', 'AL', 'US', 33.5186, -86.8104, 'America/Chicago'],
+  ['Montgomery', 'AL', 'US', 32.3792, -86.3077, 'America/Chicago'],
+  ['Baton Rouge', 'LA', 'US', 30.4515, -91.1871, 'America/Chicago'],
+  ['Little Rock', 'AR', 'US', 34.7465, -92.2896, 'America/Chicago'],
+  ['Jackson', 'MS', 'US', 32.2988, -90.1848, 'America/Chicago'],
+  ['Knoxville', 'TN', 'US', 35.9606, -83.9207, 'America/New_York'],
+  ['Chattanooga', 'TN', 'US', 35.0456, -85.3097, 'America/New_York'],
+  ['Lexington', 'KY', 'US', 38.0406, -84.5037, 'America/New_York'],
+  ['Frankfort', 'KY', 'US', 38.2009, -84.8733, 'America/New_York'],
+  ['Bloomington', 'IN', 'US', 39.1653, -86.5264, 'America/Indiana/Indianapolis'],
+  ['Ann Arbor', 'MI', 'US', 42.2808, -83.7430, 'America/Detroit'],
+  ['Grand Rapids', 'MI', 'US', 42.9634, -85.6681, 'America/Detroit'],
+  ['Lansing', 'MI', 'US', 42.7325, -84.5555, 'America/Detroit'],
+  ['Peoria', 'IL', 'US', 40.6936, -89.5890, 'America/Chicago'],
+  ['Rockford', 'IL', 'US', 42.2711, -89.0940, 'America/Chicago'],
+  ['Champaign', 'IL', 'US', 40.1164, -88.2434, 'America/Chicago'],
+  ['Jefferson City', 'MO', 'US', 38.5767, -92.1735, 'America/Chicago'],
+  ['Lincoln', 'NE', 'US', 40.8136, -96.7026, 'America/Chicago'],
+  ['Wichita', 'KS', 'US', 37.6872, -97.3301, 'America/Chicago'],
+  ['Topeka', 'KS', 'US', 39.0473, -95.6752, 'America/Chicago'],
+  ['Sioux Falls', 'SD', 'US', 43.5446, -96.7311, 'America/Chicago'],
+  ['Pierre', 'SD', 'US', 44.3683, -100.3510, 'America/Chicago'],
+  ['Fargo', 'ND', 'US', 46.8772, -96.7898, 'America/Chicago'],
+  ['Bismarck', 'ND', 'US', 46.8083, -100.7837, 'America/Chicago'],
+  ['Des Moines', 'IA', 'US', 41.5868, -93.6250, 'America/Chicago'],
+  ['Cedar Rapids', 'IA', 'US', 41.9779, -91.6656, 'America/Chicago'],
+  ['Iowa City', 'IA', 'US', 41.6611, -91.5302, 'America/Chicago'],
+  ['Davenport', 'IA', 'US', 41.5236, -90.5776, 'America/Chicago'],
+  ['Sioux City', 'IA', 'US', 42.4999, -96.4003, 'America/Chicago'],
+  ['Ames', 'IA', 'US', 42.0308, -93.6319, 'America/Chicago'],
+  ['Dubuque', 'IA', 'US', 42.5006, -90.6646, 'America/Chicago'],
+  ['Waterloo', 'IA', 'US', 42.4928, -92.3426, 'America/Chicago'],
+  ['Council Bluffs', 'IA', 'US', 41.2619, -95.8608, 'America/Chicago'],
+  ['Decorah', 'IA', 'US', 43.3033, -91.7857, 'America/Chicago'],
+  ['Fairfield', 'IA', 'US', 41.0086, -91.9627, 'America/Chicago'],
+  ['Grinnell', 'IA', 'US', 41.7431, -92.7224, 'America/Chicago'],
+  ['Mason City', 'IA', 'US', 43.1536, -93.2010, 'America/Chicago'],
+  ['Ottumwa', 'IA', 'US', 41.0200, -92.4113, 'America/Chicago'],
+  ['San Juan', '', 'PR', 18.4655, -66.1057, 'America/Puerto_Rico'],
+
+  // Canada
+  ['Toronto', 'ON', 'CA', 43.6532, -79.3832, 'America/Toronto'],
+  ['Montreal', 'QC', 'CA', 45.5017, -73.5673, 'America/Toronto'],
+  ['Vancouver', 'BC', 'CA', 49.2827, -123.1207, 'America/Vancouver'],
+  ['Calgary', 'AB', 'CA', 51.0447, -114.0719, 'America/Edmonton'],
+  ['Edmonton', 'AB', 'CA', 53.5461, -113.4938, 'America/Edmonton'],
+  ['Ottawa', 'ON', 'CA', 45.4215, -75.6972, 'America/Toronto'],
+  ['Winnipeg', 'MB', 'CA', 49.8951, -97.1384, 'America/Winnipeg'],
+  ['Quebec City', 'QC', 'CA', 46.8139, -71.2080, 'America/Toronto', ['quebec']],
+  ['Halifax', 'NS', 'CA', 44.6488, -63.5752, 'America/Halifax'],
+  ['Victoria', 'BC', 'CA', 48.4284, -123.3656, 'America/Vancouver'],
+  ['Saskatoon', 'SK', 'CA', 52.1332, -106.6700, 'America/Regina'],
+  ['Regina', 'SK', 'CA', 50.4452, -104.6189, 'America/Regina'],
+  ['Saint John\'s', 'NL', 'CA', 47.5615, -52.7126, 'America/St_Johns'],
+
+  // Mexico, Central and South America, Caribbean
+  ['Mexico City', '', 'MX', 19.4326, -99.1332, 'America/Mexico_City', ['ciudad de mexico', 'cdmx']],
+  ['Guadalajara', '', 'MX', 20.6597, -103.3496, 'America/Mexico_City'],
+  ['Monterrey', '', 'MX', 25.6866, -100.3161, 'America/Monterrey'],
+  ['Tijuana', '', 'MX', 32.5149, -117.0382, 'America/Tijuana'],
+  ['Cancun', '', 'MX', 21.1619, -86.8515, 'America/Cancun'],
+  ['Oaxaca', '', 'MX', 17.0732, -96.7266, 'America/Mexico_City'],
+  ['Guatemala City', '', 'GT', 14.6349, -90.5069, 'America/Guatemala'],
+  ['San Jose', '', 'CR', 9.9281, -84.0907, 'America/Costa_Rica'],
+  ['Panama City', '', 'PA', 8.9824, -79.5199, 'America/Panama'],
+  ['Havana', '', 'CU', 23.1136, -82.3666, 'America/Havana'],
+  ['Kingston', '', 'JM', 18.0179, -76.8099, 'America/Jamaica'],
+  ['Bogota', '', 'CO', 4.7110, -74.0721, 'America/Bogota'],
+  ['Medellin', '', 'CO', 6.2442, -75.5812, 'America/Bogota'],
+  ['Caracas', '', 'VE', 10.4806, -66.9036, 'America/Caracas'],
+  ['Quito', '', 'EC', -0.1807, -78.4678, 'America/Guayaquil'],
+  ['Lima', '', 'PE', -12.0464, -77.0428, 'America/Lima'],
+  ['La Paz', '', 'BO', -16.4897, -68.1193, 'America/La_Paz'],
+  ['Santiago', '', 'CL', -33.4489, -70.6693, 'America/Santiago'],
+  ['Buenos Aires', '', 'AR', -34.6037, -58.3816, 'America/Argentina/Buenos_Aires'],
+  ['Montevideo', '', 'UY', -34.9011, -56.1645, 'America/Montevideo'],
+  ['Sao Paulo', '', 'BR', -23.5505, -46.6333, 'America/Sao_Paulo'],
+  ['Rio de Janeiro', '', 'BR', -22.9068, -43.1729, 'America/Sao_Paulo', ['rio']],
+
+  // Europe
+  ['London', 'ENG', 'GB', 51.5074, -0.1278, 'Europe/London'],
+  ['Birmingham', 'ENG', 'GB', 52.4862, -1.8904, 'Europe/London'],
+  ['Manchester', 'ENG', 'GB', 53.4808, -2.2426, 'Europe/London'],
+  ['Liverpool', 'ENG', 'GB', 53.4084, -2.9916, 'Europe/London'],
+  ['Leeds', 'ENG', 'GB', 53.8008, -1.5491, 'Europe/London'],
+  ['Bristol', 'ENG', 'GB', 51.4545, -2.5879, 'Europe/London'],
+  ['Edinburgh', 'SCT', 'GB', 55.9533, -3.1883, 'Europe/London'],
+  ['Glasgow', 'SCT', 'GB', 55.8642, -4.2518, 'Europe/London'],
+  ['Cardiff', 'WLS', 'GB', 51.4816, -3.1791, 'Europe/London'],
+  ['Belfast', 'NIR', 'GB', 54.5973, -5.9301, 'Europe/London'],
+  ['Dublin', '', 'IE', 53.3498, -6.2603, 'Europe/Dublin'],
+  ['Cork', '', 'IE', 51.8985, -8.4756, 'Europe/Dublin'],
+  ['Paris', '', 'FR', 48.8566, 2.3522, 'Europe/Paris'],
+  ['Lyon', '', 'FR', 45.7640, 4.8357, 'Europe/Paris'],
+  ['Marseille', '', 'FR', 43.2965, 5.3698, 'Europe/Paris'],
+  ['Berlin', '', 'DE', 52.5200, 13.4050, 'Europe/Berlin'],
+  ['Munich', '', 'DE', 48.1351, 11.5820, 'Europe/Berlin', ['munchen']],
+  ['Hamburg', '', 'DE', 53.5511, 9.9937, 'Europe/Berlin'],
+  ['Frankfurt', '', 'DE', 50.1109, 8.6821, 'Europe/Berlin'],
+  ['Cologne', '', 'DE', 50.9375, 6.9603, 'Europe/Berlin', ['koln']],
+  ['Amsterdam', '', 'NL', 52.3676, 4.9041, 'Europe/Amsterdam'],
+  ['Rotterdam', '', 'NL', 51.9244, 4.4777, 'Europe/Amsterdam'],
+  ['Brussels', '', 'BE', 50.8503, 4.3517, 'Europe/Brussels'],
+  ['Luxembourg', '', 'LU', 49.6116, 6.1319, 'Europe/Luxembourg'],
+  ['Zurich', '', 'CH', 47.3769, 8.5417, 'Europe/Zurich'],
+  ['Geneva', '', 'CH', 46.2044, 6.1432, 'Europe/Zurich'],
+  ['Vienna', '', 'AT', 48.2082, 16.3738, 'Europe/Vienna', ['wien']],
+  ['Prague', '', 'CZ', 50.0755, 14.4378, 'Europe/Prague'],
+  ['Warsaw', '', 'PL', 52.2297, 21.0122, 'Europe/Warsaw'],
+  ['Krakow', '', 'PL', 50.0647, 19.9450, 'Europe/Warsaw'],
+  ['Budapest', '', 'HU', 47.4979, 19.0402, 'Europe/Budapest'],
+  ['Copenhagen', '', 'DK', 55.6761, 12.5683, 'Europe/Copenhagen'],
+  ['Stockholm', '', 'SE', 59.3293, 18.0686, 'Europe/Stockholm'],
+  ['Oslo', '', 'NO', 59.9139, 10.7522, 'Europe/Oslo'],
+  ['Helsinki', '', 'FI', 60.1699, 24.9384, 'Europe/Helsinki'],
+  ['Reykjavik', '', 'IS', 64.1466, -21.9426, 'Atlantic/Reykjavik'],
+  ['Madrid', '', 'ES', 40.4168, -3.7038, 'Europe/Madrid'],
+  ['Barcelona', '', 'ES', 41.3851, 2.1734, 'Europe/Madrid'],
+  ['Seville', '', 'ES', 37.3891, -5.9845, 'Europe/Madrid', ['sevilla']],
+  ['Valencia', '', 'ES', 39.4699, -0.3763, 'Europe/Madrid'],
+  ['Lisbon', '', 'PT', 38.7223, -9.1393, 'Europe/Lisbon', ['lisboa']],
+  ['Porto', '', 'PT', 41.1579, -8.6291, 'Europe/Lisbon'],
+  ['Rome', '', 'IT', 41.9028, 12.4964, 'Europe/Rome', ['roma']],
+  ['Milan', '', 'IT', 45.4642, 9.1900, 'Europe/Rome', ['milano']],
+  ['Naples', '', 'IT', 40.8518, 14.2681, 'Europe/Rome', ['napoli']],
+  ['Florence', '', 'IT', 43.7696, 11.2558, 'Europe/Rome', ['firenze']],
+  ['Venice', '', 'IT', 45.4408, 12.3155, 'Europe/Rome', ['venezia']],
+  ['Athens', '', 'GR', 37.9838, 23.7275, 'Europe/Athens'],
+  ['Istanbul', '', 'TR', 41.0082, 28.9784, 'Europe/Istanbul'],
+  ['Moscow', '', 'RU', 55.7558, 37.6173, 'Europe/Moscow'],
+  ['Saint Petersburg', '', 'RU', 59.9311, 30.3609, 'Europe/Moscow'],
+  ['Kyiv', '', 'UA', 50.4501, 30.5234, 'Europe/Kyiv', ['kiev']],
+  ['Bucharest', '', 'RO', 44.4268, 26.1025, 'Europe/Bucharest'],
+  ['Sofia', '', 'BG', 42.6977, 23.3219, 'Europe/Sofia'],
+  ['Belgrade', '', 'RS', 44.7866, 20.4489, 'Europe/Belgrade'],
+  ['Zagreb', '', 'HR', 45.8150, 15.9819, 'Europe/Zagreb'],
+  ['Ljubljana', '', 'SI', 46.0569, 14.5058, 'Europe/Ljubljana'],
+  ['Bratislava', '', 'SK', 48.1486, 17.1077, 'Europe/Bratislava'],
+  ['Vilnius', '', 'LT', 54.6872, 25.2797, 'Europe/Vilnius'],
+  ['Riga', '', 'LV', 56.9496, 24.1052, 'Europe/Riga'],
+  ['Tallinn', '', 'EE', 59.4370, 24.7536, 'Europe/Tallinn'],
+
+  // Africa and the Middle East
+  ['Cairo', '', 'EG', 30.0444, 31.2357, 'Africa/Cairo'],
+  ['Lagos', '', 'NG', 6.5244, 3.3792, 'Africa/Lagos'],
+  ['Accra', '', 'GH', 5.6037, -0.1870, 'Africa/Accra'],
+  ['Dakar', '', 'SN', 14.7167, -17.4677, 'Africa/Dakar'],
+  ['Nairobi', '', 'KE', -1.2921, 36.8219, 'Africa/Nairobi'],
+  ['Addis Ababa', '', 'ET', 9.0300, 38.7400, 'Africa/Addis_Ababa'],
+  ['Johannesburg', '', 'ZA', -26.2041, 28.0473, 'Africa/Johannesburg'],
+  ['Cape Town', '', 'ZA', -33.9249, 18.4241, 'Africa/Johannesburg'],
+  ['Casablanca', '', 'MA', 33.5731, -7.5898, 'Africa/Casablanca'],
+  ['Marrakesh', '', 'MA', 31.6295, -7.9811, 'Africa/Casablanca', ['marrakech']],
+  ['Tel Aviv', '', 'IL', 32.0853, 34.7818, 'Asia/Jerusalem'],
+  ['Jerusalem', '', 'IL', 31.7683, 35.2137, 'Asia/Jerusalem'],
+  ['Beirut', '', 'LB', 33.8938, 35.5018, 'Asia/Beirut'],
+  ['Amman', '', 'JO', 31.9454, 35.9284, 'Asia/Amman'],
+  ['Riyadh', '', 'SA', 24.7136, 46.6753, 'Asia/Riyadh'],
+  ['Dubai', '', 'AE', 25.2048, 55.2708, 'Asia/Dubai'],
+  ['Tehran', '', 'IR', 35.6892, 51.3890, 'Asia/Tehran'],
+
+  // Asia
+  ['Mumbai', '', 'IN', 19.0760, 72.8777, 'Asia/Kolkata', ['bombay']],
+  ['New Delhi', '', 'IN', 28.6139, 77.2090, 'Asia/Kolkata', ['delhi']],
+  ['Bengaluru', '', 'IN', 12.9716, 77.5946, 'Asia/Kolkata', ['bangalore']],
+  ['Kolkata', '', 'IN', 22.5726, 88.3639, 'Asia/Kolkata', ['calcutta']],
+  ['Chennai', '', 'IN', 13.0827, 80.2707, 'Asia/Kolkata', ['madras']],
+  ['Karachi', '', 'PK', 24.8607, 67.0011, 'Asia/Karachi'],
+  ['Lahore', '', 'PK', 31.5204, 74.3587, 'Asia/Karachi'],
+  ['Dhaka', '', 'BD', 23.8103, 90.4125, 'Asia/Dhaka'],
+  ['Kathmandu', '', 'NP', 27.7172, 85.3240, 'Asia/Kathmandu'],
+  ['Colombo', '', 'LK', 6.9271, 79.8612, 'Asia/Colombo'],
+  ['Bangkok', '', 'TH', 13.7563, 100.5018, 'Asia/Bangkok'],
+  ['Singapore', '', 'SG', 1.3521, 103.8198, 'Asia/Singapore'],
+  ['Kuala Lumpur', '', 'MY', 3.1390, 101.6869, 'Asia/Kuala_Lumpur'],
+  ['Jakarta', '', 'ID', -6.2088, 106.8456, 'Asia/Jakarta'],
+  ['Denpasar', '', 'ID', -8.6705, 115.2126, 'Asia/Makassar', ['bali']],
+  ['Manila', '', 'PH', 14.5995, 120.9842, 'Asia/Manila'],
+  ['Ho Chi Minh City', '', 'VN', 10.8231, 106.6297, 'Asia/Ho_Chi_Minh', ['saigon']],
+  ['Hanoi', '', 'VN', 21.0278, 105.8342, 'Asia/Ho_Chi_Minh'],
+  ['Hong Kong', '', 'HK', 22.3193, 114.1694, 'Asia/Hong_Kong'],
+  ['Taipei', '', 'TW', 25.0330, 121.5654, 'Asia/Taipei'],
+  ['Shanghai', '', 'CN', 31.2304, 121.4737, 'Asia/Shanghai'],
+  ['Beijing', '', 'CN', 39.9042, 116.4074, 'Asia/Shanghai', ['peking']],
+  ['Seoul', '', 'KR', 37.5665, 126.9780, 'Asia/Seoul'],
+  ['Tokyo', '', 'JP', 35.6762, 139.6503, 'Asia/Tokyo'],
+  ['Osaka', '', 'JP', 34.6937, 135.5023, 'Asia/Tokyo'],
+  ['Kyoto', '', 'JP', 35.0116, 135.7681, 'Asia/Tokyo'],
+
+  // Oceania
+  ['Sydney', 'NSW', 'AU', -33.8688, 151.2093, 'Australia/Sydney'],
+  ['Melbourne', 'VIC', 'AU', -37.8136, 144.9631, 'Australia/Melbourne'],
+  ['Brisbane', 'QLD', 'AU', -27.4698, 153.0251, 'Australia/Brisbane'],
+  ['Perth', 'WA', 'AU', -31.9505, 115.8605, 'Australia/Perth'],
+  ['Adelaide', 'SA', 'AU', -34.9285, 138.6007, 'Australia/Adelaide'],
+  ['Hobart', 'TAS', 'AU', -42.8821, 147.3272, 'Australia/Hobart'],
+  ['Darwin', 'NT', 'AU', -12.4634, 130.8456, 'Australia/Darwin'],
+  ['Canberra', 'ACT', 'AU', -35.2809, 149.1300, 'Australia/Sydney'],
+  ['Auckland', '', 'NZ', -36.8485, 174.7633, 'Pacific/Auckland'],
+  ['Wellington', '', 'NZ', -41.2865, 174.7762, 'Pacific/Auckland'],
+  ['Christchurch', '', 'NZ', -43.5321, 172.6362, 'Pacific/Auckland']
+];
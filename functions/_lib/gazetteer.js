@@ -0,0 +1,136 @@
+// functions/_lib/gazetteer.js
+// Resolves a typed birth place ("Des Moines, Iowa", "portland or",
+// "São Paulo") against the bundled place list in gazetteer-data.js, and
+// works out the UTC offset for the birth moment there. Everything is local:
+// no geocoding service is called.
+
+import { PLACES, COUNTRIES, REGIONS } from './gazetteer-data.js';
+import { localTimeToUtc } from './timezone.js';
+
+let placeIndex = null;
+
+// Lowercase, accents and punctuation stripped, "St." spelled out
+export function normalizePlaceName(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/['’.]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .replace(/^st /, 'saint ')
+    .replace(/^ste /, 'sainte ');
+}
+
+// Places keyed by normalized name and alias, built on first use
+function getPlaceIndex() {
+  if (!placeIndex) {
+    placeIndex = new Map();
+    for (const [name, region, country, latitude, longitude, timeZone, aliases = []] of PLACES) {
+      const place = { name, region, country, latitude, longitude, timeZone };
+      for (const key of [name, ...aliases].map(normalizePlaceName)) {
+        if (!placeIndex.has(key)) placeIndex.set(key, []);
+        placeIndex.get(key).push(place);
+      }
+    }
+  }
+  return placeIndex;
+}
+
+// "Portland, OR, US"
+export function placeLabel(place) {
+  return [place.name, place.region, place.country].filter(Boolean).join(', ');
+}
+
+// Does a qualifier like "iowa", "ia" or "usa" describe this place?
+function matchesQualifier(place, qualifier) {
+  const country = place.country.toLowerCase();
+  if (qualifier === country || COUNTRIES[place.country].includes(qualifier)) {
+    return true;
+  }
+  if (!place.region) return false;
+  return qualifier === place.region.toLowerCase() ||
+    REGIONS[`${place.country}-${place.region}`] === qualifier;
+}
+
+// Can the remaining words be read as a run of qualifiers for this place?
+// Tries the longest phrase first, so "new south wales" isn't read as "new".
+function qualifiersMatch(place, words) {
+  if (words.length === 0) return true;
+  for (let length = words.length; length > 0; length--) {
+    if (matchesQualifier(place, words.slice(0, length).join(' ')) &&
+        qualifiersMatch(place, words.slice(length))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Look up a place. Resolves to { place, alternatives } - alternatives being
+// other places that fit the text equally well - or null if nothing matches.
+export function findPlace(query) {
+  const parts = String(query || '').split(',').map(normalizePlaceName).filter(Boolean);
+  if (parts.length === 0) return null;
+
+  // "City, qualifiers..." when there are commas; otherwise try the longest
+  // leading run of words as the name and the rest as qualifiers
+  const attempts = [];
+  if (parts.length > 1) {
+    attempts.push({ name: parts[0], rest: parts.slice(1).join(' ').split(' ') });
+  } else {
+    const words = parts[0].split(' ');
+    for (let length = words.length; length > 0; length--) {
+      attempts.push({ name: words.slice(0, length).join(' '), rest: words.slice(length) });
+    }
+  }
+
+  for (const { name, rest } of attempts) {
+    const matching = (getPlaceIndex().get(name) || []).filter(place => qualifiersMatch(place, rest));
+    if (matching.length > 0) {
+      return { place: matching[0], alternatives: matching.slice(1) };
+    }
+  }
+  return null;
+}
+
+// Birth details from a validated contact submission, with the place resolved
+// to coordinates and the birth moment to UTC. When the time is unknown the
+// offset is the one in force at local noon and no UTC moment is given.
+export function resolveBirthData({ birth_date, birth_time, birth_time_unknown, birth_place }) {
+  const timeUnknown = Boolean(birth_time_unknown);
+  const time = timeUnknown ? null : birth_time.slice(0, 5);
+  const birthData = {
+    date: birth_date,
+    time,
+    timeUnknown,
+    place: birth_place,
+    location: null,
+    utcOffset: null,
+    utc: null,
+    timeNote: null
+  };
+
+  const match = findPlace(birth_place);
+  if (!match) {
+    return birthData;
+  }
+
+  const { place, alternatives } = match;
+  birthData.location = {
+    ...place,
+    label: placeLabel(place),
+    alternatives: alternatives.map(placeLabel)
+  };
+
+  try {
+    const converted = localTimeToUtc(birth_date, time || '12:00', place.timeZone);
+    birthData.utcOffset = converted.offset;
+    birthData.utc = timeUnknown ? null : converted.utc;
+    birthData.timeNote = converted.note;
+  } catch (error) {
+    // A zone the runtime doesn't know - the place is still worth keeping
+    console.warn(`Could not convert birth time for ${place.timeZone}:`, error.message);
+  }
+
+  return birthData;
+}
@@ -0,0 +1,119 @@
+// functions/_lib/http.js
+// Response helpers shared by every Function, and the CORS policy applied by
+// functions/_middleware.js.
+//
+// Browsers on other origins may call the API only from ALLOWED_ORIGINS, a
+// comma-separated list of origins; an entry like
+// "https://*.dreamthewilderness.pages.dev" matches one extra label in front
+// of the rest. Without it, the live site, local development servers and this
+// project's Pages deployments (<hash or branch>.dreamthewilderness.pages.dev)
+// are allowed - not all of *.pages.dev, where anyone can deploy a site.
+
+const DEFAULT_ALLOWED_ORIGINS = [
+  'https://dreamthewilderness.com',
+  'http://localhost:8000',
+  'http://localhost:3000',
+  'https://dreamthewilderness.pages.dev',
+  'https://*.dreamthewilderness.pages.dev'
+];
+
+const CORS_METHODS = 'GET, POST, PUT, PATCH, DELETE, OPTIONS';
+const CORS_HEADERS = 'Content-Type, Authorization';
+const CORS_MAX_AGE_SECONDS = 86400;
+
+// The same security headers _headers.txt gives static files, which Pages
+// doesn't apply to responses from Functions
+export const SECURITY_HEADERS = {
+  'X-Frame-Options': 'DENY',
+  'X-Content-Type-Options': 'nosniff',
+  'Referrer-Policy': 'strict-origin-when-cross-origin',
+  'Permissions-Policy': 'camera=(), microphone=(), geolocation=(), payment=()',
+  'Strict-Transport-Security': 'max-age=31536000; includeSubDomains; preload'
+};
+
+// JSON response. API responses are personal or change often, so they aren't
+// cached unless `additionalHeaders` says otherwise.
+export function jsonResponse(data, status = 200, additionalHeaders = {}) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-store',
+      ...additionalHeaders
+    }
+  });
+}
+
+// 429 for a rate limiter result that isn't allowed. `body` carries the
+// endpoint's own envelope and wording; the code and retry time are added.
+export function rateLimitedResponse(result, body) {
+  return jsonResponse({
+    ...body,
+    code: 'rate_limited',
+    retryAfter: result.retryAfter
+  }, 429, { 'Retry-After': String(result.retryAfter) });
+}
+
+// Submitted fields as a plain object, from either a JSON or a form body
+export async function readSubmission(request) {
+  const contentType = request.headers.get('Content-Type') || '';
+  if (contentType.includes('application/json')) {
+    const body = await request.json();
+    return body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+  }
+  return Object.fromEntries(await request.formData());
+}
+
+// Text made safe for HTML content and quoted attribute values
+export function escapeHtml(text) {
+  if (text === null || text === undefined) return '';
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+function allowedOrigins(env) {
+  if (!env.ALLOWED_ORIGINS) return DEFAULT_ALLOWED_ORIGINS;
+  return String(env.ALLOWED_ORIGINS).split(',').map(origin => origin.trim()).filter(Boolean);
+}
+
+export function isAllowedOrigin(env, origin) {
+  if (!origin) return false;
+  return allowedOrigins(env).some(allowed => {
+    const wildcard = allowed.indexOf('://*.');
+    if (wildcard === -1) return allowed === origin;
+
+    // "https://*.example.pages.dev" -> scheme "https://" and suffix
+    // ".example.pages.dev", with a single hostname label in between
+    const scheme = allowed.slice(0, wildcard + 3);
+    const suffix = allowed.slice(wildcard + 4);
+    if (!origin.startsWith(scheme) || !origin.endsWith(suffix)) return false;
+    return /^[a-z0-9-]+$/i.test(origin.slice(scheme.length, origin.length - suffix.length));
+  });
+}
+
+// CORS headers for a request's origin; empty when it isn't allowed
+export function corsHeaders(env, request) {
+  const origin = request.headers.get('Origin');
+  if (!isAllowedOrigin(env, origin)) return {};
+  return {
+    'Access-Control-Allow-Origin': origin,
+    'Access-Control-Allow-Methods': CORS_METHODS,
+    'Access-Control-Allow-Headers': CORS_HEADERS,
+    'Access-Control-Expose-Headers': 'X-Request-Id, Retry-After'
+  };
+}
+
+// Answer to a CORS preflight (OPTIONS with Access-Control-Request-Method)
+export function preflightResponse(env, request) {
+  return new Response(null, {
+    status: 204,
+    headers: {
+      ...corsHeaders(env, request),
+      'Access-Control-Max-Age': String(CORS_MAX_AGE_SECONDS)
+    }
+  });
+}
@@ -0,0 +1,92 @@
+// functions/_lib/ical.js
+// Minimal iCalendar (RFC 5545) output for booking confirmations and the
+// owner's subscription feed. Times are always written in UTC, so no
+// VTIMEZONE blocks are needed.
+
+const PRODUCT_ID = '-//Dream the Wilderness//Bookings//EN';
+
+// Build a VCALENDAR from event objects:
+//   { uid, start, end, summary, description, url, organizer: { name, email },
+//     attendee: { name, email }, status, created }
+// start/end/created are ISO strings. Returns the text with CRLF line endings.
+export function buildCalendar(events, { name = null, method = 'PUBLISH' } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`
+  ];
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+
+  const stamp = formatUtc(new Date().toISOString());
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${formatUtc(event.start)}`,
+      `DTEND:${formatUtc(event.end)}`,
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    if (event.created) lines.push(`CREATED:${formatUtc(event.created)}`);
+    if (event.organizer) {
+      lines.push(`ORGANIZER;CN=${quoteParam(event.organizer.name)}:mailto:${event.organizer.email}`);
+    }
+    if (event.attendee) {
+      lines.push(`ATTENDEE;CN=${quoteParam(event.attendee.name)};ROLE=REQ-PARTICIPANT:mailto:${event.attendee.email}`);
+    }
+    lines.push(`STATUS:${event.status || 'CONFIRMED'}`, 'END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// 2026-10-19T15:00:00.000Z -> 20261019T150000Z
+function formatUtc(iso) {
+  return new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeText(text) {
+  return String(text || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Parameter values can't contain quotes; quote them if they hold : ; or ,
+function quoteParam(text) {
+  const value = String(text || '').replace(/["\r\n]/g, '');
+  return /[:;,]/.test(value) ? `"${value}"` : value;
+}
+
+// Lines longer than 75 octets continue on the next line after a space.
+// Splits between characters, never inside a UTF-8 sequence.
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  if (encoder.encode(line).length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = encoder.encode(char).length;
+    // Continuation lines start with a space, leaving 74 octets of content
+    const limit = parts.length === 0 ? 75 : 74;
+    if (size + charSize > limit) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
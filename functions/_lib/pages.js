@@ -0,0 +1,38 @@
+// functions/_lib/pages.js
+// Small standalone HTML pages for the steps reached from an emailed link
+// (privacy requests, signup confirmations, downloads), styled like the site.
+
+import { SITE_TITLE } from './site.js';
+import { escapeHtml } from './http.js';
+
+export function standalonePage(title, bodyHtml, status = 200) {
+  return new Response(`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex, nofollow">
+    <title>${escapeHtml(title)} | ${escapeHtml(SITE_TITLE)}</title>
+    <style>
+        body { font-family: 'Georgia', 'Times New Roman', serif; background: #F2F2E3; color: #3d2914; line-height: 1.6; padding: 3rem 1.5rem; }
+        main { max-width: 36rem; margin: 0 auto; }
+        a { color: #8b755d; }
+        button { font: inherit; padding: 0.6rem 1.2rem; border: none; border-radius: 25px; background: #8b755d; color: #fff; cursor: pointer; }
+    </style>
+</head>
+<body>
+    <main>
+        <h1>${escapeHtml(title)}</h1>
+        ${bodyHtml}
+    </main>
+</body>
+</html>
+`, {
+    status,
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': 'no-store',
+      'Referrer-Policy': 'no-referrer'
+    }
+  });
+}
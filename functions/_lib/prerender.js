@@ -0,0 +1,306 @@
+// functions/_lib/prerender.js
+// Fills in the single-page shell (index.html) at the edge, so crawlers, link
+// previews and visitors without JavaScript get a real page for each route:
+//   - the route's title, description, Open Graph/Twitter tags, canonical link
+//     and JSON-LD (route metadata lives in js/routes.js)
+//   - the route's section shown instead of home
+//   - the retention period from CONTACT_RETENTION_DAYS in the privacy policy
+//   - the latest posts from the cached feed in #blog-posts, marked
+//     data-prerendered so js/blog-loader.js keeps them instead of refetching
+//   - on /blog/<slug>, the post itself in the reader view, with its own
+//     preview tags, BlogPosting JSON-LD and a canonical link to the original
+//     on Substack so search engines don't count it twice
+//
+// Only the KV copy of the feed is used; if there isn't one yet the grid is
+// left to the browser, so a slow Substack never holds up a page.
+
+import { loadFeed, latestPosts } from '../api/blog.js';
+import { readPost } from '../api/blog/[slug].js';
+import { ROUTES, resolveRoute, pathForRoute } from '../../js/routes.js';
+import { SITE_URL, SITE_TITLE, SITE_AUTHOR, SITE_IMAGE, SUBSTACK_URL, postUrl } from './site.js';
+import { retentionDays } from './contacts.js';
+import { escapeHtml } from './http.js';
+
+// Shown on cards for posts without an image, as in js/blog-loader.js
+const PLACEHOLDER_IMAGE = 'https://images.unsplash.com/photo-1481627834876-b7833e8f5570?w=600&h=300&fit=crop&q=80';
+
+// Rewrite the page for `routeName` and return the new response
+export async function prerenderRoute(context, routeName, response) {
+  const route = resolveRoute(routeName);
+  const url = `${SITE_URL}${pathForRoute(routeName)}`;
+  const meta = { ...ROUTES[route.name], url, canonical: url, type: 'website', image: null };
+  const keptForDays = retentionDays(context.env);
+
+  let feed = null;
+  try {
+    feed = await loadFeed(context, { cacheOnly: true });
+  } catch (error) {
+    console.warn('Prerender: Could not read the saved feed:', error.message);
+  }
+
+  const posts = feed && feed.items.length > 0 ? { ...latestPosts(feed.items), feed } : null;
+
+  // A post page; unknown slugs get the shell with a 404 and the reader shows
+  // its "couldn't be found" message
+  let article = null;
+  let status = response.status;
+  if (route.sectionId === 'blog-post' && feed) {
+    article = await readPost(feed.items, route.param.toLowerCase());
+    if (article) {
+      Object.assign(meta, {
+        title: `${article.post.title} | ${SITE_TITLE}`,
+        description: article.post.description || meta.description,
+        canonical: article.post.link,
+        type: 'article',
+        image: article.post.image
+      });
+    } else {
+      status = 404;
+    }
+  }
+
+  let rewriter = new HTMLRewriter()
+    .on('title', {
+      element(element) {
+        element.setInnerContent(meta.title);
+      }
+    })
+    .on('meta[name="description"]', setAttribute('content', meta.description))
+    .on('meta[property="og:title"]', setAttribute('content', meta.title))
+    .on('meta[property="og:description"]', setAttribute('content', meta.description))
+    .on('meta[property="og:url"]', setAttribute('content', url))
+    .on('meta[property="og:type"]', setAttribute('content', meta.type))
+    .on('meta[name="twitter:title"]', setAttribute('content', meta.title))
+    .on('meta[name="twitter:description"]', setAttribute('content', meta.description))
+    .on('link[rel="canonical"]', setAttribute('href', meta.canonical))
+    .on('head', {
+      element(element) {
+        const data = article ? postPageData(article.post, url) : routePageData(route, meta, url, posts);
+        element.append(jsonLdScript(data), { html: true });
+        if (article) {
+          element.append(`<meta property="article:published_time" content="${escapeHtml(new Date(article.post.pubDate).toISOString())}">\n`, { html: true });
+        }
+      }
+    })
+    .on('.content-section', {
+      element(element) {
+        toggleClass(element, 'active', element.getAttribute('id') === route.sectionId);
+      }
+    })
+    .on('[data-section]', {
+      element(element) {
+        toggleClass(element, 'active', element.getAttribute('data-section') === route.navSection);
+      }
+    })
+    .on('[data-retention-days]', {
+      element(element) {
+        element.setInnerContent(String(keptForDays));
+      }
+    });
+
+  if (meta.image) {
+    // The site image's alt text and size don't fit a post's image
+    rewriter = rewriter
+      .on('meta[property="og:image"]', setAttribute('content', meta.image))
+      .on('meta[name="twitter:image"]', setAttribute('content', meta.image))
+      .on('meta[property="og:image:alt"]', setAttribute('content', article.post.title))
+      .on('meta[property="og:image:width"]', removeElement())
+      .on('meta[property="og:image:height"]', removeElement());
+  }
+
+  if (article) {
+    rewriter = rewriter.on('#blog-reader', {
+      element(element) {
+        element.setInnerContent(readerMarkup(article), { html: true });
+        element.setAttribute('data-prerendered', article.post.slug);
+      }
+    });
+  }
+
+  if (posts) {
+    rewriter = rewriter
+      .on('#blog-posts', {
+        element(element) {
+          element.setInnerContent(posts.items.map(blogCard).join(''), { html: true });
+          element.setAttribute('data-prerendered', '');
+          if (posts.nextCursor) {
+            element.setAttribute('data-next-cursor', posts.nextCursor);
+          }
+        }
+      })
+      .on('#blog-load-more', {
+        element(element) {
+          if (posts.nextCursor) {
+            element.removeAttribute('hidden');
+          }
+        }
+      })
+      .on('#blog-notice', {
+        element(element) {
+          // Same wording js/blog-loader.js uses when the API serves a saved copy
+          if (posts.feed.stale && posts.feed.upstreamError) {
+            const savedOn = new Date(posts.feed.updatedAt).toLocaleDateString('en-US', { month: 'long', day: 'numeric' });
+            element.setInnerContent(`showing saved posts from ${savedOn} - newer reflections may be waiting on Substack.`);
+            element.removeAttribute('hidden');
+          }
+        }
+      });
+  }
+
+  const rendered = rewriter.transform(response);
+  const page = new Response(rendered.body, { status, headers: rendered.headers });
+  // The posts change as the feed does, so the page can't be cached for long
+  page.headers.set('Cache-Control', 'public, max-age=0, must-revalidate');
+  return page;
+}
+
+// Card markup matching displayBlogPosts in js/blog-loader.js
+function blogCard(post) {
+  const date = new Date(post.pubDate).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+  const slug = encodeURIComponent(post.slug || '');
+
+  return `
+            <div class="service-card blog-post visible">
+                <img src="${escapeHtml(post.image || PLACEHOLDER_IMAGE)}" alt="${escapeHtml(post.title)}" loading="lazy" class="blog-post-image">
+                <h3 class="blog-post-title">${escapeHtml(post.title)}</h3>
+                <p class="blog-post-date">${escapeHtml(date)}</p>
+                <p class="blog-post-excerpt">${escapeHtml(post.description || 'Read more on Substack...')}</p>
+                <a href="/blog/${slug}" data-section="blog/${slug}" class="btn">Read Full Post</a>
+            </div>
+        `;
+}
+
+// Reader markup matching displayBlogPost in js/blog-loader.js
+function readerMarkup({ post, previous, next }) {
+  const date = new Date(post.pubDate).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+
+  // Substack bodies usually open with their own image; only add the
+  // featured image when the content has none
+  const showFeaturedImage = post.image && !/<img\b/i.test(post.content);
+
+  const neighbourLink = (neighbour, label, className) => neighbour ? `
+        <a href="/blog/${encodeURIComponent(neighbour.slug)}" data-section="blog/${encodeURIComponent(neighbour.slug)}" class="${className}">
+            <span class="blog-reader-nav-label">${label}</span>
+            <span class="blog-reader-nav-title">${escapeHtml(neighbour.title)}</span>
+        </a>
+    ` : '<span></span>';
+
+  // post.content was sanitized by readPost
+  return `
+        <a href="/blog" data-section="blog" class="blog-reader-back">&larr; all reflections</a>
+        <header class="blog-reader-header">
+            <h1 id="blog-post-title" class="blog-reader-title" tabindex="-1">${escapeHtml(post.title)}</h1>
+            <p class="blog-reader-meta">
+                <span>${escapeHtml(post.author)}</span> &middot;
+                <time datetime="${new Date(post.pubDate).toISOString()}">${escapeHtml(date)}</time> &middot;
+                <span>${post.readingTime} min read</span>
+            </p>
+        </header>
+        ${showFeaturedImage ? `<img src="${escapeHtml(post.image)}" alt="" class="blog-reader-image">` : ''}
+        <div class="blog-reader-content">${post.content}</div>
+        <aside class="blog-reader-cta" aria-label="continue on Substack">
+            <p>enjoying these reflections? new essays arrive by email first.</p>
+            <div class="blog-reader-cta-actions">
+                <a href="${SUBSTACK_URL}/subscribe" target="_blank" rel="noopener noreferrer" class="btn">subscribe on Substack</a>
+                <a href="${escapeHtml(post.link)}" target="_blank" rel="noopener noreferrer" class="btn btn-secondary">read on Substack</a>
+            </div>
+        </aside>
+        <nav class="blog-reader-nav" aria-label="more reflections">
+            ${neighbourLink(previous, '&larr; previous', 'blog-reader-prev')}
+            ${neighbourLink(next, 'next &rarr;', 'blog-reader-next')}
+        </nav>
+    `;
+}
+
+// schema.org data for a post page. Its canonical home is on Substack, so
+// that's the page it's the main entity of
+function postPageData(post, url) {
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'BlogPosting',
+    headline: post.title,
+    description: post.description,
+    image: post.image || SITE_IMAGE,
+    datePublished: new Date(post.pubDate).toISOString(),
+    author: { '@type': 'Person', name: post.author || SITE_AUTHOR },
+    publisher: { '@type': 'Organization', name: SITE_TITLE, url: SITE_URL },
+    url,
+    mainEntityOfPage: { '@type': 'WebPage', '@id': post.link },
+    isPartOf: { '@type': 'Blog', name: SITE_TITLE, url: `${SITE_URL}/blog` },
+    wordCount: post.wordCount,
+    keywords: post.categories.length > 0 ? post.categories.join(', ') : undefined
+  };
+}
+
+// schema.org data for the route, alongside the Person block already in the page
+function routePageData(route, meta, url, posts) {
+  if (route.name === 'home') {
+    return { '@context': 'https://schema.org', '@type': 'WebSite', name: SITE_TITLE, description: meta.description, url };
+  }
+
+  const page = {
+    '@context': 'https://schema.org',
+    '@type': 'WebPage',
+    name: meta.title,
+    description: meta.description,
+    url,
+    isPartOf: { '@type': 'WebSite', name: SITE_TITLE, url: SITE_URL }
+  };
+
+  if (route.name === 'about') {
+    return { ...page, '@type': 'ProfilePage', mainEntity: { '@type': 'Person', name: SITE_AUTHOR, image: SITE_IMAGE } };
+  }
+
+  if (route.sectionId === 'blog' && posts) {
+    return {
+      ...page,
+      '@type': 'Blog',
+      blogPost: posts.items.map(post => ({
+        '@type': 'BlogPosting',
+        headline: post.title,
+        url: postUrl(post.slug || ''),
+        datePublished: new Date(post.pubDate).toISOString(),
+        author: { '@type': 'Person', name: post.author || SITE_AUTHOR },
+        image: post.image || undefined
+      }))
+    };
+  }
+
+  return page;
+}
+
+// "<" is escaped so nothing in the data can close the script element early
+export function jsonLdScript(data) {
+  const json = JSON.stringify(data, null, 2).replace(/</g, '\\u003c');
+  return `<script type="application/ld+json">\n${json}\n</script>\n`;
+}
+
+function setAttribute(name, value) {
+  return {
+    element(element) {
+      element.setAttribute(name, value);
+    }
+  };
+}
+
+function removeElement() {
+  return {
+    element(element) {
+      element.remove();
+    }
+  };
+}
+
+function toggleClass(element, name, on) {
+  const classes = (element.getAttribute('class') || '').split(/\s+/).filter(Boolean);
+  if (classes.includes(name) === on) return;
+  element.setAttribute('class', (on ? [...classes, name] : classes.filter(item => item !== name)).join(' '));
+}
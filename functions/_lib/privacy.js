@@ -0,0 +1,217 @@
+// functions/_lib/privacy.js
+// Personal data handling: IP hashing and the data subject request flows
+// behind /api/privacy/export and /api/privacy/delete.
+//
+// A request only takes an email address. If we hold anything for it, a
+// signed link valid for PRIVACY_LINK_TTL_MS is mailed to that address; the
+// response is the same either way, so the endpoint can't be used to find
+// out whether someone has been in touch. Links are signed with
+// PRIVACY_SIGNING_SECRET.
+
+import { signToken, verifyToken, hmacSha256Hex } from './signing.js';
+import { sendEmail, PENDING_PREFIX } from './email.js';
+import { findContactsByEmail } from './contacts.js';
+import { findBookingsByEmail, releaseSlot } from './bookings.js';
+import { findOrdersByEmail } from './stripe.js';
+import { loadSubscriber, subscriberKey } from './subscribers.js';
+import { createRateLimiter, normalizeEmail } from './rate-limit.js';
+import { SITE_URL } from './site.js';
+import { standalonePage } from './pages.js';
+import { jsonResponse, readSubmission, rateLimitedResponse, escapeHtml } from './http.js';
+
+const PRIVACY_LINK_TTL_MS = 60 * 60 * 1000;
+
+const IP_RATE_LIMIT = { limit: 5, windowSeconds: 3600 };
+const EMAIL_RATE_LIMIT = { limit: 3, windowSeconds: 3600 };
+
+const PRIVACY_ACTIONS = {
+  export: {
+    path: '/api/privacy/export',
+    subject: 'your data from dream the wilderness',
+    intro: 'someone (hopefully you) asked for a copy of the information this site holds for this email address.',
+    linkLabel: 'download my data'
+  },
+  delete: {
+    path: '/api/privacy/delete',
+    subject: 'confirm erasing your data from dream the wilderness',
+    intro: 'someone (hopefully you) asked to erase the information this site holds for this email address.',
+    linkLabel: 'review and erase my data'
+  }
+};
+
+// Salted hash of a client IP, so repeat visitors can be told apart without
+// keeping the address. Resolves to null when no salt is configured.
+export async function hashIp(env, ip) {
+  if (!ip) return null;
+  if (!env.IP_HASH_SALT) {
+    console.warn('IP_HASH_SALT not set - client IPs are not being recorded');
+    return null;
+  }
+  return (await hmacSha256Hex(env.IP_HASH_SALT, ip)).slice(0, 32);
+}
+
+// Step one: take an address and, in the background, mail it a signed link.
+// Resolves to a Response.
+export async function requestPrivacyLink(context, action, email) {
+  const { request, env } = context;
+
+  if (!env.PRIVACY_SIGNING_SECRET) {
+    console.warn('Privacy requests not configured - set PRIVACY_SIGNING_SECRET');
+    return jsonResponse({
+      status: 'error',
+      message: 'Privacy requests are temporarily unavailable. Please email hello@dreamthewilderness.com'
+    }, 503);
+  }
+
+  if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return jsonResponse({ status: 'error', message: 'Please provide a valid email address' }, 400);
+  }
+
+  const kv = env.RATE_LIMIT_KV || env.CONTACTS_KV;
+  const checks = [
+    createRateLimiter({ kv, salt: env.IP_HASH_SALT, prefix: 'privacy_ip', ...IP_RATE_LIMIT }).consume(request.headers.get('CF-Connecting-IP')),
+    createRateLimiter({ kv, salt: env.IP_HASH_SALT, prefix: 'privacy_email', ...EMAIL_RATE_LIMIT }).consume(normalizeEmail(email))
+  ];
+  for (const result of await Promise.all(checks)) {
+    if (!result.allowed) {
+      return rateLimitedResponse(result, { status: 'error', message: 'Too many requests. Please try again later.' });
+    }
+  }
+
+  // Looked up and sent after the response, so timing doesn't give away
+  // whether the address is known
+  context.waitUntil(sendPrivacyLink(env, action, email.trim()).catch(error => {
+    console.error(`Privacy ${action} link failed:`, error.message);
+  }));
+
+  return jsonResponse({
+    status: 'ok',
+    message: 'If we hold any information for that address, a confirmation link is on its way to it. The link expires in one hour.'
+  }, 202);
+}
+
+async function sendPrivacyLink(env, action, email) {
+  const data = await collectPersonalData(env, email);
+  if (data.contacts.length === 0 && data.bookings.length === 0 && data.orders.length === 0 && !data.subscription && data.pendingEmails === 0) {
+    return;
+  }
+
+  const definition = PRIVACY_ACTIONS[action];
+  const token = await signToken({
+    action,
+    email: email.toLowerCase(),
+    exp: Date.now() + PRIVACY_LINK_TTL_MS
+  }, env.PRIVACY_SIGNING_SECRET);
+  const link = `${SITE_URL}${definition.path}?token=${encodeURIComponent(token)}`;
+
+  await sendEmail({
+    to: email,
+    from: env.FROM_EMAIL || 'noreply@dreamthewilderness.com',
+    subject: definition.subject,
+    html: `
+      <div style="font-family: Georgia, serif; color: #3d2914; max-width: 560px; line-height: 1.6;">
+        <p>hi,</p>
+        <p>${definition.intro}</p>
+        <p><a href="${escapeHtml(link)}" style="color: #8b755d;">${definition.linkLabel}</a></p>
+        <p>the link works for one hour. if you didn't ask for this, you can ignore this email and nothing will change.</p>
+        <p>warmly,<br>dream the wilderness</p>
+      </div>
+    `,
+    text: `hi,\n\n${definition.intro}\n\n${definition.linkLabel}: ${link}\n\nthe link works for one hour. if you didn't ask for this, you can ignore this email and nothing will change.\n\nwarmly,\ndream the wilderness`
+  }, env);
+}
+
+// Step two: check a link's token. Resolves to the email address it was
+// issued for, or null if it's forged, expired or meant for another action.
+export async function verifyPrivacyToken(env, token, action) {
+  const payload = await verifyToken(token, env.PRIVACY_SIGNING_SECRET);
+  if (!payload || payload.action !== action || !payload.email) {
+    return null;
+  }
+  return payload.email;
+}
+
+// Everything stored for an address
+export async function collectPersonalData(env, email) {
+  const kv = env.CONTACTS_KV;
+  const contacts = kv ? await findContactsByEmail(kv, email) : [];
+  const pending = kv ? await findPendingEmails(kv, email) : [];
+  const bookings = env.BOOKINGS_KV ? await findBookingsByEmail(env.BOOKINGS_KV, email) : [];
+  const orders = env.BOOKINGS_KV ? await findOrdersByEmail(env.BOOKINGS_KV, email) : [];
+  const subscription = kv ? await loadSubscriber(kv, email) : null;
+
+  return {
+    contacts: contacts.map(({ id, record }) => ({ id, ...record })),
+    bookings: bookings.map(({ record }) => record),
+    orders: orders.map(({ record }) => record),
+    subscription,
+    pendingEmails: pending.length
+  };
+}
+
+// Erase everything stored for an address. Erasing a booking also frees its
+// slot, so an upcoming reading is cancelled. Stripe keeps its own record of
+// any payment, and Substack of a newsletter subscription; only our copies go.
+// Resolves to { contacts, bookings, orders, subscriptions, pendingEmails }
+// with how many of each went.
+export async function erasePersonalData(env, email) {
+  const kv = env.CONTACTS_KV;
+  const contacts = kv ? await findContactsByEmail(kv, email) : [];
+  const pending = kv ? await findPendingEmails(kv, email) : [];
+  const bookings = env.BOOKINGS_KV ? await findBookingsByEmail(env.BOOKINGS_KV, email) : [];
+  const orders = env.BOOKINGS_KV ? await findOrdersByEmail(env.BOOKINGS_KV, email) : [];
+  const subscription = kv ? await loadSubscriber(kv, email) : null;
+
+  await Promise.all([...contacts.map(({ id }) => id), ...pending].map(key => kv.delete(key)));
+  if (subscription) {
+    await kv.delete(await subscriberKey(email));
+  }
+  await Promise.all(bookings.map(async ({ id, record }) => {
+    await env.BOOKINGS_KV.delete(id);
+    if (env.BOOKINGS_DB) {
+      await releaseSlot(env.BOOKINGS_DB, record.start, id);
+    }
+  }));
+  await Promise.all(orders.map(({ id }) => env.BOOKINGS_KV.delete(id)));
+
+  const subscriptions = subscription ? 1 : 0;
+  console.log(`Privacy erasure: removed ${contacts.length} contacts, ${bookings.length} bookings, ${orders.length} orders, ${subscriptions} guide signups and ${pending.length} queued emails`);
+  return { contacts: contacts.length, bookings: bookings.length, orders: orders.length, subscriptions, pendingEmails: pending.length };
+}
+
+// Queued emails sent to or on behalf of an address
+async function findPendingEmails(kv, email) {
+  const wanted = String(email).trim().toLowerCase();
+  const keys = [];
+
+  let listCursor;
+  do {
+    const page = await kv.list({ prefix: PENDING_PREFIX, cursor: listCursor });
+    for (const key of page.keys) {
+      const entry = await kv.get(key.name, 'json');
+      const addresses = entry && entry.email ? [entry.email.to, entry.email.replyTo] : [];
+      if (addresses.some(address => String(address || '').toLowerCase() === wanted)) {
+        keys.push(key.name);
+      }
+    }
+    listCursor = page.list_complete ? null : page.cursor;
+  } while (listCursor);
+
+  return keys;
+}
+
+// Standalone page for the steps reached from an emailed link
+export function privacyPage(title, bodyHtml, status = 200) {
+  return standalonePage(title, `${bodyHtml}
+        <p><a href="/privacy">back to the privacy policy</a></p>`, status);
+}
+
+// Read `email` or `token` from a form or JSON body
+export async function readPrivacyBody(request) {
+  try {
+    const body = await readSubmission(request);
+    return { email: body.email || null, token: body.token || null };
+  } catch (error) {
+    return { email: null, token: null };
+  }
+}
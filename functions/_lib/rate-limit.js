@@ -0,0 +1,95 @@
+// functions/_lib/rate-limit.js
+// Sliding-window rate limiting backed by KV, usable from any Function.
+//
+//   const limiter = createRateLimiter({ kv: env.RATE_LIMIT_KV, salt: env.IP_HASH_SALT, prefix: 'contact_ip', limit: 5, windowSeconds: 3600 });
+//   const result = await limiter.consume(ip);
+//   if (!result.allowed) return 429 with Retry-After: result.retryAfter
+//
+// Each identifier keeps a log of recent hit timestamps, so the window slides
+// with every request instead of resetting on the hour. Identifiers become KV
+// keys only as an HMAC keyed with `salt` (IP_HASH_SALT, as for hashIp), so
+// raw IPs and emails are never stored and a plain hash of every IPv4 address
+// can't be matched against them; without a salt nothing is limited. KV is
+// eventually consistent, so limits are best-effort across locations - plenty
+// for slowing down a flood, not a billing-grade quota.
+
+import { hmacSha256Hex } from './signing.js';
+
+const KEY_PREFIX = 'ratelimit';
+const MIN_KV_TTL_SECONDS = 60;
+
+export function createRateLimiter({ kv, salt, prefix, limit, windowSeconds }) {
+  return {
+    // Record a hit for `identifier` if it's under the limit.
+    // Resolves to { allowed, limit, remaining, retryAfter } (retryAfter in seconds).
+    async consume(identifier) {
+      if (!kv || !identifier) {
+        return { allowed: true, limit, remaining: limit, retryAfter: 0 };
+      }
+      if (!salt) {
+        console.warn(`IP_HASH_SALT not set - ${prefix} is not being rate limited`);
+        return { allowed: true, limit, remaining: limit, retryAfter: 0 };
+      }
+
+      const key = `${KEY_PREFIX}_${prefix}_${(await hmacSha256Hex(salt, String(identifier))).slice(0, 32)}`;
+      const now = Date.now();
+      const windowMs = windowSeconds * 1000;
+
+      let hits = [];
+      try {
+        const stored = await kv.get(key, 'json');
+        if (Array.isArray(stored)) {
+          hits = stored.filter(time => now - time < windowMs);
+        }
+      } catch (error) {
+        // Fail open: a KV hiccup shouldn't take the endpoint down with it
+        console.warn(`Rate limit read failed for ${prefix}:`, error.message);
+        return { allowed: true, limit, remaining: limit, retryAfter: 0 };
+      }
+
+      if (hits.length >= limit) {
+        const oldest = Math.min(...hits);
+        return {
+          allowed: false,
+          limit,
+          remaining: 0,
+          retryAfter: Math.max(1, Math.ceil((oldest + windowMs - now) / 1000))
+        };
+      }
+
+      hits.push(now);
+      try {
+        await kv.put(key, JSON.stringify(hits), {
+          expirationTtl: Math.max(MIN_KV_TTL_SECONDS, windowSeconds)
+        });
+      } catch (error) {
+        console.warn(`Rate limit write failed for ${prefix}:`, error.message);
+      }
+
+      return { allowed: true, limit, remaining: limit - hits.length, retryAfter: 0 };
+    }
+  };
+}
+
+// Parse a "<count>/<seconds>" setting such as "5/3600", falling back to the
+// defaults when the variable is unset or malformed
+export function parseRateLimit(setting, defaults) {
+  const match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(setting || '');
+  if (!match) {
+    if (setting) {
+      console.warn(`Ignoring malformed rate limit "${setting}", expected "<count>/<seconds>"`);
+    }
+    return { ...defaults };
+  }
+  return { limit: parseInt(match[1], 10), windowSeconds: parseInt(match[2], 10) };
+}
+
+// Lowercase, trim, and drop "+tag" suffixes so plus-addressing can't be
+// used to dodge a per-address limit
+export function normalizeEmail(email) {
+  const trimmed = String(email || '').trim().toLowerCase();
+  const at = trimmed.lastIndexOf('@');
+  if (at === -1) return trimmed;
+  const local = trimmed.slice(0, at).split('+')[0];
+  return `${local}@${trimmed.slice(at + 1)}`;
+}
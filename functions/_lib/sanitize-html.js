@@ -0,0 +1,196 @@
+// functions/_lib/sanitize-html.js
+// Strict allowlist sanitizer for post HTML coming out of the Substack feed.
+// Runs on the Workers HTMLRewriter, so it sees the markup the same way a
+// browser would. Anything not explicitly allowed is dropped: scripts, styles,
+// forms and their contents are removed outright, unknown wrappers are
+// unwrapped (unless the parser reads their contents as plain text), and every
+// attribute not on the list below is stripped. Cases live in
+// test/sanitize-html.test.js.
+
+import { isApprovedEmbed } from './embeds.js';
+
+// Elements removed together with everything inside them
+const DROP_WITH_CONTENT = [
+  'script', 'style', 'noscript', 'template', 'object', 'embed', 'applet',
+  'form', 'input', 'button', 'textarea', 'select', 'option', 'label',
+  'svg', 'math', 'canvas', 'audio', 'video', 'track',
+  'head', 'title', 'meta', 'link', 'base', 'frame', 'frameset',
+  'xmp', 'noembed', 'noframes', 'plaintext'
+];
+
+// Elements whose contents the parser reads as plain text, so no handler ever
+// sees the tags inside them. Unwrapping one would put that markup back into
+// the output untouched; any of these that isn't allowed is dropped instead,
+// and an allowed one (iframe) loses its contents.
+const RAW_TEXT_ELEMENTS = [
+  'script', 'style', 'textarea', 'title', 'xmp', 'iframe',
+  'noembed', 'noframes', 'noscript', 'plaintext'
+];
+
+// Elements kept, with the attributes each may carry
+const ALLOWED_ELEMENTS = {
+  a: ['href'],
+  abbr: [],
+  b: [],
+  blockquote: ['cite'],
+  br: [],
+  caption: [],
+  cite: [],
+  code: [],
+  dd: [],
+  del: [],
+  div: [],
+  dl: [],
+  dt: [],
+  em: [],
+  figcaption: [],
+  figure: [],
+  h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+  hr: [],
+  i: [],
+  iframe: ['src', 'width', 'height', 'allow', 'allowfullscreen'],
+  img: ['src', 'srcset', 'sizes', 'alt', 'width', 'height'],
+  ins: [],
+  li: ['value'],
+  mark: [],
+  ol: ['start', 'reversed'],
+  p: [],
+  picture: [],
+  pre: [],
+  q: ['cite'],
+  s: [],
+  small: [],
+  source: ['srcset', 'sizes', 'type', 'media'],
+  span: [],
+  strong: [],
+  sub: [],
+  sup: [],
+  table: [],
+  tbody: [],
+  td: ['colspan', 'rowspan'],
+  tfoot: [],
+  th: ['colspan', 'rowspan', 'scope'],
+  thead: [],
+  time: ['datetime'],
+  tr: [],
+  u: [],
+  ul: []
+};
+
+// Attributes allowed on any kept element
+const GLOBAL_ATTRIBUTES = ['title', 'lang', 'dir'];
+
+const URL_ATTRIBUTES = ['href', 'src', 'cite'];
+const SRCSET_ATTRIBUTES = ['srcset'];
+
+// Sanitize a fragment of HTML. Resolves to the cleaned markup.
+export async function sanitizeHtml(html) {
+  if (!html) return '';
+
+  const rewriter = new HTMLRewriter()
+    .on('*', { element: sanitizeElement })
+    .onDocument({
+      comments(comment) {
+        comment.remove();
+      },
+      doctype() {}
+    });
+
+  return rewriter.transform(new Response(html, {
+    headers: { 'Content-Type': 'text/html; charset=utf-8' }
+  })).text();
+}
+
+// Plain-text statistics for the reader view
+export function countWords(html) {
+  const text = (html || '')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&[#a-z0-9]+;/gi, ' ');
+  const words = text.split(/\s+/).filter(word => /[\p{L}\p{N}]/u.test(word));
+  return words.length;
+}
+
+export function readingTimeMinutes(wordCount, wordsPerMinute = 230) {
+  return Math.max(1, Math.round(wordCount / wordsPerMinute));
+}
+
+function sanitizeElement(element) {
+  const tag = element.tagName.toLowerCase();
+
+  if (DROP_WITH_CONTENT.includes(tag)) {
+    element.remove();
+    return;
+  }
+
+  const allowed = ALLOWED_ELEMENTS[tag];
+  if (!allowed) {
+    if (RAW_TEXT_ELEMENTS.includes(tag)) {
+      element.remove();
+    } else {
+      element.removeAndKeepContent();
+    }
+    return;
+  }
+
+  if (RAW_TEXT_ELEMENTS.includes(tag)) {
+    element.setInnerContent('');
+  }
+
+  if (tag === 'iframe' && !isApprovedEmbed(element.getAttribute('src'))) {
+    element.remove();
+    return;
+  }
+
+  // Collect first: removing while iterating skips attributes
+  const attributes = [...element.attributes];
+  for (const [name, value] of attributes) {
+    const attribute = name.toLowerCase();
+    const keep = (allowed.includes(attribute) || GLOBAL_ATTRIBUTES.includes(attribute)) &&
+      isSafeAttributeValue(attribute, value);
+    if (!keep) {
+      element.removeAttribute(name);
+    }
+  }
+
+  if (tag === 'a' && element.hasAttribute('href') && /^https?:/i.test(element.getAttribute('href'))) {
+    element.setAttribute('target', '_blank');
+    element.setAttribute('rel', 'noopener noreferrer');
+  }
+
+  if (tag === 'img') {
+    if (!element.hasAttribute('src')) {
+      element.remove();
+      return;
+    }
+    element.setAttribute('loading', 'lazy');
+    element.setAttribute('decoding', 'async');
+  }
+
+  if (tag === 'iframe') {
+    element.setAttribute('loading', 'lazy');
+    element.setAttribute('sandbox', 'allow-scripts allow-same-origin allow-presentation allow-popups');
+    element.setAttribute('referrerpolicy', 'strict-origin-when-cross-origin');
+  }
+}
+
+function isSafeAttributeValue(attribute, value) {
+  if (URL_ATTRIBUTES.includes(attribute)) {
+    return isSafeUrl(value, attribute === 'href');
+  }
+  if (SRCSET_ATTRIBUTES.includes(attribute)) {
+    // "url 424w, url 848w" - every candidate has to pass. Split on comma plus
+    // whitespace only, since CDN URLs often contain bare commas.
+    return value.split(/,\s+/).every(candidate => isSafeUrl(candidate.trim().split(/\s+/)[0], false));
+  }
+  return true;
+}
+
+function isSafeUrl(value, allowMailto) {
+  // Browsers ignore whitespace and control characters inside the scheme
+  const url = (value || '').replace(/[\u0000- ]/g, '');
+  if (!url) return false;
+  if (url.startsWith('#') || (url.startsWith('/') && !url.startsWith('//'))) return true;
+  if (/^https:\/\//i.test(url) || /^http:\/\//i.test(url)) return true;
+  if (allowMailto && /^mailto:/i.test(url)) return true;
+  return false;
+}
@@ -0,0 +1,88 @@
+// functions/_lib/signing.js
+// SHA-256 and HMAC-SHA256 helpers for hashes, tamper-proof tokens and
+// signatures (Web Crypto).
+//
+// Tokens are "<base64url JSON payload>.<base64url signature>". A payload with
+// an `exp` field (milliseconds since epoch) stops verifying once it passes.
+
+const encoder = new TextEncoder();
+
+export async function hmacSha256(secret, message) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  return new Uint8Array(await crypto.subtle.sign('HMAC', key, encoder.encode(message)));
+}
+
+export async function hmacSha256Hex(secret, message) {
+  return toHex(await hmacSha256(secret, message));
+}
+
+// Hex SHA-256 digest of a string
+export async function sha256Hex(text) {
+  return toHex(new Uint8Array(await crypto.subtle.digest('SHA-256', encoder.encode(text))));
+}
+
+export async function signToken(payload, secret) {
+  const body = base64UrlEncode(encoder.encode(JSON.stringify(payload)));
+  const signature = base64UrlEncode(await hmacSha256(secret, body));
+  return `${body}.${signature}`;
+}
+
+// Resolves to the payload, or null if the token is malformed, forged or expired
+export async function verifyToken(token, secret) {
+  if (typeof token !== 'string' || !secret) return null;
+
+  const [body, signature] = token.split('.');
+  if (!body || !signature) return null;
+
+  const expected = base64UrlEncode(await hmacSha256(secret, body));
+  if (!timingSafeEqual(signature, expected)) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(new TextDecoder().decode(base64UrlDecode(body)));
+  } catch (error) {
+    return null;
+  }
+
+  if (payload && typeof payload.exp === 'number' && Date.now() > payload.exp) {
+    return null;
+  }
+
+  return payload;
+}
+
+// Constant-time string comparison, so signature checks don't leak timing
+export function timingSafeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+    return false;
+  }
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) {
+    difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return difference === 0;
+}
+
+export function toHex(bytes) {
+  return [...bytes].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+export function base64UrlEncode(bytes) {
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function base64UrlDecode(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
@@ -0,0 +1,18 @@
+// functions/_lib/site.js
+// Canonical site details shared by Functions that publish links or metadata
+
+export const SITE_URL = 'https://dreamthewilderness.com';
+export const SITE_TITLE = 'Dream the Wilderness';
+export const SITE_DESCRIPTION = 'exploring perception and imagination within the living cosmos. birth chart readings, Re-Rooting ebook, and the ecology of the zodiac essay series by Courtney Chandrea.';
+export const SITE_AUTHOR = 'Courtney Chandrea';
+export const SITE_IMAGE = 'https://substack-post-media.s3.amazonaws.com/public/images/7acbc136-a0ce-4f2b-abac-058ded32d704_554x554.jpeg';
+export const SUBSTACK_URL = 'https://dreamthewilderness.substack.com';
+
+// Bump whenever the privacy section in index.html changes materially; the
+// contact form records which version each person agreed to
+export const PRIVACY_POLICY_VERSION = '2026-10-19';
+
+// On-site URL of a post's page (prerendered by _lib/prerender.js)
+export function postUrl(slug) {
+  return `${SITE_URL}/blog/${encodeURIComponent(slug)}`;
+}
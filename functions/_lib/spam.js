@@ -0,0 +1,195 @@
+// functions/_lib/spam.js
+// Scored spam filtering for form submissions.
+//
+// Each signal adds to a score instead of rejecting on its own, so one odd
+// trait (a mention of "crypto", a couple of links) doesn't lose a real
+// message. The total decides the verdict:
+//   score < suspect threshold  -> 'ok'
+//   score < reject threshold   -> 'suspect' (kept, but flagged for review)
+//   otherwise                  -> 'spam'    (rejected)
+
+import { signToken, verifyToken } from './signing.js';
+
+export const DEFAULT_THRESHOLDS = { suspect: 3, reject: 6 };
+
+// Keyword weights used when none are stored in KV. Words that real clients
+// mention when asking about careers and money ("crypto", "casino") carry
+// little weight on their own.
+export const DEFAULT_KEYWORD_WEIGHTS = {
+  'viagra': 4,
+  'cialis': 4,
+  'bitcoin': 1.5,
+  'crypto': 0.5,
+  'casino': 1,
+  'lottery': 2,
+  'million dollars': 2.5,
+  'seo services': 3,
+  'backlinks': 3,
+  'guest post': 2,
+  'rank your website': 3,
+  'first page of google': 3,
+  'web design services': 2,
+  'investment opportunity': 2.5,
+  'wire transfer': 2,
+  'loan offer': 3
+};
+
+// KV key holding a JSON object of { "keyword": weight } overrides
+export const KEYWORD_WEIGHTS_KEY = 'spam_keyword_weights';
+
+// Throwaway inbox providers. Not a ban on its own - just a strong hint.
+const DISPOSABLE_EMAIL_DOMAINS = new Set([
+  '10minutemail.com', '20minutemail.com', 'dispostable.com', 'emailondeck.com',
+  'fakeinbox.com', 'getnada.com', 'guerrillamail.com', 'guerrillamail.net',
+  'guerrillamailblock.com', 'mailcatch.com', 'maildrop.cc', 'mailinator.com',
+  'mailnesia.com', 'mintemail.com', 'mohmal.com', 'mytemp.email', 'sharklasers.com',
+  'spamgourmet.com', 'temp-mail.org', 'tempail.com', 'tempmail.com', 'tempmailo.com',
+  'tempr.email', 'throwawaymail.com', 'trashmail.com', 'trashmail.de', 'yopmail.com',
+  'yopmail.net'
+]);
+
+// Submissions faster than this can't have been typed by a person
+const MIN_FILL_TIME_MS = 3000;
+// Forms left open longer than this get a small nudge towards suspect
+const MAX_FORM_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Keyword weights don't change often; keep a copy per isolate for a few minutes
+const WEIGHTS_CACHE_MS = 5 * 60 * 1000;
+let cachedWeights = null;
+let cachedWeightsAt = 0;
+
+// Issue a signed token recording when the form was rendered
+export function createFormToken(secret) {
+  return signToken({ renderedAt: Date.now() }, secret);
+}
+
+// Keyword weights from KV, falling back to the defaults
+export async function loadKeywordWeights(kv) {
+  if (!kv) return DEFAULT_KEYWORD_WEIGHTS;
+
+  if (cachedWeights && Date.now() - cachedWeightsAt < WEIGHTS_CACHE_MS) {
+    return cachedWeights;
+  }
+
+  try {
+    const stored = await kv.get(KEYWORD_WEIGHTS_KEY, 'json');
+    cachedWeights = stored && typeof stored === 'object' ? stored : DEFAULT_KEYWORD_WEIGHTS;
+  } catch (error) {
+    console.warn('Spam filter: Failed to load keyword weights, using defaults:', error.message);
+    cachedWeights = DEFAULT_KEYWORD_WEIGHTS;
+  }
+  cachedWeightsAt = Date.now();
+  return cachedWeights;
+}
+
+// Thresholds from SPAM_SUSPECT_SCORE / SPAM_REJECT_SCORE env vars
+export function thresholdsFromEnv(env) {
+  const suspect = parseFloat(env.SPAM_SUSPECT_SCORE);
+  const reject = parseFloat(env.SPAM_REJECT_SCORE);
+  return {
+    suspect: Number.isFinite(suspect) ? suspect : DEFAULT_THRESHOLDS.suspect,
+    reject: Number.isFinite(reject) ? reject : DEFAULT_THRESHOLDS.reject
+  };
+}
+
+// Score a submission. `formToken` and `signingSecret` enable the timing
+// check; without a secret it is skipped.
+// Resolves to { score, verdict, signals: [{ name, score, detail }] }.
+export async function scoreSubmission(submission, options = {}) {
+  const {
+    keywordWeights = DEFAULT_KEYWORD_WEIGHTS,
+    thresholds = DEFAULT_THRESHOLDS,
+    signingSecret = null
+  } = options;
+
+  const name = String(submission.name || '');
+  const email = String(submission.email || '');
+  const message = String(submission.message || '');
+  const signals = [];
+  const add = (signalName, score, detail) => {
+    if (score > 0) signals.push({ name: signalName, score, detail });
+  };
+
+  // Honeypot: a field hidden from people that bots fill in
+  if (submission.honeypot) {
+    add('honeypot', 10, 'hidden field was filled in');
+  }
+
+  // Timing: how long between the form rendering and being sent
+  if (signingSecret) {
+    const token = submission.formToken ? await verifyToken(submission.formToken, signingSecret) : null;
+    const elapsed = token ? Date.now() - token.renderedAt : null;
+
+    if (elapsed === null) {
+      add('form_token', 4, 'missing or invalid form token');
+    } else if (elapsed < MIN_FILL_TIME_MS) {
+      add('too_fast', 7, `submitted ${elapsed}ms after the form rendered`);
+    } else if (elapsed > MAX_FORM_AGE_MS) {
+      add('form_token_expired', 1, 'form was rendered over a day ago');
+    }
+  }
+
+  // Links: one is normal ("here's my birth chart"), a pile of them isn't
+  const links = (message.match(/\b(?:https?:\/\/|www\.)\S+/gi) || []).length;
+  if (links >= 3) {
+    add('links', Math.min(6, 2 + (links - 3)), `${links} links in message`);
+  } else if (links === 2) {
+    add('links', 1, '2 links in message');
+  }
+
+  if (/https?:\/\/|www\.|\.(com|net|ru|xyz)\b/i.test(name)) {
+    add('link_in_name', 4, 'name contains a URL');
+  }
+
+  // BBCode / HTML anchors are a classic forum-spam tell
+  if (/\[url=|<a\s+href=/i.test(message)) {
+    add('markup_links', 3, 'message contains link markup');
+  }
+
+  // Repeated characters ("!!!!!!!!", "aaaaaaaa") and shouting
+  if (/(.)\1{7,}/u.test(message)) {
+    add('repeated_characters', 1.5, 'long run of a repeated character');
+  }
+
+  const letters = message.match(/\p{L}/gu) || [];
+  const uppercase = message.match(/\p{Lu}/gu) || [];
+  if (letters.length >= 20 && uppercase.length / letters.length > 0.7) {
+    add('all_caps', 1, 'message is mostly capital letters');
+  }
+
+  // Script mix: this inbox is English-language; a message written entirely
+  // in Cyrillic has so far always been spam
+  const cyrillic = message.match(/\p{Script=Cyrillic}/gu) || [];
+  if (letters.length >= 10 && cyrillic.length / letters.length > 0.5) {
+    add('cyrillic', 3, 'message is mostly Cyrillic');
+  }
+
+  const domain = email.split('@').pop().toLowerCase();
+  if (DISPOSABLE_EMAIL_DOMAINS.has(domain)) {
+    add('disposable_email', 3, `disposable email domain ${domain}`);
+  }
+
+  // Keyword weights apply once per keyword, on whole words only
+  const haystack = `${name} ${message}`.toLowerCase();
+  for (const [keyword, weight] of Object.entries(keywordWeights)) {
+    // Unicode-aware word boundaries, so non-English keywords work too
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(keyword.toLowerCase())}(?![\\p{L}\\p{N}])`, 'u');
+    if (Number(weight) > 0 && pattern.test(haystack)) {
+      add('keyword', Number(weight), keyword);
+    }
+  }
+
+  const score = Math.round(signals.reduce((total, signal) => total + signal.score, 0) * 10) / 10;
+  let verdict = 'ok';
+  if (score >= thresholds.reject) {
+    verdict = 'spam';
+  } else if (score >= thresholds.suspect) {
+    verdict = 'suspect';
+  }
+
+  return { score, verdict, signals };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,271 @@
+// functions/_lib/stripe.js
+// Sliding-scale payments through Stripe Checkout.
+//
+//   STRIPE_SECRET_KEY      API key used to create Checkout sessions
+//   STRIPE_WEBHOOK_SECRET  signing secret of the /api/stripe/webhook endpoint
+//   STRIPE_API_BASE        API origin, https://api.stripe.com unless pointed at
+//                          a local stub for testing
+//   STRIPE_CURRENCY        ISO currency code, "usd" by default
+//   SLIDING_SCALE_TIERS    suggested amounts in whole currency units, e.g.
+//                          "60,90,120,150"; the lowest and highest are also
+//                          the minimum and maximum anyone can choose
+//
+// Each Checkout session has an order in BOOKINGS_KV (order_<id>) that the
+// webhook marks paid, along with the booking it was for, if any. Orders for
+// a downloadable product get a download link emailed once they're paid.
+
+import { hmacSha256Hex, timingSafeEqual } from './signing.js';
+import { BOOKING_PREFIX, saveBooking } from './bookings.js';
+import { emailFingerprint, retentionDays } from './contacts.js';
+import { sendDownloadLink } from './downloads.js';
+
+const DEFAULT_API_BASE = 'https://api.stripe.com';
+const REQUEST_TIMEOUT_MS = 10000;
+// Stripe's own libraries reject signatures older than this
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+export const ORDER_PREFIX = 'order_';
+
+export class StripeError extends Error {
+  constructor(message, status = null) {
+    super(message);
+    this.name = 'StripeError';
+    this.status = status;
+  }
+}
+
+// Payment settings from env, or null when payments aren't configured.
+// Amounts are in whole currency units.
+export function paymentSettings(env) {
+  if (!env.STRIPE_SECRET_KEY || !env.SLIDING_SCALE_TIERS) {
+    return null;
+  }
+
+  const tiers = String(env.SLIDING_SCALE_TIERS)
+    .split(',')
+    .map(value => Number(value.trim()))
+    .filter(value => Number.isFinite(value) && value > 0)
+    .sort((a, b) => a - b);
+  if (tiers.length === 0) {
+    console.warn(`Ignoring malformed SLIDING_SCALE_TIERS "${env.SLIDING_SCALE_TIERS}", expected e.g. "60,90,120"`);
+    return null;
+  }
+
+  return {
+    currency: String(env.STRIPE_CURRENCY || 'usd').toLowerCase(),
+    tiers,
+    min: tiers[0],
+    max: tiers[tiers.length - 1]
+  };
+}
+
+// POST to the Stripe API with a form-encoded body. Resolves to the parsed
+// response; throws StripeError on failure.
+export async function stripeRequest(env, path, params, { idempotencyKey = null } = {}) {
+  const headers = {
+    'Authorization': `Bearer ${env.STRIPE_SECRET_KEY}`,
+    'Content-Type': 'application/x-www-form-urlencoded'
+  };
+  if (idempotencyKey) {
+    headers['Idempotency-Key'] = idempotencyKey;
+  }
+
+  const response = await fetch(`${(env.STRIPE_API_BASE || DEFAULT_API_BASE).replace(/\/$/, '')}${path}`, {
+    method: 'POST',
+    headers,
+    body: encodeForm(params),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const message = result.error && result.error.message ? result.error.message : response.statusText;
+    throw new StripeError(`Stripe error: ${response.status} - ${message}`, response.status);
+  }
+  return result;
+}
+
+// Stripe's nested form encoding: { a: { b: 1 } } -> a[b]=1
+function encodeForm(params, prefix = null, pairs = new URLSearchParams()) {
+  for (const [key, value] of Object.entries(params)) {
+    if (value === undefined || value === null) continue;
+    const name = prefix ? `${prefix}[${key}]` : key;
+    if (typeof value === 'object') {
+      encodeForm(value, name, pairs);
+    } else {
+      pairs.append(name, String(value));
+    }
+  }
+  return pairs;
+}
+
+// Start a Checkout session for `amount` (whole currency units) and record
+// the order. Pass a `booking` to pay for a reading, or a `productId` and
+// `product` from downloads.js to buy a download. Resolves to { order, url }.
+export async function createCheckout(env, settings, { amount, booking = null, productId = null, product = null, successUrl, cancelUrl }) {
+  const orderId = `${ORDER_PREFIX}${crypto.randomUUID()}`;
+  const unitAmount = Math.round(amount * 100);
+  const productData = product
+    ? { name: product.title }
+    : {
+      name: '60-minute birth chart reading',
+      description: booking ? `Session on ${booking.start.slice(0, 10)}` : undefined
+    };
+
+  const session = await stripeRequest(env, '/v1/checkout/sessions', {
+    mode: 'payment',
+    success_url: successUrl,
+    cancel_url: cancelUrl,
+    client_reference_id: orderId,
+    customer_email: booking ? booking.email : undefined,
+    line_items: {
+      0: {
+        quantity: 1,
+        price_data: {
+          currency: settings.currency,
+          unit_amount: unitAmount,
+          product_data: productData
+        }
+      }
+    },
+    metadata: {
+      order_id: orderId,
+      booking_id: booking ? booking.id : undefined,
+      product_id: productId || undefined
+    }
+  }, { idempotencyKey: orderId });
+
+  const order = {
+    id: orderId,
+    bookingId: booking ? booking.id : null,
+    productId,
+    amount: unitAmount,
+    currency: settings.currency,
+    status: 'pending',
+    sessionId: session.id,
+    email: booking ? booking.email : null,
+    createdAt: new Date().toISOString()
+  };
+  await saveOrder(env.BOOKINGS_KV, env, order);
+
+  return { order, url: session.url };
+}
+
+// Check a Stripe-Signature header ("t=<unix>,v1=<hex>[,v1=<hex>]") against
+// the raw request body. Resolves to true if one of the signatures matches
+// and the timestamp is recent.
+export async function verifyStripeSignature(payload, header, secret, now = Date.now()) {
+  if (!header || !secret) return false;
+
+  let timestamp = null;
+  const signatures = [];
+  for (const part of header.split(',')) {
+    const [key, value] = part.split('=', 2).map(item => item && item.trim());
+    if (key === 't') timestamp = value;
+    if (key === 'v1' && value) signatures.push(value);
+  }
+
+  const seconds = Number(timestamp);
+  if (!timestamp || !Number.isInteger(seconds) || signatures.length === 0) {
+    return false;
+  }
+  if (Math.abs(now / 1000 - seconds) > SIGNATURE_TOLERANCE_SECONDS) {
+    return false;
+  }
+
+  const expected = await hmacSha256Hex(secret, `${timestamp}.${payload}`);
+  return signatures.some(signature => timingSafeEqual(signature, expected));
+}
+
+// Apply a completed (or failed) Checkout session to its order and booking.
+// `status` is 'paid', 'failed' or 'expired'. Resolves to the updated order,
+// or null if the session isn't one of ours.
+export async function recordCheckoutResult(env, session, status) {
+  const kv = env.BOOKINGS_KV;
+  const orderId = session.client_reference_id || (session.metadata && session.metadata.order_id);
+  if (!kv || !orderId || !orderId.startsWith(ORDER_PREFIX)) {
+    return null;
+  }
+
+  const order = await kv.get(orderId, 'json');
+  if (!order) {
+    console.warn(`Stripe session ${session.id} refers to unknown order ${orderId}`);
+    return null;
+  }
+  // Stripe can deliver an event more than once, and out of order
+  if (order.status === 'paid') {
+    return order;
+  }
+
+  const customer = session.customer_details || {};
+  const updated = {
+    ...order,
+    status,
+    amount: session.amount_total || order.amount,
+    currency: session.currency || order.currency,
+    email: customer.email || order.email,
+    paymentIntent: session.payment_intent || null,
+    updatedAt: new Date().toISOString()
+  };
+  if (status === 'paid') {
+    updated.paidAt = updated.updatedAt;
+  }
+
+  // The order is saved last: once it reads as paid, retries of the event are
+  // skipped, so the booking and the download link have to be done by then.
+  // If anything here throws, the webhook answers 500 and Stripe sends the
+  // event again - re-saving the booking is harmless, and at worst the buyer
+  // gets a second copy of their link.
+  if (order.bookingId && order.bookingId.startsWith(BOOKING_PREFIX)) {
+    const booking = await kv.get(order.bookingId, 'json');
+    if (booking) {
+      await saveBooking(kv, env, {
+        ...booking,
+        payment: {
+          status,
+          orderId,
+          amount: updated.amount,
+          currency: updated.currency,
+          paidAt: updated.paidAt || null
+        }
+      });
+    }
+  }
+
+  if (status === 'paid' && order.productId && updated.email) {
+    await sendDownloadLink(env, order.productId, updated.email, { source: 'purchase' });
+  }
+
+  await saveOrder(kv, env, updated);
+
+  console.log(`Order ${orderId} ${status}${order.bookingId ? ` (booking ${order.bookingId})` : ''}`);
+  return updated;
+}
+
+async function saveOrder(kv, env, order) {
+  const expiresAt = Date.parse(order.createdAt) + retentionDays(env) * 24 * 60 * 60 * 1000;
+  await kv.put(order.id, JSON.stringify(order), {
+    expirationTtl: Math.max(60, Math.floor((expiresAt - Date.now()) / 1000)),
+    metadata: {
+      status: order.status,
+      emailHash: order.email ? await emailFingerprint(order.email) : null
+    }
+  });
+}
+
+// Every order paid with an address. Resolves to [{ id, record }].
+export async function findOrdersByEmail(kv, email) {
+  const fingerprint = await emailFingerprint(email);
+  const found = [];
+  let cursor;
+  do {
+    const page = await kv.list({ prefix: ORDER_PREFIX, cursor });
+    for (const key of page.keys) {
+      if (!key.metadata || key.metadata.emailHash !== fingerprint) continue;
+      const record = await kv.get(key.name, 'json');
+      if (record) found.push({ id: key.name, record });
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return found;
+}
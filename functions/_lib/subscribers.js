@@ -0,0 +1,130 @@
+// functions/_lib/subscribers.js
+// Double opt-in signups for the free quick guide (the lead magnet).
+//
+// A signup stores a pending subscriber in CONTACTS_KV and emails a
+// confirmation link signed with SUBSCRIBE_SIGNING_SECRET. Nothing else
+// happens until the link is followed and confirmed: then the guide's
+// download link is sent and, when SUBSTACK_FORWARD is "true", the address is
+// passed on to the Substack newsletter's subscribe endpoint.
+//
+// There's one record per address (subscriber_<email fingerprint>). Pending
+// ones expire with their link; confirmed ones are kept until the person
+// asks for them to be erased.
+
+import { signToken, verifyToken } from './signing.js';
+import { emailFingerprint } from './contacts.js';
+import { SITE_URL, SUBSTACK_URL } from './site.js';
+import { escapeHtml } from './http.js';
+
+export const SUBSCRIBER_PREFIX = 'subscriber_';
+export const LEAD_MAGNET_PRODUCT = 'quick-guide-traditional-astrology';
+
+const CONFIRM_LINK_TTL_MS = 48 * 60 * 60 * 1000;
+const SUBSTACK_TIMEOUT_MS = 10000;
+
+export async function subscriberKey(email) {
+  return `${SUBSCRIBER_PREFIX}${await emailFingerprint(email)}`;
+}
+
+export async function loadSubscriber(kv, email) {
+  return kv.get(await subscriberKey(email), 'json');
+}
+
+export async function saveSubscriber(kv, record) {
+  const options = { metadata: { status: record.status, source: record.source } };
+  if (record.status === 'pending') {
+    options.expirationTtl = Math.ceil(CONFIRM_LINK_TTL_MS / 1000);
+  }
+  await kv.put(await subscriberKey(record.email), JSON.stringify(record), options);
+}
+
+// Signed confirmation link for an address
+export async function createConfirmLink(env, email) {
+  const token = await signToken({
+    action: 'subscribe',
+    email: email.toLowerCase(),
+    exp: Date.now() + CONFIRM_LINK_TTL_MS
+  }, env.SUBSCRIBE_SIGNING_SECRET);
+  return `${SITE_URL}/api/subscribe/confirm?token=${encodeURIComponent(token)}`;
+}
+
+// Resolves to the address a confirmation token was issued for, or null
+export async function verifyConfirmToken(env, token) {
+  if (!token || !env.SUBSCRIBE_SIGNING_SECRET) return null;
+  const payload = await verifyToken(token, env.SUBSCRIBE_SIGNING_SECRET);
+  if (!payload || payload.action !== 'subscribe' || !payload.email) {
+    return null;
+  }
+  return payload.email;
+}
+
+// Confirmation email. Returns { subject, html, text }.
+export function buildConfirmEmail(link) {
+  const paragraphs = [
+    'thanks for asking for a quick guide to traditional astrology.',
+    'please confirm this is your address and the guide will be on its way. the link works for 48 hours.',
+    'if you didn\'t sign up, you can ignore this email and you won\'t hear from us again.'
+  ];
+  const signOff = ['warmly,', 'Courtney', 'dream the wilderness'];
+
+  const html = `
+    <div style="font-family: Georgia, serif; color: #3d2914; max-width: 560px; line-height: 1.6;">
+      <p>hi there,</p>
+      <p>${escapeHtml(paragraphs[0])}</p>
+      <p>${escapeHtml(paragraphs[1])}</p>
+      <p><a href="${escapeHtml(link)}" style="color: #8b755d;">confirm and get the guide</a></p>
+      <p>${escapeHtml(paragraphs[2])}</p>
+      <p>${signOff.map(escapeHtml).join('<br>')}</p>
+    </div>
+  `;
+  const text = ['hi there,', paragraphs[0], paragraphs[1], link, paragraphs[2], signOff.join('\n')].join('\n\n');
+
+  return { subject: 'confirm your email for the quick guide', html, text };
+}
+
+// Pass a confirmed address on to the Substack newsletter. Resolves to
+// 'forwarded', 'failed' or 'skipped' (forwarding turned off); never throws.
+export async function forwardToSubstack(env, email) {
+  if (env.SUBSTACK_FORWARD !== 'true') {
+    return 'skipped';
+  }
+
+  try {
+    const response = await fetch(`${SUBSTACK_URL}/api/v1/free`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email, first_url: `${SUBSTACK_URL}/`, source: 'dreamthewilderness.com' }),
+      signal: AbortSignal.timeout(SUBSTACK_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+      console.error(`Substack subscribe failed: ${response.status}`);
+      return 'failed';
+    }
+    return 'forwarded';
+  } catch (error) {
+    console.error('Substack subscribe failed:', error.message);
+    return 'failed';
+  }
+}
+
+// Attribution for a signup: which form it came from, plus any UTM campaign
+// tags and the referring site the page recorded. Values are trimmed to
+// short, plain strings.
+export function readAttribution(submission) {
+  const clean = (value, max = 64) => {
+    const text = String(value || '').trim().toLowerCase().slice(0, max);
+    return /^[\w.\-:/ ]+$/.test(text) ? text : null;
+  };
+
+  const utm = {};
+  for (const field of ['utm_source', 'utm_medium', 'utm_campaign']) {
+    const value = clean(submission[field]);
+    if (value) utm[field.slice(4)] = value;
+  }
+
+  return {
+    source: clean(submission.source) || 'unknown',
+    utm: Object.keys(utm).length > 0 ? utm : null,
+    referrer: clean(submission.referrer, 120)
+  };
+}
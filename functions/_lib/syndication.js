@@ -0,0 +1,230 @@
+// functions/_lib/syndication.js
+// Republishes the cached Substack feed from our own domain as RSS 2.0,
+// Atom 1.0 and JSON Feed 1.1, with ETag / Last-Modified conditional GETs.
+
+import { loadFeed } from '../api/blog.js';
+import { slugFromLink } from './feed-parser.js';
+import { sanitizeHtml } from './sanitize-html.js';
+import {
+  SITE_URL,
+  SITE_TITLE,
+  SITE_DESCRIPTION,
+  SITE_AUTHOR,
+  SITE_IMAGE,
+  postUrl
+} from './site.js';
+import { sha256Hex } from './signing.js';
+
+const FORMATS = {
+  rss: {
+    path: '/feed.xml',
+    contentType: 'application/rss+xml; charset=utf-8',
+    build: buildRss
+  },
+  atom: {
+    path: '/atom.xml',
+    contentType: 'application/atom+xml; charset=utf-8',
+    build: buildAtom
+  },
+  json: {
+    path: '/feed.json',
+    contentType: 'application/feed+json; charset=utf-8',
+    build: buildJsonFeed
+  }
+};
+
+// Aggregators poll often; let them and the edge reuse a copy for 10 minutes
+const CACHE_CONTROL = 'public, max-age=600';
+
+export async function syndicationResponse(context, format) {
+  const { request } = context;
+  const definition = FORMATS[format];
+
+  let feed;
+  try {
+    feed = await loadFeed(context);
+  } catch (error) {
+    console.error(`Syndication (${format}) error:`, error);
+    return new Response('Feed temporarily unavailable', {
+      status: 503,
+      headers: {
+        'Content-Type': 'text/plain; charset=utf-8',
+        'Retry-After': '300'
+      }
+    });
+  }
+
+  const entries = await Promise.all(feed.items.map(prepareEntry));
+  // Based on the posts themselves rather than the cache refresh time, so the
+  // ETag only changes when the content does
+  const lastModified = new Date(entries.length > 0
+    ? Math.max(...entries.map(entry => entry.timestamp))
+    : Date.parse(feed.updatedAt) || Date.now());
+
+  const body = definition.build(entries, {
+    selfUrl: `${SITE_URL}${definition.path}`,
+    updated: lastModified
+  });
+  const etag = `"${await sha256Hex(body)}"`;
+
+  const headers = {
+    'Content-Type': definition.contentType,
+    'Cache-Control': CACHE_CONTROL,
+    'ETag': etag,
+    'Last-Modified': lastModified.toUTCString()
+  };
+
+  if (isNotModified(request, etag, lastModified)) {
+    return new Response(null, { status: 304, headers });
+  }
+
+  return new Response(body, { status: 200, headers });
+}
+
+function prepareEntry(item) {
+  const slug = item.slug || slugFromLink(item.link);
+  return sanitizeHtml(item.content || '').then(contentHtml => ({
+    id: item.guid || item.link,
+    title: item.title,
+    url: postUrl(slug),
+    externalUrl: item.link,
+    summary: item.description,
+    contentHtml,
+    image: item.image,
+    author: item.author || SITE_AUTHOR,
+    categories: item.categories || [],
+    timestamp: item.timestamp,
+    date: new Date(item.timestamp)
+  }));
+}
+
+// If-None-Match wins over If-Modified-Since when both are sent (RFC 9110)
+function isNotModified(request, etag, lastModified) {
+  const ifNoneMatch = request.headers.get('If-None-Match');
+  if (ifNoneMatch) {
+    const tags = ifNoneMatch.split(',').map(tag => tag.trim().replace(/^W\//, ''));
+    return tags.includes('*') || tags.includes(etag);
+  }
+
+  const ifModifiedSince = Date.parse(request.headers.get('If-Modified-Since') || '');
+  if (!Number.isNaN(ifModifiedSince)) {
+    // HTTP dates have one-second resolution
+    return Math.floor(lastModified.getTime() / 1000) <= Math.floor(ifModifiedSince / 1000);
+  }
+
+  return false;
+}
+
+function buildRss(entries, { selfUrl, updated }) {
+  const items = entries.map(entry => `
+    <item>
+      <title>${escapeXml(entry.title)}</title>
+      <link>${escapeXml(entry.url)}</link>
+      <guid isPermaLink="false">${escapeXml(entry.id)}</guid>
+      <pubDate>${entry.date.toUTCString()}</pubDate>
+      <dc:creator>${escapeXml(entry.author)}</dc:creator>
+${entry.categories.map(category => `      <category>${escapeXml(category)}</category>`).join('\n')}
+      <description>${escapeXml(entry.summary)}</description>
+      <content:encoded>${cdata(entry.contentHtml)}</content:encoded>${entry.image ? `
+      <media:content url="${escapeXml(entry.image)}" medium="image"/>` : ''}
+      <source url="${escapeXml(entry.externalUrl)}">${escapeXml(SITE_TITLE)} on Substack</source>
+    </item>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0"
+  xmlns:atom="http://www.w3.org/2005/Atom"
+  xmlns:content="http://purl.org/rss/1.0/modules/content/"
+  xmlns:dc="http://purl.org/dc/elements/1.1/"
+  xmlns:media="http://search.yahoo.com/mrss/">
+  <channel>
+    <title>${escapeXml(SITE_TITLE)}</title>
+    <link>${SITE_URL}/</link>
+    <description>${escapeXml(SITE_DESCRIPTION)}</description>
+    <language>en-us</language>
+    <lastBuildDate>${updated.toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml"/>
+    <image>
+      <url>${escapeXml(SITE_IMAGE)}</url>
+      <title>${escapeXml(SITE_TITLE)}</title>
+      <link>${SITE_URL}/</link>
+    </image>${items}
+  </channel>
+</rss>
+`;
+}
+
+function buildAtom(entries, { selfUrl, updated }) {
+  const items = entries.map(entry => `
+  <entry>
+    <title>${escapeXml(entry.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(entry.url)}"/>
+    <link rel="related" type="text/html" href="${escapeXml(entry.externalUrl)}"/>
+    <id>${escapeXml(entry.id)}</id>
+    <published>${entry.date.toISOString()}</published>
+    <updated>${entry.date.toISOString()}</updated>
+    <author><name>${escapeXml(entry.author)}</name></author>
+${entry.categories.map(category => `    <category term="${escapeXml(category)}"/>`).join('\n')}
+    <summary type="text">${escapeXml(entry.summary)}</summary>
+    <content type="html">${escapeXml(entry.contentHtml)}</content>${entry.image ? `
+    <link rel="enclosure" href="${escapeXml(entry.image)}"/>` : ''}
+  </entry>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en">
+  <title>${escapeXml(SITE_TITLE)}</title>
+  <subtitle>${escapeXml(SITE_DESCRIPTION)}</subtitle>
+  <link rel="alternate" type="text/html" href="${SITE_URL}/"/>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(selfUrl)}"/>
+  <id>${SITE_URL}/</id>
+  <updated>${updated.toISOString()}</updated>
+  <author><name>${escapeXml(SITE_AUTHOR)}</name><uri>${SITE_URL}/</uri></author>
+  <icon>${escapeXml(SITE_IMAGE)}</icon>${items}
+</feed>
+`;
+}
+
+function buildJsonFeed(entries, { selfUrl }) {
+  const feed = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: SITE_TITLE,
+    home_page_url: `${SITE_URL}/`,
+    feed_url: selfUrl,
+    description: SITE_DESCRIPTION,
+    icon: SITE_IMAGE,
+    language: 'en-US',
+    authors: [{ name: SITE_AUTHOR, url: `${SITE_URL}/` }],
+    items: entries.map(entry => {
+      const item = {
+        id: entry.id,
+        url: entry.url,
+        external_url: entry.externalUrl,
+        title: entry.title,
+        content_html: entry.contentHtml,
+        summary: entry.summary,
+        date_published: entry.date.toISOString(),
+        authors: [{ name: entry.author }],
+        tags: entry.categories
+      };
+      if (entry.image) {
+        item.image = entry.image;
+      }
+      return item;
+    })
+  };
+
+  return JSON.stringify(feed, null, 2);
+}
+
+function escapeXml(text) {
+  return String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// CDATA can't contain "]]>", so split it across two sections
+function cdata(text) {
+  return `<![CDATA[${String(text || '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
@@ -0,0 +1,75 @@
+// functions/_lib/timezone.js
+// Local time to UTC using the runtime's own tz database (via Intl), which
+// carries each zone's history - DST rule changes, wartime time, local mean
+// time before standard zones - so no offset table needs bundling.
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+// Minutes east of UTC in force in a zone at the given instant
+export function utcOffsetMinutes(timeZone, epochMs) {
+  const parts = {};
+  for (const { type, value } of formatterFor(timeZone).formatToParts(new Date(epochMs))) {
+    parts[type] = Number(value);
+  }
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((wallClock - Math.floor(epochMs / 1000) * 1000) / 60000);
+}
+
+// "+05:30" style label for an offset in minutes
+export function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}:${String(absolute % 60).padStart(2, '0')}`;
+}
+
+// Convert a wall-clock date ("YYYY-MM-DD") and time ("HH:MM") in a zone to
+// UTC. Resolves to { utc, offsetMinutes, offset, note }, where note flags
+// times that happened twice (clocks going back - the earlier is used) or
+// never (clocks going forward - read with the offset from before the change).
+export function localTimeToUtc(date, time, timeZone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Any transition near this time lies between these two offsets
+  const dayMs = 24 * 60 * 60 * 1000;
+  const before = utcOffsetMinutes(timeZone, wallClock - dayMs);
+  const after = utcOffsetMinutes(timeZone, wallClock + dayMs);
+
+  const matches = [...new Set([before, after])]
+    .filter(offset => utcOffsetMinutes(timeZone, wallClock - offset * 60000) === offset)
+    .sort((a, b) => b - a);
+
+  let offsetMinutes;
+  let note = null;
+  if (matches.length === 0) {
+    offsetMinutes = before;
+    note = 'nonexistent';
+  } else {
+    offsetMinutes = matches[0];
+    note = matches.length > 1 ? 'ambiguous' : null;
+  }
+
+  return {
+    utc: new Date(wallClock - offsetMinutes * 60000).toISOString(),
+    offsetMinutes,
+    offset: formatOffset(offsetMinutes),
+    note
+  };
+}
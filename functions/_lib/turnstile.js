@@ -0,0 +1,124 @@
+// functions/_lib/turnstile.js
+// Cloudflare Turnstile: the widget's site key in served pages, and
+// server-side verification of the tokens it produces.
+//
+//   TURNSTILE_SITE_KEY    public site key, written into every .cf-turnstile
+//                         widget by functions/_middleware.js
+//   TURNSTILE_SECRET_KEY  secret used to verify tokens
+//   TURNSTILE_VERIFY_URL  optional; can point at a local stub during development
+//
+// Without them, localhost (wrangler pages dev) falls back to Cloudflare's
+// always-pass test key and skips verification. Anywhere else a missing
+// secret fails closed, so a deploy that lost its secret doesn't open the forms.
+
+const DEFAULT_VERIFY_URL = 'https://challenges.cloudflare.com/turnstile/v0/siteverify';
+const VERIFY_TIMEOUT_MS = 5000;
+const VERIFY_ATTEMPTS = 2;
+// Cloudflare's always-pass test site key
+const TEST_SITE_KEY = '1x00000000000000000000AA';
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+// Error codes returned to the client, which maps them to a field message
+export const TURNSTILE_ERRORS = {
+  missing: 'captcha_missing',
+  failed: 'captcha_failed',
+  unavailable: 'captcha_unavailable'
+};
+
+function isLocalRequest(request) {
+  return LOCAL_HOSTNAMES.includes(new URL(request.url).hostname);
+}
+
+// Write the site key into the page's Turnstile widgets. Anything that isn't
+// HTML is returned as-is.
+export function applyTurnstileSiteKey(env, request, response) {
+  const contentType = response.headers.get('Content-Type') || '';
+  if (!contentType.includes('text/html') || !response.body) return response;
+
+  const siteKey = env.TURNSTILE_SITE_KEY || (isLocalRequest(request) ? TEST_SITE_KEY : null);
+  if (!siteKey) {
+    console.error('Turnstile not configured - set TURNSTILE_SITE_KEY so the forms can be submitted');
+    return response;
+  }
+
+  const transformed = new HTMLRewriter()
+    .on('.cf-turnstile', {
+      element(element) {
+        element.setAttribute('data-sitekey', siteKey);
+      }
+    })
+    .transform(response);
+  return new Response(transformed.body, transformed);
+}
+
+// Verify the token sent with a form submission, skipping the check only in
+// local development. Same result shape as verifyTurnstile.
+export async function verifySubmissionTurnstile(env, request, token) {
+  if (!env.TURNSTILE_SECRET_KEY) {
+    if (isLocalRequest(request)) {
+      console.warn('Turnstile not configured - set TURNSTILE_SECRET_KEY to verify CAPTCHA tokens');
+      return { success: true };
+    }
+    console.error('Turnstile not configured - refusing submissions until TURNSTILE_SECRET_KEY is set');
+    return { success: false, code: TURNSTILE_ERRORS.unavailable, errorCodes: ['missing-input-secret'] };
+  }
+
+  return verifyTurnstile(token, {
+    secret: env.TURNSTILE_SECRET_KEY,
+    verifyUrl: env.TURNSTILE_VERIFY_URL,
+    remoteIp: request.headers.get('CF-Connecting-IP')
+  });
+}
+
+// Verify a cf-turnstile-response token.
+// Resolves to { success: true } or { success: false, code, errorCodes }.
+export async function verifyTurnstile(token, { secret, verifyUrl, remoteIp }) {
+  if (!token) {
+    return { success: false, code: TURNSTILE_ERRORS.missing, errorCodes: ['missing-input-response'] };
+  }
+
+  // The same key is sent on every attempt, so a retry after a dropped
+  // connection is treated as the same verification rather than a reused token
+  const idempotencyKey = crypto.randomUUID();
+
+  let outcome;
+  for (let attempt = 1; attempt <= VERIFY_ATTEMPTS; attempt++) {
+    const body = new FormData();
+    body.append('secret', secret);
+    body.append('response', token);
+    body.append('idempotency_key', idempotencyKey);
+    if (remoteIp) {
+      body.append('remoteip', remoteIp);
+    }
+
+    try {
+      const response = await fetch(verifyUrl || DEFAULT_VERIFY_URL, {
+        method: 'POST',
+        body,
+        signal: AbortSignal.timeout(VERIFY_TIMEOUT_MS)
+      });
+
+      if (!response.ok) {
+        throw new Error(`siteverify responded ${response.status}`);
+      }
+
+      outcome = await response.json();
+      break;
+    } catch (error) {
+      console.warn(`Turnstile verification attempt ${attempt} failed:`, error.message);
+    }
+  }
+
+  if (!outcome) {
+    console.error('Turnstile verification unavailable');
+    return { success: false, code: TURNSTILE_ERRORS.unavailable, errorCodes: ['internal-error'] };
+  }
+
+  if (outcome.success) {
+    return { success: true };
+  }
+
+  const errorCodes = outcome['error-codes'] || [];
+  console.warn('Turnstile verification failed:', errorCodes.join(', '));
+  return { success: false, code: TURNSTILE_ERRORS.failed, errorCodes };
+}
@@ -0,0 +1,205 @@
+// functions/_lib/webhooks.js
+// Fans contact submissions out to chat and automation webhooks.
+//
+// CONTACT_WEBHOOKS holds a JSON array of destinations:
+//   [
+//     { "type": "discord", "url": "https://discord.com/api/webhooks/...", "services": ["birth chart reading"] },
+//     { "type": "slack", "url": "https://hooks.slack.com/services/..." },
+//     { "type": "generic", "url": "https://example.com/hooks/contact", "secret": "..." }
+//   ]
+// `services` is optional; without it a destination gets every submission.
+//
+// Generic destinations receive the submission as JSON, signed so the
+// receiver can check it came from us:
+//   X-Webhook-Timestamp: <unix seconds>
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+// using the destination's `secret`, or WEBHOOK_SIGNING_SECRET if it has none.
+// Receivers should reject timestamps more than a few minutes old.
+
+import { hmacSha256Hex } from './signing.js';
+
+const DELIVERY_TIMEOUT_MS = 5000;
+const DELIVERY_ATTEMPTS = 3;
+const RETRY_DELAYS_MS = [1000, 3000];
+const MAX_RETRY_AFTER_MS = 5000;
+
+// Discord embed descriptions and Slack section texts have hard size limits
+const DISCORD_DESCRIPTION_LIMIT = 4000;
+const SLACK_TEXT_LIMIT = 2900;
+
+const FORMATTERS = {
+  discord: formatDiscord,
+  slack: formatSlack,
+  generic: formatGeneric
+};
+
+// Destinations from CONTACT_WEBHOOKS; a malformed setting disables webhooks
+// rather than breaking the form
+export function webhookDestinations(env) {
+  if (!env.CONTACT_WEBHOOKS) return [];
+
+  let destinations;
+  try {
+    destinations = JSON.parse(env.CONTACT_WEBHOOKS);
+  } catch (error) {
+    console.error('CONTACT_WEBHOOKS is not valid JSON:', error.message);
+    return [];
+  }
+
+  if (!Array.isArray(destinations)) {
+    console.error('CONTACT_WEBHOOKS must be a JSON array');
+    return [];
+  }
+
+  return destinations.filter(destination => {
+    const valid = destination && FORMATTERS[destination.type] && /^https:\/\//.test(destination.url || '');
+    if (!valid) {
+      console.warn('Ignoring invalid webhook destination:', JSON.stringify(destination && { type: destination.type }));
+    }
+    return valid;
+  });
+}
+
+// Deliver a submission to every matching destination. Never throws; meant
+// to be handed to context.waitUntil so it doesn't hold up the response.
+export async function notifyWebhooks(env, submission) {
+  const service = String(submission.service || '').trim().toLowerCase();
+  const destinations = webhookDestinations(env).filter(destination =>
+    !Array.isArray(destination.services) ||
+    destination.services.some(wanted => String(wanted).trim().toLowerCase() === service)
+  );
+
+  await Promise.all(destinations.map(async destination => {
+    try {
+      const request = await FORMATTERS[destination.type](submission, destination, env);
+      await deliver(destination, request);
+    } catch (error) {
+      console.error(`Webhook (${destination.type}) delivery failed:`, error.message);
+    }
+  }));
+}
+
+// POST with retries on network errors, 429s and 5xx responses
+async function deliver(destination, { body, headers }) {
+  for (let attempt = 1; attempt <= DELIVERY_ATTEMPTS; attempt++) {
+    let retryDelay = RETRY_DELAYS_MS[attempt - 1];
+    let response;
+
+    try {
+      response = await fetch(destination.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body,
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+      });
+    } catch (error) {
+      console.warn(`Webhook (${destination.type}) attempt ${attempt} failed:`, error.message);
+    }
+
+    if (response) {
+      if (response.ok) return;
+
+      // Other 4xx responses mean the payload or URL is wrong; retrying won't help
+      if (response.status !== 429 && response.status < 500) {
+        throw new Error(`responded ${response.status}`);
+      }
+
+      const retryAfter = parseFloat(response.headers.get('Retry-After'));
+      if (Number.isFinite(retryAfter)) {
+        retryDelay = Math.min(MAX_RETRY_AFTER_MS, retryAfter * 1000);
+      }
+      console.warn(`Webhook (${destination.type}) attempt ${attempt} responded ${response.status}`);
+    }
+
+    if (attempt < DELIVERY_ATTEMPTS) {
+      await new Promise(resolve => setTimeout(resolve, retryDelay));
+    }
+  }
+
+  throw new Error(`gave up after ${DELIVERY_ATTEMPTS} attempts`);
+}
+
+function formatDiscord(submission) {
+  const message = truncate(submission.message, DISCORD_DESCRIPTION_LIMIT);
+  return {
+    body: JSON.stringify({
+      username: 'dream the wilderness',
+      // Never let submitted text ping @everyone or roles
+      allowed_mentions: { parse: [] },
+      embeds: [{
+        title: truncate(`${submission.spamStatus === 'suspect' ? '[possible spam] ' : ''}new inquiry: ${submission.service}`, 256),
+        description: message,
+        color: submission.spamStatus === 'suspect' ? 0xb3261e : 0x8b755d,
+        fields: [
+          { name: 'name', value: truncate(submission.name, 1024), inline: true },
+          { name: 'email', value: truncate(submission.email, 1024), inline: true }
+        ],
+        timestamp: submission.submittedAt
+      }]
+    })
+  };
+}
+
+function formatSlack(submission) {
+  const flag = submission.spamStatus === 'suspect' ? ':warning: possible spam - ' : '';
+  return {
+    body: JSON.stringify({
+      text: `${flag}new inquiry from ${escapeSlack(submission.name)}: ${escapeSlack(submission.service)}`,
+      blocks: [
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: `${flag}*new inquiry: ${escapeSlack(submission.service)}*`
+          }
+        },
+        {
+          type: 'section',
+          fields: [
+            { type: 'mrkdwn', text: `*name*\n${escapeSlack(submission.name)}` },
+            { type: 'mrkdwn', text: `*email*\n${escapeSlack(submission.email)}` }
+          ]
+        },
+        {
+          type: 'section',
+          text: { type: 'plain_text', text: truncate(submission.message, SLACK_TEXT_LIMIT) }
+        }
+      ]
+    })
+  };
+}
+
+async function formatGeneric(submission, destination, env) {
+  const body = JSON.stringify({
+    event: 'contact.submitted',
+    ...submission
+  });
+
+  const secret = destination.secret || env.WEBHOOK_SIGNING_SECRET;
+  if (!secret) {
+    console.warn('Generic webhook has no secret - set "secret" or WEBHOOK_SIGNING_SECRET to sign deliveries');
+    return { body, headers: {} };
+  }
+
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  return {
+    body,
+    headers: {
+      'X-Webhook-Timestamp': timestamp,
+      'X-Webhook-Signature': `sha256=${await hmacSha256Hex(secret, `${timestamp}.${body}`)}`
+    }
+  };
+}
+
+function truncate(text, limit) {
+  const value = String(text || '');
+  return value.length > limit ? `${value.slice(0, limit - 1)}…` : value;
+}
+
+// Slack treats &, < and > as control characters in mrkdwn
+function escapeSlack(text) {
+  return String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
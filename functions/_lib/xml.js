@@ -0,0 +1,297 @@
+// functions/_lib/xml.js
+// Small, forgiving XML reader for the Workers runtime (no DOMParser there).
+// Builds a plain element tree with namespace-resolved names and recovers from
+// the usual real-world feed breakage - stray end tags, unclosed elements,
+// bare ampersands - instead of throwing.
+
+const XML_NAMESPACE = 'http://www.w3.org/XML/1998/namespace';
+
+// HTML 4 Latin-1 entities, in code point order starting at U+00A0
+const LATIN1_ENTITY_NAMES = (
+  'nbsp iexcl cent pound curren yen brvbar sect uml copy ordf laquo not shy reg macr ' +
+  'deg plusmn sup2 sup3 acute micro para middot cedil sup1 ordm raquo frac14 frac12 frac34 iquest ' +
+  'Agrave Aacute Acirc Atilde Auml Aring AElig Ccedil Egrave Eacute Ecirc Euml Igrave Iacute Icirc Iuml ' +
+  'ETH Ntilde Ograve Oacute Ocirc Otilde Ouml times Oslash Ugrave Uacute Ucirc Uuml Yacute THORN szlig ' +
+  'agrave aacute acirc atilde auml aring aelig ccedil egrave eacute ecirc euml igrave iacute icirc iuml ' +
+  'eth ntilde ograve oacute ocirc otilde ouml divide oslash ugrave uacute ucirc uuml yacute thorn yuml'
+).split(' ');
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'",
+  OElig: 'Œ', oelig: 'œ', Scaron: 'Š', scaron: 'š', Yuml: 'Ÿ',
+  fnof: 'ƒ', circ: 'ˆ', tilde: '˜',
+  ensp: ' ', emsp: ' ', thinsp: ' ', zwnj: '‌', zwj: '‍',
+  lrm: '‎', rlm: '‏', ndash: '–', mdash: '—',
+  lsquo: '‘', rsquo: '’', sbquo: '‚', ldquo: '“', rdquo: '”', bdquo: '„',
+  dagger: '†', Dagger: '‡', bull: '•', hellip: '…', permil: '‰',
+  prime: '′', Prime: '″', lsaquo: '‹', rsaquo: '›', euro: '€',
+  trade: '™', larr: '←', uarr: '↑', rarr: '→', darr: '↓', harr: '↔',
+  minus: '−', infin: '∞', ne: '≠', le: '≤', ge: '≥', asymp: '≈',
+  loz: '◊', spades: '♠', clubs: '♣', hearts: '♥', diams: '♦'
+};
+
+LATIN1_ENTITY_NAMES.forEach((name, index) => {
+  NAMED_ENTITIES[name] = String.fromCharCode(0xA0 + index);
+});
+
+// Decode numeric (&#8217; &#x2019;) and named (&mdash;) character references.
+// Unknown names are left untouched so bare ampersands survive.
+export function decodeEntities(text) {
+  if (!text || text.indexOf('&') === -1) return text || '';
+
+  return text.replace(/&(#[xX][0-9a-fA-F]+|#[0-9]+|[A-Za-z][A-Za-z0-9]*);/g, (match, ref) => {
+    if (ref[0] === '#') {
+      const codePoint = ref[1] === 'x' || ref[1] === 'X'
+        ? parseInt(ref.slice(2), 16)
+        : parseInt(ref.slice(1), 10);
+      return isValidCodePoint(codePoint) ? String.fromCodePoint(codePoint) : '�';
+    }
+    return Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, ref) ? NAMED_ENTITIES[ref] : match;
+  });
+}
+
+function isValidCodePoint(codePoint) {
+  return Number.isInteger(codePoint) &&
+    codePoint > 0 &&
+    codePoint <= 0x10FFFF &&
+    !(codePoint >= 0xD800 && codePoint <= 0xDFFF);
+}
+
+// Parse an XML document into { name, local, ns, attributes, children } nodes.
+// Text (including CDATA sections) is stored as plain strings in `children`.
+export function parseXml(text) {
+  const root = createNode('#document', {}, null);
+  root.nsScope = { xml: XML_NAMESPACE };
+
+  let current = root;
+  let pos = 0;
+  const length = text.length;
+
+  while (pos < length) {
+    const lt = text.indexOf('<', pos);
+    if (lt === -1) {
+      appendText(current, decodeEntities(text.slice(pos)));
+      break;
+    }
+    if (lt > pos) {
+      appendText(current, decodeEntities(text.slice(pos, lt)));
+    }
+
+    if (text.startsWith('<![CDATA[', lt)) {
+      const end = text.indexOf(']]>', lt + 9);
+      appendText(current, text.slice(lt + 9, end === -1 ? length : end));
+      pos = end === -1 ? length : end + 3;
+    } else if (text.startsWith('<!--', lt)) {
+      const end = text.indexOf('-->', lt + 4);
+      pos = end === -1 ? length : end + 3;
+    } else if (text.startsWith('<?', lt)) {
+      const end = text.indexOf('?>', lt + 2);
+      pos = end === -1 ? length : end + 2;
+    } else if (text.startsWith('<!', lt)) {
+      pos = skipDeclaration(text, lt);
+    } else if (text[lt + 1] === '/') {
+      const end = text.indexOf('>', lt);
+      const name = text.slice(lt + 2, end === -1 ? length : end).trim();
+      current = closeElement(current, name);
+      pos = end === -1 ? length : end + 1;
+    } else {
+      const tag = readStartTag(text, lt);
+      if (!tag) {
+        // Not a tag after all (e.g. "a < b" in text) - keep it as text
+        appendText(current, '<');
+        pos = lt + 1;
+        continue;
+      }
+      const element = createNode(tag.name, tag.attributes, current);
+      current.children.push(element);
+      if (!tag.selfClosing) {
+        current = element;
+      }
+      pos = tag.end;
+    }
+  }
+
+  return root;
+}
+
+// Child elements matching a local name, optionally restricted to a namespace.
+// Pass `null` as the namespace to match only un-namespaced elements.
+export function childElements(node, local, ns) {
+  if (!node) return [];
+  return node.children.filter(child =>
+    typeof child !== 'string' &&
+    (local === undefined || child.local === local) &&
+    (ns === undefined || child.ns === ns)
+  );
+}
+
+export function firstChild(node, local, ns) {
+  return childElements(node, local, ns)[0] || null;
+}
+
+// All descendant elements matching a local name, in document order
+export function descendants(node, local, ns) {
+  const found = [];
+  const walk = (parent) => {
+    for (const child of parent.children) {
+      if (typeof child === 'string') continue;
+      if (child.local === local && (ns === undefined || child.ns === ns)) {
+        found.push(child);
+      }
+      walk(child);
+    }
+  };
+  if (node) walk(node);
+  return found;
+}
+
+// Concatenated text of a node and everything inside it
+export function textContent(node) {
+  if (!node) return '';
+  return node.children
+    .map(child => (typeof child === 'string' ? child : textContent(child)))
+    .join('');
+}
+
+function createNode(name, rawAttributes, parent) {
+  const node = {
+    name,
+    local: name,
+    ns: null,
+    attributes: {},
+    children: [],
+    parent,
+    nsScope: parent ? parent.nsScope : {}
+  };
+
+  // Namespace declarations apply to the element itself and its descendants
+  const declarations = Object.keys(rawAttributes).filter(key => key === 'xmlns' || key.startsWith('xmlns:'));
+  if (declarations.length > 0) {
+    node.nsScope = Object.create(node.nsScope);
+    for (const key of declarations) {
+      node.nsScope[key === 'xmlns' ? '' : key.slice(6)] = rawAttributes[key];
+    }
+  }
+
+  const resolved = resolveName(name, node.nsScope, true);
+  node.local = resolved.local;
+  node.ns = resolved.ns;
+
+  for (const [key, value] of Object.entries(rawAttributes)) {
+    // Attributes are keyed by local name; prefixed ones keep their prefix
+    // too so callers can ask for e.g. "xml:base" explicitly.
+    node.attributes[key] = value;
+    const local = resolveName(key, node.nsScope, false).local;
+    if (!(local in node.attributes)) {
+      node.attributes[local] = value;
+    }
+  }
+
+  return node;
+}
+
+function resolveName(name, scope, useDefault) {
+  const colon = name.indexOf(':');
+  if (colon === -1) {
+    return { local: name, ns: useDefault ? (scope[''] || null) : null };
+  }
+  const prefix = name.slice(0, colon);
+  return { local: name.slice(colon + 1), ns: scope[prefix] || null };
+}
+
+function appendText(node, text) {
+  if (!text) return;
+  const last = node.children.length - 1;
+  if (last >= 0 && typeof node.children[last] === 'string') {
+    node.children[last] += text;
+  } else {
+    node.children.push(text);
+  }
+}
+
+// Close the nearest open element with this name. Stray end tags that match
+// nothing are ignored; anything left open in between is closed implicitly.
+function closeElement(current, name) {
+  let node = current;
+  while (node && node.parent) {
+    if (node.name === name) {
+      return node.parent;
+    }
+    node = node.parent;
+  }
+  return current;
+}
+
+// Skip <!DOCTYPE ...> and friends, including a bracketed internal subset
+function skipDeclaration(text, start) {
+  let depth = 0;
+  for (let i = start + 2; i < text.length; i++) {
+    const char = text[i];
+    if (char === '[') depth++;
+    else if (char === ']') depth--;
+    else if (char === '>' && depth <= 0) return i + 1;
+  }
+  return text.length;
+}
+
+function readStartTag(text, start) {
+  const nameMatch = /^[A-Za-z_][\w:.-]*/.exec(text.slice(start + 1, start + 256));
+  if (!nameMatch) return null;
+
+  const name = nameMatch[0];
+  const attributes = {};
+  let i = start + 1 + name.length;
+  const length = text.length;
+
+  while (i < length) {
+    const char = text[i];
+
+    if (char === '>') {
+      return { name, attributes, selfClosing: false, end: i + 1 };
+    }
+    if (char === '/' && text[i + 1] === '>') {
+      return { name, attributes, selfClosing: true, end: i + 2 };
+    }
+    if (/\s|\//.test(char)) {
+      i++;
+      continue;
+    }
+
+    // Attribute name
+    const attrMatch = /^[^\s=\/>]+/.exec(text.slice(i, i + 256));
+    if (!attrMatch) {
+      i++;
+      continue;
+    }
+    const attrName = attrMatch[0];
+    i += attrName.length;
+
+    while (i < length && /\s/.test(text[i])) i++;
+
+    if (text[i] !== '=') {
+      // Valueless attribute (not valid XML, but seen in the wild)
+      attributes[attrName] = '';
+      continue;
+    }
+
+    i++;
+    while (i < length && /\s/.test(text[i])) i++;
+
+    let value;
+    const quote = text[i];
+    if (quote === '"' || quote === "'") {
+      const end = text.indexOf(quote, i + 1);
+      value = text.slice(i + 1, end === -1 ? length : end);
+      i = end === -1 ? length : end + 1;
+    } else {
+      const unquoted = /^[^\s>]*/.exec(text.slice(i))[0];
+      value = unquoted;
+      i += unquoted.length;
+    }
+
+    attributes[attrName] = decodeEntities(value);
+  }
+
+  // Ran off the end of the document inside a tag
+  return { name, attributes, selfClosing: true, end: length };
+}
@@ -0,0 +1,95 @@
+// functions/_middleware.js
+// Runs in front of every request to the site:
+//   - answers CORS preflights and adds CORS headers for allowed origins
+//     (see _lib/http.js)
+//   - adds the site's security headers (see _lib/http.js) where the response
+//     doesn't set its own
+//   - sends a nonce-based Content Security Policy with HTML pages (see
+//     _lib/csp.js)
+//   - writes TURNSTILE_SITE_KEY into the pages' Turnstile widgets (see
+//     _lib/turnstile.js)
+//   - prerenders the page for section paths like /blog and /about (see
+//     _lib/prerender.js)
+//   - gives each request an X-Request-Id, reusing a well-formed one sent by
+//     the caller, and hands it to Functions as context.data.requestId
+//   - turns an unhandled error into a JSON 500 that doesn't reveal the error
+//   - writes one structured JSON log line per request
+
+import { jsonResponse, corsHeaders, preflightResponse, SECURITY_HEADERS } from './_lib/http.js';
+import { applyContentSecurityPolicy } from './_lib/csp.js';
+import { applyTurnstileSiteKey } from './_lib/turnstile.js';
+import { prerenderRoute } from './_lib/prerender.js';
+import { routeFromPath } from '../js/routes.js';
+
+const REQUEST_ID_PATTERN = /^[\w-]{8,64}$/;
+
+export async function onRequest(context) {
+  const { request, env } = context;
+  const started = Date.now();
+  const url = new URL(request.url);
+
+  const incomingId = request.headers.get('X-Request-Id');
+  const requestId = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+  context.data.requestId = requestId;
+
+  let response;
+  let failure = null;
+  if (request.method === 'OPTIONS' && request.headers.get('Access-Control-Request-Method')) {
+    response = preflightResponse(env, request);
+  } else {
+    try {
+      // The policy goes on before prerendering, so only the page's own
+      // scripts get the nonce and nothing added from the feed can run
+      response = applyContentSecurityPolicy(env, await context.next());
+      response = applyTurnstileSiteKey(env, request, response);
+
+      const routeName = request.method === 'GET' ? routeFromPath(url.pathname) : null;
+      if (routeName && response.ok && (response.headers.get('Content-Type') || '').includes('text/html')) {
+        response = await prerenderRoute(context, routeName, response);
+      }
+    } catch (error) {
+      failure = error;
+      response = jsonResponse({
+        status: 'error',
+        code: 'internal_error',
+        message: 'Something went wrong on our side. Please try again.',
+        requestId
+      }, 500);
+    }
+  }
+
+  // Responses from static assets and fetch() have immutable headers
+  response = new Response(response.body, response);
+  response.headers.set('X-Request-Id', requestId);
+  for (const [name, value] of Object.entries(SECURITY_HEADERS)) {
+    if (!response.headers.has(name)) {
+      response.headers.set(name, value);
+    }
+  }
+  for (const [name, value] of Object.entries(corsHeaders(env, request))) {
+    response.headers.set(name, value);
+  }
+  // Whether CORS headers are sent depends on the Origin, so caches have to
+  // keep responses apart by it, including the ones to requests without one
+  response.headers.append('Vary', 'Origin');
+
+  const entry = {
+    level: failure ? 'error' : 'info',
+    requestId,
+    method: request.method,
+    path: url.pathname,
+    status: response.status,
+    durationMs: Date.now() - started,
+    ray: request.headers.get('CF-Ray'),
+    colo: request.cf ? request.cf.colo : null
+  };
+  if (failure) {
+    // Logs only - the stack never goes to the client
+    entry.error = { name: failure.name, message: failure.message, stack: failure.stack };
+    console.error(JSON.stringify(entry));
+  } else {
+    console.log(JSON.stringify(entry));
+  }
+
+  return response;
+}
@@ -0,0 +1,57 @@
+// functions/api/admin/booking-rules.js
+// The owner's availability rules for reading bookings (format described in
+// _lib/bookings.js).
+//
+// GET /api/admin/booking-rules -> { rules, feedUrl }
+// PUT /api/admin/booking-rules -> replace the rules with the JSON body
+// Requires admin authentication (see _lib/admin-auth.js).
+
+import { authenticateAdmin } from '../../_lib/admin-auth.js';
+import { loadBookingRules, saveBookingRules, parseBookingRules, bookingFeedUrl } from '../../_lib/bookings.js';
+import { jsonResponse } from '../../_lib/http.js';
+
+export async function onRequestGet(context) {
+  const { request, env } = context;
+
+  const auth = await authenticateAdmin(request, env);
+  if (!auth.ok) {
+    return jsonResponse({ status: 'error', message: auth.message }, auth.status);
+  }
+  if (!env.BOOKINGS_KV) {
+    return jsonResponse({ status: 'error', message: 'BOOKINGS_KV is not bound' }, 503);
+  }
+
+  return jsonResponse({
+    status: 'ok',
+    rules: await loadBookingRules(env.BOOKINGS_KV),
+    feedUrl: bookingFeedUrl(env)
+  });
+}
+
+export async function onRequestPut(context) {
+  const { request, env } = context;
+
+  const auth = await authenticateAdmin(request, env);
+  if (!auth.ok) {
+    return jsonResponse({ status: 'error', message: auth.message }, auth.status);
+  }
+  if (!env.BOOKINGS_KV) {
+    return jsonResponse({ status: 'error', message: 'BOOKINGS_KV is not bound' }, 503);
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return jsonResponse({ status: 'error', message: 'Body must be JSON' }, 400);
+  }
+
+  const { rules, error } = parseBookingRules(body);
+  if (error) {
+    return jsonResponse({ status: 'error', message: error }, 400);
+  }
+
+  await saveBookingRules(env.BOOKINGS_KV, rules);
+  console.log(`Booking rules updated by ${auth.identity}`);
+  return jsonResponse({ status: 'ok', rules });
+}
@@ -0,0 +1,58 @@
+// functions/api/admin/contacts.js
+// Lists stored contact form submissions, newest first.
+//
+// GET /api/admin/contacts?limit=25&cursor=<id>&service=...&from=...&to=...&spam=ok|suspect&status=new|replied|archived
+// Requires admin authentication (see _lib/admin-auth.js).
+
+import { authenticateAdmin } from '../../_lib/admin-auth.js';
+import { parseContactFilters, queryContacts, isContactId } from '../../_lib/contacts.js';
+import { jsonResponse } from '../../_lib/http.js';
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+export async function onRequestGet(context) {
+  const { request, env } = context;
+
+  const auth = await authenticateAdmin(request, env);
+  if (!auth.ok) {
+    return jsonResponse({ status: 'error', message: auth.message }, auth.status);
+  }
+
+  if (!env.CONTACTS_KV) {
+    return jsonResponse({ status: 'error', message: 'CONTACTS_KV is not bound' }, 503);
+  }
+
+  const params = new URL(request.url).searchParams;
+  const { filters, error } = parseContactFilters(params);
+  if (error) {
+    return jsonResponse({ status: 'error', message: error }, 400);
+  }
+
+  const limitParam = params.get('limit');
+  const limit = limitParam === null ? DEFAULT_PAGE_SIZE : Number(limitParam);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return jsonResponse({ status: 'error', message: `limit must be between 1 and ${MAX_PAGE_SIZE}` }, 400);
+  }
+
+  const cursor = params.get('cursor');
+  if (cursor && !isContactId(cursor)) {
+    return jsonResponse({ status: 'error', message: 'Invalid cursor' }, 400);
+  }
+
+  try {
+    const result = await queryContacts(env.CONTACTS_KV, filters, { cursor, limit });
+    return jsonResponse({
+      status: 'ok',
+      items: result.items,
+      count: result.items.length,
+      total: result.total,
+      limit,
+      hasMore: result.nextCursor !== null,
+      nextCursor: result.nextCursor
+    });
+  } catch (error) {
+    console.error('Admin contacts list error:', error);
+    return jsonResponse({ status: 'error', message: 'Failed to list contacts' }, 500);
+  }
+}
@@ -0,0 +1,92 @@
+// functions/api/admin/contacts/[id].js
+// A single stored contact form submission.
+//
+// GET    /api/admin/contacts/:id  -> the full record
+// PATCH  /api/admin/contacts/:id  -> { "status": "new" | "replied" | "archived" }
+// DELETE /api/admin/contacts/:id
+// Requires admin authentication (see _lib/admin-auth.js).
+
+import { authenticateAdmin } from '../../../_lib/admin-auth.js';
+import { CONTACT_STATUSES, isContactId, saveContact } from '../../../_lib/contacts.js';
+import { jsonResponse } from '../../../_lib/http.js';
+
+export async function onRequestGet(context) {
+  const checked = await checkRequest(context);
+  if (checked.response) return checked.response;
+
+  const record = await context.env.CONTACTS_KV.get(checked.id, 'json');
+  if (!record) {
+    return notFound();
+  }
+
+  return jsonResponse({ status: 'ok', item: { id: checked.id, ...record, status: record.status || 'new' } });
+}
+
+export async function onRequestPatch(context) {
+  const checked = await checkRequest(context);
+  if (checked.response) return checked.response;
+
+  let body;
+  try {
+    body = await context.request.json();
+  } catch (error) {
+    return jsonResponse({ status: 'error', message: 'Body must be JSON' }, 400);
+  }
+
+  if (!body || !CONTACT_STATUSES.includes(body.status)) {
+    return jsonResponse({ status: 'error', message: `status must be one of ${CONTACT_STATUSES.join(', ')}` }, 400);
+  }
+
+  const kv = context.env.CONTACTS_KV;
+  const record = await kv.get(checked.id, 'json');
+  if (!record) {
+    return notFound();
+  }
+
+  const updated = {
+    ...record,
+    status: body.status,
+    statusChangedAt: new Date().toISOString(),
+    statusChangedBy: checked.identity
+  };
+  await saveContact(kv, checked.id, updated);
+
+  return jsonResponse({ status: 'ok', item: { id: checked.id, ...updated } });
+}
+
+export async function onRequestDelete(context) {
+  const checked = await checkRequest(context);
+  if (checked.response) return checked.response;
+
+  const kv = context.env.CONTACTS_KV;
+  if (!await kv.get(checked.id)) {
+    return notFound();
+  }
+
+  await kv.delete(checked.id);
+  console.log(`Contact ${checked.id} deleted by ${checked.identity}`);
+  return jsonResponse({ status: 'ok', deleted: checked.id });
+}
+
+// Authenticate and validate the id.
+// Resolves to { id, identity } or { response } to return as-is.
+async function checkRequest({ request, env, params }) {
+  const auth = await authenticateAdmin(request, env);
+  if (!auth.ok) {
+    return { response: jsonResponse({ status: 'error', message: auth.message }, auth.status) };
+  }
+
+  if (!env.CONTACTS_KV) {
+    return { response: jsonResponse({ status: 'error', message: 'CONTACTS_KV is not bound' }, 503) };
+  }
+
+  if (!isContactId(params.id)) {
+    return { response: notFound() };
+  }
+
+  return { id: params.id, identity: auth.identity };
+}
+
+function notFound() {
+  return jsonResponse({ status: 'error', message: 'Contact not found' }, 404);
+}
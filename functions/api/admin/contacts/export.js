@@ -0,0 +1,109 @@
+// functions/api/admin/contacts/export.js
+// Downloads stored contact form submissions as CSV or JSON.
+//
+// GET /api/admin/contacts/export?format=csv|json plus the same filters as
+// /api/admin/contacts. Requires admin authentication (see _lib/admin-auth.js).
+
+import { authenticateAdmin } from '../../../_lib/admin-auth.js';
+import { parseContactFilters, queryContacts } from '../../../_lib/contacts.js';
+import { jsonResponse } from '../../../_lib/http.js';
+
+const CSV_COLUMNS = [
+  'id',
+  'timestamp',
+  'name',
+  'email',
+  'service',
+  'status',
+  'spamStatus',
+  'spamScore',
+  'deliveryStatus',
+  'message',
+  'birthDate',
+  'birthTime',
+  'birthPlace',
+  'birthLocation',
+  'birthLatitude',
+  'birthLongitude',
+  'birthTimeZone',
+  'birthUtcOffset'
+];
+
+export async function onRequestGet(context) {
+  const { request, env } = context;
+
+  const auth = await authenticateAdmin(request, env);
+  if (!auth.ok) {
+    return jsonResponse({ status: 'error', message: auth.message }, auth.status);
+  }
+
+  if (!env.CONTACTS_KV) {
+    return jsonResponse({ status: 'error', message: 'CONTACTS_KV is not bound' }, 503);
+  }
+
+  const params = new URL(request.url).searchParams;
+  const format = params.get('format') || 'csv';
+  if (!['csv', 'json'].includes(format)) {
+    return jsonResponse({ status: 'error', message: 'format must be "csv" or "json"' }, 400);
+  }
+
+  const { filters, error } = parseContactFilters(params);
+  if (error) {
+    return jsonResponse({ status: 'error', message: error }, 400);
+  }
+
+  try {
+    const { items } = await queryContacts(env.CONTACTS_KV, filters);
+    const filename = `inquiries-${new Date().toISOString().slice(0, 10)}.${format}`;
+    const body = format === 'csv'
+      ? toCsv(items)
+      : JSON.stringify(items, null, 2);
+
+    return new Response(body, {
+      status: 200,
+      headers: {
+        'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json',
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Cache-Control': 'no-store'
+      }
+    });
+  } catch (error) {
+    console.error('Admin contacts export error:', error);
+    return jsonResponse({ status: 'error', message: 'Failed to export contacts' }, 500);
+  }
+}
+
+function toCsv(items) {
+  const rows = [CSV_COLUMNS, ...items.map(item => {
+    const flat = { ...item, ...flattenBirthData(item.birthData) };
+    return CSV_COLUMNS.map(column => flat[column]);
+  })];
+  // CRLF line endings and a BOM so spreadsheet apps read UTF-8 correctly
+  return '\uFEFF' + rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// Birth chart inquiries' birth details as their own columns
+function flattenBirthData(birthData) {
+  if (!birthData) return {};
+  const location = birthData.location || {};
+  return {
+    birthDate: birthData.date,
+    birthTime: birthData.timeUnknown ? 'unknown' : birthData.time,
+    birthPlace: birthData.place,
+    birthLocation: location.label,
+    birthLatitude: location.latitude,
+    birthLongitude: location.longitude,
+    birthTimeZone: location.timeZone,
+    birthUtcOffset: birthData.utcOffset ? `UTC${birthData.utcOffset}` : null
+  };
+}
+
+function csvCell(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  // Cells starting with these are run as formulas by spreadsheet apps
+  // (numbers are safe, and negative coordinates should stay numbers)
+  if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,57 @@
+// functions/api/availability.js
+// Open 60-minute reading slots, from the owner's weekly rules and blackout
+// dates minus slots already booked (see _lib/bookings.js).
+//
+// GET /api/availability?from=YYYY-MM-DD&days=28
+// Both parameters are optional: `from` defaults to today and `days` to 28
+// (at most 62). Slot times are UTC; the response also names the owner's time
+// zone so the page can show both.
+
+import { loadBookingRules, bookedSlotStarts, openSlots, localDate, SLOT_MINUTES } from '../_lib/bookings.js';
+import { localTimeToUtc } from '../_lib/timezone.js';
+import { jsonResponse } from '../_lib/http.js';
+
+const DEFAULT_DAYS = 28;
+const MAX_DAYS = 62;
+
+export async function onRequestGet(context) {
+  const { request, env } = context;
+
+  if (!env.BOOKINGS_KV || !env.BOOKINGS_DB) {
+    return jsonResponse({ status: 'error', message: 'Booking is not available right now' }, 503);
+  }
+
+  const params = new URL(request.url).searchParams;
+  const from = params.get('from');
+  if (from && !/^\d{4}-\d{2}-\d{2}$/.test(from)) {
+    return jsonResponse({ status: 'error', message: '"from" must be a date (YYYY-MM-DD)' }, 400);
+  }
+  const requestedDays = parseInt(params.get('days'), 10);
+  const days = Number.isInteger(requestedDays) && requestedDays > 0
+    ? Math.min(requestedDays, MAX_DAYS)
+    : DEFAULT_DAYS;
+
+  try {
+    const rules = await loadBookingRules(env.BOOKINGS_KV);
+    const now = Date.now();
+    // `from` is a day in the owner's time zone, starting at their midnight
+    const startDate = from || localDate(rules.timeZone, now);
+    const fromMs = Date.parse(localTimeToUtc(startDate, '00:00', rules.timeZone).utc);
+
+    const slots = openSlots(rules, await bookedSlotStarts(env.BOOKINGS_DB, now), {
+      fromMs,
+      untilMs: fromMs + days * 24 * 60 * 60 * 1000,
+      now
+    });
+
+    return jsonResponse({
+      status: 'ok',
+      timeZone: rules.timeZone,
+      slotMinutes: SLOT_MINUTES,
+      slots
+    });
+  } catch (error) {
+    console.error('Availability error:', error);
+    return jsonResponse({ status: 'error', message: 'Failed to load availability' }, 500);
+  }
+}
@@ -1,204 +1,334 @@
 // functions/blog.js
 // Cloudflare Pages Function for fetching and serving Substack blog posts
 
+import { parseFeed } from '../_lib/feed-parser.js';
+import { jsonResponse } from '../_lib/http.js';
+import { base64UrlEncode, base64UrlDecode } from '../_lib/signing.js';
+
 const SUBSTACK_FEED_URL = 'https://dreamthewilderness.substack.com/feed';
 
+const FRESH_KEY = 'blog_feed_cache';
+const LAST_GOOD_KEY = 'blog_feed_last_good';
+const STATUS_KEY = 'blog_feed_status';
+const REFRESH_LOCK_KEY = 'blog_feed_refresh_lock';
+const FRESH_TTL_SECONDS = 600;
+const REFRESH_LOCK_TTL_SECONDS = 60; // KV's minimum TTL
+const UPSTREAM_TIMEOUT_MS = 5000;
+
+const DEFAULT_PAGE_SIZE = 6;
+const MAX_PAGE_SIZE = 50;
+
 export async function onRequestGet(context) {
   const { request, env } = context;
 
-  // CORS headers
-  const corsHeaders = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
-    'Content-Type': 'application/json'
-  };
+  // Validate query parameters before touching the feed
+  const query = parseBlogQuery(new URL(request.url).searchParams);
+  if (query.error) {
+    return jsonResponse({
+      status: 'error',
+      message: query.error
+    }, 400);
+  }
 
   try {
-    // Try to get cached feed from KV (10-minute TTL)
-    const cacheKey = 'blog_feed_cache';
-    let items;
-    let cached = false;
-
-    if (env.BLOG_CACHE) {
-      try {
-        const cachedData = await env.BLOG_CACHE.get(cacheKey, 'json');
-        if (cachedData && cachedData.items) {
-          console.log('Blog API: Using cached feed');
-          items = cachedData.items;
-          cached = true;
-
-          return jsonResponse({
-            status: 'ok',
-            items: items,
-            count: items.length,
-            updatedAt: cachedData.updatedAt,
-            cached: true
-          }, 200, corsHeaders);
-        }
-      } catch (cacheError) {
-        console.warn('Blog API: Cache read failed, fetching fresh feed:', cacheError.message);
-      }
-    }
-
-    // Fetch the Substack RSS feed
-    const feedResponse = await fetch(SUBSTACK_FEED_URL);
+    const feed = await loadFeed(context);
+    const result = queryItems(feed.items, query);
 
-    if (!feedResponse.ok) {
-      throw new Error(`Failed to fetch Substack feed: ${feedResponse.statusText}`);
-    }
-
-    const feedText = await feedResponse.text();
-
-    // Parse RSS XML
-    items = parseRssFeed(feedText);
-
-    // Cache the result for 10 minutes (600 seconds)
-    if (env.BLOG_CACHE && items.length > 0) {
-      try {
-        const updatedAt = new Date().toISOString();
-        await env.BLOG_CACHE.put(cacheKey, JSON.stringify({
-          items: items,
-          updatedAt: updatedAt
-        }), { expirationTtl: 600 });
-        console.log('Blog API: Feed cached for 10 minutes');
-      } catch (cacheError) {
-        console.warn('Blog API: Failed to cache feed:', cacheError.message);
-      }
-    }
+    // Full post bodies are large; list responses only carry the excerpt
+    const items = result.items.map(({ content, ...item }) => item);
 
-    // Return as JSON
     return jsonResponse({
       status: 'ok',
       items: items,
       count: items.length,
-      updatedAt: new Date().toISOString(),
-      cached: false
-    }, 200, corsHeaders);
+      total: result.total,
+      page: result.page,
+      limit: result.limit,
+      hasMore: result.nextCursor !== null,
+      nextCursor: result.nextCursor,
+      updatedAt: feed.updatedAt,
+      cached: feed.cached,
+      stale: feed.stale,
+      age: feed.age,
+      upstreamError: feed.upstreamError,
+      skipped: feed.skipped
+    }, 200);
 
   } catch (error) {
     console.error('Blog API error:', error);
     return jsonResponse({
       status: 'error',
-      message: 'Unable to fetch blog posts',
-      error: error.message
-    }, 500, corsHeaders);
+      message: 'Unable to fetch blog posts'
+    }, 500);
   }
 }
 
-// Handle CORS preflight
-export async function onRequestOptions(context) {
-  return new Response(null, {
-    status: 200,
-    headers: {
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type',
-      'Access-Control-Max-Age': '86400'
-    }
-  });
+// Load the parsed feed through a two-tier KV cache:
+//   1. blog_feed_cache     - fresh copy, expires after 10 minutes
+//   2. blog_feed_last_good - last successful parse, kept indefinitely
+// A fresh hit is served as-is. Otherwise the last good copy is served
+// immediately (stale-while-revalidate) and Substack is re-checked in the
+// background. Only a completely cold cache waits on Substack, unless
+// `cacheOnly` is set, in which case it resolves to null instead.
+export async function loadFeed(context, { cacheOnly = false } = {}) {
+  const { env } = context;
+
+  if (!env.BLOG_CACHE) {
+    if (cacheOnly) return null;
+    const feed = await refreshFeed(env, null);
+    return describeFeed(feed, { cached: false, stale: false });
+  }
+
+  const fresh = await readCache(env, FRESH_KEY);
+  if (fresh && fresh.items) {
+    console.log('Blog API: Using cached feed');
+    return describeFeed(fresh, { cached: true, stale: false });
+  }
+
+  const lastGood = await readCache(env, LAST_GOOD_KEY);
+  if (lastGood && lastGood.items) {
+    console.log('Blog API: Serving saved feed while revalidating');
+    const status = await readCache(env, STATUS_KEY);
+    context.waitUntil(revalidateInBackground(env, lastGood));
+    return describeFeed(lastGood, {
+      cached: true,
+      stale: true,
+      upstreamError: Boolean(status && status.failedAt)
+    });
+  }
+
+  if (cacheOnly) return null;
+
+  // Nothing saved yet, so this request has to wait for Substack
+  const feed = await refreshFeed(env, null);
+  return describeFeed(feed, { cached: false, stale: false });
 }
 
-function parseRssFeed(xmlText) {
-  try {
-    const items = [];
+// Fetch Substack (conditionally, when we have validators) and update both tiers
+async function refreshFeed(env, previous) {
+  const headers = {};
+  if (previous && previous.etag) {
+    headers['If-None-Match'] = previous.etag;
+  }
+  if (previous && previous.lastModified) {
+    headers['If-Modified-Since'] = previous.lastModified;
+  }
 
-    // Extract all <item> elements using regex
-    const itemRegex = /<item>([\s\S]*?)<\/item>/g;
-    let itemMatch;
+  const feedResponse = await fetch(SUBSTACK_FEED_URL, {
+    headers,
+    signal: AbortSignal.timeout(UPSTREAM_TIMEOUT_MS)
+  });
+  const updatedAt = new Date().toISOString();
+  let feed;
 
-    while ((itemMatch = itemRegex.exec(xmlText)) !== null) {
-      const itemContent = itemMatch[1];
+  if (feedResponse.status === 304 && previous) {
+    console.log('Blog API: Feed not modified upstream');
+    feed = { ...previous, updatedAt };
+  } else {
+    if (!feedResponse.ok) {
+      throw new Error(`Failed to fetch Substack feed: ${feedResponse.status} ${feedResponse.statusText}`);
+    }
 
-      // Extract title (handle both plain text and CDATA)
-      let title = 'Untitled';
-      const titleCdataMatch = itemContent.match(/<title[^>]*><!\[CDATA\[(.*?)\]\]><\/title>/);
-      const titlePlainMatch = itemContent.match(/<title[^>]*>([^<]+)<\/title>/);
+    // Parse the RSS/Atom XML; malformed items are skipped, not fatal
+    const { items, errors } = parseFeed(await feedResponse.text());
 
-      if (titleCdataMatch) {
-        title = decodeHtml(titleCdataMatch[1].trim());
-      } else if (titlePlainMatch) {
-        title = decodeHtml(titlePlainMatch[1].trim());
-      }
+    if (errors.length > 0) {
+      console.warn(`Blog API: Skipped ${errors.length} malformed feed item(s):`, JSON.stringify(errors));
+    }
 
-      // Extract description
-      const descriptionMatch = itemContent.match(/<description[^>]*><!\[CDATA\[([\s\S]*?)\]\]><\/description>/);
-      let description = '';
-      let imageUrl = null;
-
-      if (descriptionMatch) {
-        const descriptionHtml = descriptionMatch[1];
-
-        // Extract featured image URL
-        const imgMatch = descriptionHtml.match(/<img[^>]+src=["']([^"']+)["']/);
-        imageUrl = imgMatch ? imgMatch[1] : null;
-
-        // Clean description text
-        description = descriptionHtml
-          .replace(/<[^>]*>/g, '') // Remove HTML tags
-          .replace(/&nbsp;/g, ' ')
-          .replace(/&quot;/g, '"')
-          .replace(/&amp;/g, '&')
-          .replace(/&lt;/g, '<')
-          .replace(/&gt;/g, '>')
-          .trim();
-      }
+    feed = {
+      items,
+      skipped: errors,
+      updatedAt,
+      etag: feedResponse.headers.get('ETag'),
+      lastModified: feedResponse.headers.get('Last-Modified')
+    };
+  }
 
-      // Extract link
-      const linkMatch = itemContent.match(/<link[^>]*>([^<]*)<\/link>/);
-      const link = linkMatch ? linkMatch[1] : '#';
-
-      // Extract publish date
-      const pubDateMatch = itemContent.match(/<pubDate[^>]*>([^<]*)<\/pubDate>/);
-      const pubDateStr = pubDateMatch ? pubDateMatch[1] : new Date().toISOString();
-
-      // Extract author/creator
-      const creatorMatch = itemContent.match(/<creator[^>]*>([^<]*)<\/creator>/);
-      const author = creatorMatch ? decodeHtml(creatorMatch[1]) : 'Dream the Wilderness';
-
-      const pubDate = new Date(pubDateStr);
-
-      items.push({
-        title,
-        description: description.substring(0, 200), // Limit length
-        link,
-        pubDate: pubDateStr,
-        author,
-        image: imageUrl,
-        timestamp: pubDate.getTime()
-      });
+  if (env.BLOG_CACHE && feed.items.length > 0) {
+    try {
+      const serialized = JSON.stringify(feed);
+      await Promise.all([
+        env.BLOG_CACHE.put(FRESH_KEY, serialized, { expirationTtl: FRESH_TTL_SECONDS }),
+        env.BLOG_CACHE.put(LAST_GOOD_KEY, serialized),
+        env.BLOG_CACHE.delete(STATUS_KEY)
+      ]);
+      console.log('Blog API: Feed cached for 10 minutes');
+    } catch (cacheError) {
+      console.warn('Blog API: Failed to cache feed:', cacheError.message);
     }
+  }
 
-    // Sort by date descending (newest first)
-    items.sort((a, b) => b.timestamp - a.timestamp);
+  return feed;
+}
 
-    return items;
+// Runs via waitUntil after a stale response has been sent. A short-lived
+// lock keeps a burst of visitors from all hitting Substack at once, and
+// doubles as a retry delay while Substack is down.
+async function revalidateInBackground(env, lastGood) {
+  try {
+    if (await env.BLOG_CACHE.get(REFRESH_LOCK_KEY)) {
+      return;
+    }
+    await env.BLOG_CACHE.put(REFRESH_LOCK_KEY, new Date().toISOString(), {
+      expirationTtl: REFRESH_LOCK_TTL_SECONDS
+    });
 
+    await refreshFeed(env, lastGood);
+    console.log('Blog API: Background refresh complete');
   } catch (error) {
-    console.error('RSS parsing error:', error);
-    throw new Error(`Failed to parse RSS: ${error.message}`);
+    console.warn('Blog API: Background refresh failed, keeping saved feed:', error.message);
+    try {
+      await env.BLOG_CACHE.put(STATUS_KEY, JSON.stringify({
+        failedAt: new Date().toISOString(),
+        error: error.message
+      }));
+    } catch (statusError) {
+      console.warn('Blog API: Failed to record refresh failure:', statusError.message);
+    }
   }
 }
 
-function decodeHtml(html) {
-  const entities = {
-    '&amp;': '&',
-    '&lt;': '<',
-    '&gt;': '>',
-    '&quot;': '"',
-    '&#039;': "'",
-    '&nbsp;': ' '
+async function readCache(env, key) {
+  try {
+    return await env.BLOG_CACHE.get(key, 'json');
+  } catch (cacheError) {
+    console.warn(`Blog API: Cache read failed for ${key}:`, cacheError.message);
+    return null;
+  }
+}
+
+function describeFeed(feed, flags) {
+  const updated = Date.parse(feed.updatedAt);
+  return {
+    items: feed.items,
+    skipped: feed.skipped || [],
+    updatedAt: feed.updatedAt,
+    age: Number.isNaN(updated) ? null : Math.max(0, Math.round((Date.now() - updated) / 1000)),
+    upstreamError: false,
+    ...flags
   };
+}
 
-  return html.replace(/&[^;]+;/g, (match) => entities[match] || match);
+// The first page of posts, as an unfiltered list request would return it
+export function latestPosts(items, limit = DEFAULT_PAGE_SIZE) {
+  return queryItems(items, { ...parseBlogQuery(new URLSearchParams()), limit });
 }
 
-function jsonResponse(data, status = 200, additionalHeaders = {}) {
-  return new Response(JSON.stringify(data), {
-    status,
-    headers: {
-      'Content-Type': 'application/json',
-      ...additionalHeaders
+// Read paging and filter options from the query string.
+// Returns { error } when a parameter is present but unusable.
+function parseBlogQuery(params) {
+  const query = {
+    limit: DEFAULT_PAGE_SIZE,
+    page: 1,
+    cursor: null,
+    q: '',
+    category: '',
+    since: null,
+    until: null
+  };
+
+  if (params.has('limit')) {
+    const limit = parseInt(params.get('limit'), 10);
+    if (!Number.isInteger(limit) || limit < 1) {
+      return { error: 'limit must be a positive integer' };
+    }
+    query.limit = Math.min(limit, MAX_PAGE_SIZE);
+  }
+
+  if (params.has('cursor')) {
+    query.cursor = decodeCursor(params.get('cursor'));
+    if (!query.cursor) {
+      return { error: 'cursor is invalid' };
     }
+  } else if (params.has('page')) {
+    const page = parseInt(params.get('page'), 10);
+    if (!Number.isInteger(page) || page < 1) {
+      return { error: 'page must be a positive integer' };
+    }
+    query.page = page;
+  }
+
+  query.q = (params.get('q') || '').trim().toLowerCase();
+  query.category = (params.get('category') || '').trim().toLowerCase();
+
+  for (const key of ['since', 'until']) {
+    if (params.has(key)) {
+      const value = params.get(key);
+      let time = Date.parse(value);
+      if (Number.isNaN(time)) {
+        return { error: `${key} must be a valid date` };
+      }
+      // A bare date as the upper bound means "through the end of that day"
+      if (key === 'until' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        time += 24 * 60 * 60 * 1000 - 1;
+      }
+      query[key] = time;
+    }
+  }
+
+  return query;
+}
+
+// Apply filters, then slice out the requested page.
+// Items are already sorted newest first by parseFeed.
+function queryItems(allItems, query) {
+  const terms = query.q ? query.q.split(/\s+/) : [];
+
+  const matches = allItems.filter(item => {
+    if (query.since !== null && item.timestamp < query.since) return false;
+    if (query.until !== null && item.timestamp > query.until) return false;
+
+    if (query.category) {
+      const categories = (item.categories || []).map(c => c.toLowerCase());
+      if (!categories.includes(query.category)) return false;
+    }
+
+    if (terms.length > 0) {
+      const haystack = `${item.title} ${item.description}`.toLowerCase();
+      if (!terms.every(term => haystack.includes(term))) return false;
+    }
+
+    return true;
   });
+
+  // A cursor points at the last item already seen; start right after it.
+  // Falling back to the timestamp keeps paging stable if that item vanished.
+  let start = (query.page - 1) * query.limit;
+  if (query.cursor) {
+    const { timestamp, link } = query.cursor;
+    const index = matches.findIndex(item => item.timestamp === timestamp && item.link === link);
+    start = index !== -1
+      ? index + 1
+      : matches.findIndex(item => item.timestamp < timestamp);
+    if (start === -1) start = matches.length;
+  }
+
+  const items = matches.slice(start, start + query.limit);
+  const end = start + items.length;
+  const last = items[items.length - 1];
+
+  return {
+    items,
+    total: matches.length,
+    page: Math.floor(start / query.limit) + 1,
+    limit: query.limit,
+    nextCursor: end < matches.length ? encodeCursor(last) : null
+  };
+}
+
+// Links can hold non-Latin-1 characters, which btoa() rejects, so the JSON
+// is base64'd as UTF-8 bytes
+function encodeCursor(item) {
+  return base64UrlEncode(new TextEncoder().encode(JSON.stringify({ t: item.timestamp, l: item.link })));
+}
+
+function decodeCursor(cursor) {
+  try {
+    const data = JSON.parse(new TextDecoder().decode(base64UrlDecode(cursor)));
+    if (typeof data.t !== 'number' || typeof data.l !== 'string') return null;
+    return { timestamp: data.t, link: data.l };
+  } catch (error) {
+    return null;
+  }
 }
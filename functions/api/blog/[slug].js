@@ -0,0 +1,86 @@
+// functions/api/blog/[slug].js
+// Cloudflare Pages Function for serving a single blog post by its Substack slug
+
+import { loadFeed } from '../blog.js';
+import { slugFromLink } from '../../_lib/feed-parser.js';
+import { sanitizeHtml, countWords, readingTimeMinutes } from '../../_lib/sanitize-html.js';
+import { jsonResponse } from '../../_lib/http.js';
+
+export async function onRequestGet(context) {
+  const { params } = context;
+
+  const slug = String(params.slug || '').toLowerCase();
+
+  try {
+    const feed = await loadFeed(context);
+    const found = await readPost(feed.items, slug);
+
+    if (!found) {
+      return jsonResponse({
+        status: 'error',
+        message: 'Post not found'
+      }, 404);
+    }
+
+    return jsonResponse({
+      status: 'ok',
+      ...found,
+      updatedAt: feed.updatedAt,
+      cached: feed.cached,
+      stale: feed.stale
+    }, 200);
+
+  } catch (error) {
+    console.error('Blog post API error:', error);
+    return jsonResponse({
+      status: 'error',
+      message: 'Unable to fetch blog post'
+    }, 500);
+  }
+}
+
+// The post with `slug` ready for the reader view - body sanitized, reading
+// time worked out - with its neighbours; null if the feed has no such post.
+// Also used to prerender /blog/<slug> pages (see _lib/prerender.js).
+export async function readPost(items, slug) {
+  const index = slug && /^[a-z0-9-]+$/.test(slug) ? findPostIndex(items, slug) : -1;
+  if (index === -1) {
+    return null;
+  }
+
+  const post = items[index];
+  const content = await sanitizeHtml(post.content || '');
+  const wordCount = countWords(content);
+
+  return {
+    post: {
+      slug,
+      title: post.title,
+      description: post.description,
+      content,
+      link: post.link,
+      pubDate: post.pubDate,
+      author: post.author,
+      image: post.image,
+      categories: post.categories || [],
+      wordCount,
+      readingTime: readingTimeMinutes(wordCount)
+    },
+    // Items are newest first, so the older post sits after this one
+    previous: summarize(items[index + 1]),
+    next: summarize(items[index - 1])
+  };
+}
+
+// Feeds cached before slugs were stored only have the link to go on
+function postSlug(item) {
+  return item.slug || slugFromLink(item.link);
+}
+
+function findPostIndex(items, slug) {
+  return items.findIndex(item => postSlug(item) === slug);
+}
+
+function summarize(item) {
+  return item ? { slug: postSlug(item), title: item.title } : null;
+}
@@ -0,0 +1,186 @@
+// functions/api/bookings.js
+// Books a reading into one of the open slots from /api/availability.
+//
+// POST { start, name, email, notes?, consent, time_zone? } as JSON or form
+// data. `start` is a slot's UTC start time exactly as availability returned
+// it; `time_zone` is the guest's IANA zone, used to word their confirmation.
+// Responds 201 with the booking, 409 if the slot is no longer free, or 422
+// with per-field `errors`.
+
+import { validateContact } from '../../js/contact-schema.js';
+import { BOOKING_SCHEMA } from '../../js/booking-schema.js';
+import {
+  loadBookingRules,
+  isOfferedSlot,
+  claimSlot,
+  releaseSlot,
+  newBookingId,
+  saveBooking,
+  SLOT_MINUTES
+} from '../_lib/bookings.js';
+import { buildBookingConfirmation, buildBookingNotification } from '../_lib/booking-emails.js';
+import { deliverEmail } from '../_lib/email.js';
+import { createRateLimiter, normalizeEmail } from '../_lib/rate-limit.js';
+import { verifySubmissionTurnstile, TURNSTILE_ERRORS } from '../_lib/turnstile.js';
+import { hashIp } from '../_lib/privacy.js';
+import { PRIVACY_POLICY_VERSION } from '../_lib/site.js';
+import { jsonResponse, readSubmission, rateLimitedResponse } from '../_lib/http.js';
+
+const IP_RATE_LIMIT = { limit: 5, windowSeconds: 3600 };
+const EMAIL_RATE_LIMIT = { limit: 3, windowSeconds: 24 * 3600 };
+const RATE_LIMITED = {
+  status: 'error',
+  message: 'Too many booking attempts. Please try again later.'
+};
+
+const TURNSTILE_STATUS = {
+  [TURNSTILE_ERRORS.missing]: 400,
+  [TURNSTILE_ERRORS.failed]: 403,
+  [TURNSTILE_ERRORS.unavailable]: 503
+};
+
+export async function onRequestPost(context) {
+  const { request, env } = context;
+  const kv = env.BOOKINGS_KV;
+  const db = env.BOOKINGS_DB;
+
+  if (!kv || !db) {
+    return jsonResponse({
+      status: 'error',
+      message: 'Booking is not available right now. Please email hello@dreamthewilderness.com'
+    }, 503);
+  }
+
+  try {
+    const rateLimitKv = env.RATE_LIMIT_KV || env.CONTACTS_KV;
+    const ipLimit = await createRateLimiter({ kv: rateLimitKv, salt: env.IP_HASH_SALT, prefix: 'booking_ip', ...IP_RATE_LIMIT })
+      .consume(request.headers.get('CF-Connecting-IP'));
+    if (!ipLimit.allowed) {
+      return rateLimitedResponse(ipLimit, RATE_LIMITED);
+    }
+
+    let submission;
+    try {
+      submission = await readSubmission(request);
+    } catch (error) {
+      return jsonResponse({ status: 'error', message: 'The request body could not be read' }, 400);
+    }
+
+    const { values, errors } = validateContact(submission, BOOKING_SCHEMA);
+    if (Object.keys(errors).length > 0) {
+      return jsonResponse({
+        status: 'error',
+        code: 'validation_failed',
+        message: 'Please check the highlighted fields',
+        errors
+      }, 422);
+    }
+    const { name, email, notes } = values;
+    const startMs = Date.parse(values.start);
+    const start = new Date(startMs).toISOString();
+
+    // Turnstile CAPTCHA (only skipped in local dev without a secret)
+    const verification = await verifySubmissionTurnstile(env, request, submission['cf-turnstile-response']);
+    if (!verification.success) {
+      return jsonResponse({
+        status: 'error',
+        code: verification.code,
+        message: 'The security check didn\'t pass. Please try it again'
+      }, TURNSTILE_STATUS[verification.code]);
+    }
+
+    // Only counted once Turnstile has passed, so a bot can't use up
+    // someone else's allowance
+    const emailLimit = await createRateLimiter({ kv: rateLimitKv, salt: env.IP_HASH_SALT, prefix: 'booking_email', ...EMAIL_RATE_LIMIT })
+      .consume(normalizeEmail(email));
+    if (!emailLimit.allowed) {
+      return rateLimitedResponse(emailLimit, RATE_LIMITED);
+    }
+
+    const rules = await loadBookingRules(kv);
+    if (!isOfferedSlot(rules, start)) {
+      return slotTakenResponse();
+    }
+
+    const id = newBookingId(start);
+    if (!await claimSlot(db, start, id)) {
+      return slotTakenResponse();
+    }
+
+    const createdAt = new Date().toISOString();
+    const booking = {
+      id,
+      start,
+      end: new Date(startMs + SLOT_MINUTES * 60 * 1000).toISOString(),
+      timeZone: rules.timeZone,
+      guestTimeZone: validTimeZone(submission.time_zone),
+      name,
+      email,
+      notes,
+      status: 'confirmed',
+      createdAt,
+      consent: {
+        policyVersion: String(submission.policy_version || PRIVACY_POLICY_VERSION).slice(0, 32),
+        givenAt: createdAt
+      },
+      ipHash: await hashIp(env, request.headers.get('CF-Connecting-IP'))
+    };
+
+    try {
+      await saveBooking(kv, env, booking);
+    } catch (error) {
+      // Don't leave the slot blocked by a booking that doesn't exist
+      await releaseSlot(db, start, id);
+      throw error;
+    }
+
+    // Both emails go out after the response; failures land in the retry queue
+    const ownerEmail = env.CONTACT_EMAIL || 'hello@dreamthewilderness.com';
+    const fromEmail = env.FROM_EMAIL || 'noreply@dreamthewilderness.com';
+    context.waitUntil(Promise.all([
+      deliverEmail({
+        ...buildBookingConfirmation(booking, { ownerEmail }),
+        to: email,
+        from: fromEmail,
+        replyTo: ownerEmail
+      }, env),
+      deliverEmail({
+        ...buildBookingNotification(booking, { ownerEmail, env }),
+        to: ownerEmail,
+        from: fromEmail,
+        replyTo: email
+      }, env)
+    ]).catch(error => console.error('Booking emails failed:', error.message)));
+
+    return jsonResponse({
+      status: 'ok',
+      message: 'Your reading is booked! A confirmation with a calendar invite is on its way to your inbox.',
+      booking: { id, start: booking.start, end: booking.end }
+    }, 201);
+  } catch (error) {
+    console.error('Booking error:', error);
+    return jsonResponse({
+      status: 'error',
+      message: 'Sorry, there was an error booking your reading. Please try again.'
+    }, 500);
+  }
+}
+
+function slotTakenResponse() {
+  return jsonResponse({
+    status: 'error',
+    code: 'slot_unavailable',
+    message: 'That time is no longer available. Please choose another.'
+  }, 409);
+}
+
+// The guest's IANA zone if the runtime knows it, otherwise null
+function validTimeZone(value) {
+  if (typeof value !== 'string' || !value || value.length > 64) return null;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return value;
+  } catch (error) {
+    return null;
+  }
+}
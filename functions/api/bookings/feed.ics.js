@@ -0,0 +1,44 @@
+// functions/api/bookings/feed.ics.js
+// Private iCal feed of every booking, for the owner to subscribe to from a
+// calendar app: /api/bookings/feed.ics?token=<BOOKING_FEED_TOKEN>
+// The full URL is included in each new-booking notification email. Change
+// BOOKING_FEED_TOKEN to revoke a leaked URL.
+
+import { listBookings, bookingEvent } from '../../_lib/bookings.js';
+import { buildCalendar } from '../../_lib/ical.js';
+import { timingSafeEqual } from '../../_lib/signing.js';
+import { SITE_TITLE } from '../../_lib/site.js';
+
+export async function onRequestGet(context) {
+  const { request, env } = context;
+
+  if (!env.BOOKING_FEED_TOKEN || !env.BOOKINGS_KV) {
+    return new Response('Booking feed not configured - set BOOKING_FEED_TOKEN and bind BOOKINGS_KV', { status: 503 });
+  }
+
+  const token = new URL(request.url).searchParams.get('token') || '';
+  if (!timingSafeEqual(token, env.BOOKING_FEED_TOKEN)) {
+    return new Response('Not found', { status: 404 });
+  }
+
+  try {
+    const ownerEmail = env.CONTACT_EMAIL || 'hello@dreamthewilderness.com';
+    const bookings = await listBookings(env.BOOKINGS_KV);
+    const calendar = buildCalendar(
+      bookings.map(booking => bookingEvent(booking, ownerEmail, { forOwner: true })),
+      { name: `${SITE_TITLE} readings` }
+    );
+
+    return new Response(calendar, {
+      status: 200,
+      headers: {
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Cache-Control': 'private, no-store',
+        'X-Robots-Tag': 'noindex'
+      }
+    });
+  } catch (error) {
+    console.error('Booking feed error:', error);
+    return new Response('Failed to build the booking feed', { status: 500 });
+  }
+}
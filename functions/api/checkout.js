@@ -0,0 +1,120 @@
+// functions/api/checkout.js
+// Sliding-scale payment for a reading through Stripe Checkout (see
+// _lib/stripe.js).
+//
+// GET  -> { currency, min, max, tiers } so the page can offer amounts
+// POST { amount, bookingId? } as JSON or form data. `amount` is a whole
+// number of currency units between the lowest and highest tier; `bookingId`
+// ties the payment to a booking from /api/bookings. Responds with the
+// Checkout `url` to send the visitor to. Stripe returns them to
+// /payment/success or /payment/cancelled.
+// POST { productId } buys a download from _lib/downloads.js at its set price
+// instead; the link is emailed once the payment goes through.
+
+import { paymentSettings, createCheckout, StripeError } from '../_lib/stripe.js';
+import { findProduct } from '../_lib/downloads.js';
+import { createRateLimiter } from '../_lib/rate-limit.js';
+import { SITE_URL } from '../_lib/site.js';
+import { jsonResponse, readSubmission, rateLimitedResponse } from '../_lib/http.js';
+
+const IP_RATE_LIMIT = { limit: 10, windowSeconds: 3600 };
+const BOOKING_ID_PATTERN = /^booking_\d+_[0-9a-f]{8}$/;
+
+export async function onRequestGet(context) {
+  const settings = paymentSettings(context.env);
+  if (!settings) {
+    return notConfiguredResponse();
+  }
+
+  return jsonResponse({ status: 'ok', ...settings });
+}
+
+export async function onRequestPost(context) {
+  const { request, env } = context;
+  const settings = paymentSettings(env);
+
+  if (!settings || !env.BOOKINGS_KV) {
+    return notConfiguredResponse();
+  }
+
+  try {
+    const rateLimitKv = env.RATE_LIMIT_KV || env.CONTACTS_KV;
+    const ipLimit = await createRateLimiter({ kv: rateLimitKv, salt: env.IP_HASH_SALT, prefix: 'checkout_ip', ...IP_RATE_LIMIT })
+      .consume(request.headers.get('CF-Connecting-IP'));
+    if (!ipLimit.allowed) {
+      return rateLimitedResponse(ipLimit, {
+        status: 'error',
+        message: 'Too many payment attempts. Please try again later.'
+      });
+    }
+
+    let submission;
+    try {
+      submission = await readSubmission(request);
+    } catch (error) {
+      return jsonResponse({ status: 'error', message: 'The request body could not be read' }, 400);
+    }
+
+    if (submission.productId) {
+      const productId = String(submission.productId);
+      const product = findProduct(productId);
+      if (!product || product.price === null) {
+        return jsonResponse({ status: 'error', code: 'not_found', message: 'That product isn\'t for sale' }, 404);
+      }
+
+      const { order, url } = await createCheckout(env, settings, {
+        amount: product.price,
+        productId,
+        product,
+        successUrl: `${SITE_URL}/payment/success`,
+        cancelUrl: `${SITE_URL}/payment/cancelled`
+      });
+      return jsonResponse({ status: 'ok', orderId: order.id, url });
+    }
+
+    const amount = Number(submission.amount);
+    if (!Number.isInteger(amount) || amount < settings.min || amount > settings.max) {
+      return jsonResponse({
+        status: 'error',
+        code: 'validation_failed',
+        message: 'Please check the highlighted fields',
+        errors: { amount: `Please choose a whole amount from ${settings.min} to ${settings.max}` }
+      }, 422);
+    }
+
+    let booking = null;
+    if (submission.bookingId) {
+      const bookingId = String(submission.bookingId);
+      booking = BOOKING_ID_PATTERN.test(bookingId) ? await env.BOOKINGS_KV.get(bookingId, 'json') : null;
+      if (!booking) {
+        return jsonResponse({ status: 'error', code: 'not_found', message: 'That booking could not be found' }, 404);
+      }
+      if (booking.payment && booking.payment.status === 'paid') {
+        return jsonResponse({ status: 'error', code: 'already_paid', message: 'This reading has already been paid for. Thank you!' }, 409);
+      }
+    }
+
+    const { order, url } = await createCheckout(env, settings, {
+      amount,
+      booking,
+      successUrl: `${SITE_URL}/payment/success`,
+      cancelUrl: `${SITE_URL}/payment/cancelled`
+    });
+
+    return jsonResponse({ status: 'ok', orderId: order.id, url });
+  } catch (error) {
+    console.error('Checkout error:', error);
+    return jsonResponse({
+      status: 'error',
+      message: 'Payment couldn\'t be started just now. Please try again in a few minutes.'
+    }, error instanceof StripeError ? 502 : 500);
+  }
+}
+
+function notConfiguredResponse() {
+  return jsonResponse({
+    status: 'error',
+    code: 'payments_unavailable',
+    message: 'Online payment is not available right now'
+  }, 503);
+}
@@ -0,0 +1,23 @@
+// functions/api/contact/token.js
+// GET -> { success, formToken } for the contact form's spam timing check.
+// Kept off /contact itself: a Function there answers before _redirects, so
+// GET /contact has to stay the prerendered contact page.
+
+import { createFormToken } from '../../_lib/spam.js';
+import { jsonResponse } from '../../_lib/http.js';
+
+// Issue a signed token when the form is rendered, so the submission can be
+// timed. Bots that post straight to the endpoint never fetch one.
+export async function onRequestGet(context) {
+  const { env } = context;
+
+  if (!env.FORM_SIGNING_SECRET) {
+    console.warn('Form signing not configured - set FORM_SIGNING_SECRET to enable the timing check');
+    return jsonResponse({ success: true, formToken: null });
+  }
+
+  return jsonResponse({
+    success: true,
+    formToken: await createFormToken(env.FORM_SIGNING_SECRET)
+  });
+}
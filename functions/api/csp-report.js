@@ -0,0 +1,60 @@
+// functions/api/csp-report.js
+// Collects Content Security Policy violation reports (see _lib/csp.js).
+//
+// Browsers post here on their own, as a Reporting API batch or a single
+// legacy report. Nothing identifying the visitor is kept: no IP, and URLs are
+// cut down to origin and path. Always answers 204 so browsers don't retry.
+
+import { normalizeCspReport, recordCspReport } from '../_lib/csp.js';
+import { createRateLimiter } from '../_lib/rate-limit.js';
+
+const MAX_BODY_BYTES = 64 * 1024;
+const MAX_REPORTS_PER_REQUEST = 20;
+const IP_RATE_LIMIT = { limit: 60, windowSeconds: 3600 };
+
+export async function onRequestPost(context) {
+  const { request, env } = context;
+  const kv = env.CSP_REPORTS_KV || env.CONTACTS_KV;
+
+  if (!kv) {
+    console.warn('CSP reports not stored - bind CSP_REPORTS_KV or CONTACTS_KV');
+    return noContent();
+  }
+
+  try {
+    const ipLimit = await createRateLimiter({ kv: env.RATE_LIMIT_KV || kv, salt: env.IP_HASH_SALT, prefix: 'csp_report_ip', ...IP_RATE_LIMIT })
+      .consume(request.headers.get('CF-Connecting-IP'));
+    if (!ipLimit.allowed) {
+      return noContent();
+    }
+
+    const text = await request.text();
+    if (text.length > MAX_BODY_BYTES) {
+      return noContent();
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(text);
+    } catch (error) {
+      return noContent();
+    }
+
+    const reports = (Array.isArray(payload) ? payload : [payload])
+      .slice(0, MAX_REPORTS_PER_REQUEST)
+      .map(normalizeCspReport)
+      .filter(Boolean);
+
+    for (const report of reports) {
+      await recordCspReport(kv, report);
+    }
+  } catch (error) {
+    console.error('CSP report error:', error);
+  }
+
+  return noContent();
+}
+
+function noContent() {
+  return new Response(null, { status: 204, headers: { 'Cache-Control': 'no-store' } });
+}
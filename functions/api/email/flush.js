@@ -0,0 +1,46 @@
+// functions/api/email/flush.js
+// Retries emails queued in CONTACTS_KV while every provider was failing.
+// Call with "Authorization: Bearer <EMAIL_FLUSH_TOKEN>", e.g. from a cron job:
+//   curl -X POST -H "Authorization: Bearer $TOKEN" https://dreamthewilderness.com/api/email/flush
+
+import { flushPendingEmails } from '../../_lib/email.js';
+import { timingSafeEqual } from '../../_lib/signing.js';
+import { jsonResponse } from '../../_lib/http.js';
+
+const MAX_FLUSH_LIMIT = 50;
+
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  if (!env.EMAIL_FLUSH_TOKEN) {
+    return jsonResponse({
+      status: 'error',
+      message: 'Flush endpoint not configured - set EMAIL_FLUSH_TOKEN'
+    }, 503);
+  }
+
+  const authorization = request.headers.get('Authorization') || '';
+  const token = authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : '';
+  if (!timingSafeEqual(token, env.EMAIL_FLUSH_TOKEN)) {
+    return jsonResponse({
+      status: 'error',
+      message: 'Unauthorized'
+    }, 401, { 'WWW-Authenticate': 'Bearer' });
+  }
+
+  const requested = parseInt(new URL(request.url).searchParams.get('limit'), 10);
+  const limit = Number.isInteger(requested) && requested > 0
+    ? Math.min(requested, MAX_FLUSH_LIMIT)
+    : MAX_FLUSH_LIMIT;
+
+  try {
+    const result = await flushPendingEmails(env, { limit });
+    return jsonResponse({ status: 'ok', ...result });
+  } catch (error) {
+    console.error('Email flush error:', error);
+    return jsonResponse({
+      status: 'error',
+      message: 'Failed to flush pending emails'
+    }, 500);
+  }
+}
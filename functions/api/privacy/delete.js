@@ -0,0 +1,73 @@
+// functions/api/privacy/delete.js
+// Data subject erasure requests.
+//
+// POST { email }      -> mails a signed link to that address (if we hold anything for it)
+// GET  ?token=<token> -> confirmation page; nothing is deleted yet, so link
+//                        scanners in mail clients can't trigger an erasure
+// POST { token }      -> erases everything stored for the address
+
+import {
+  requestPrivacyLink,
+  readPrivacyBody,
+  verifyPrivacyToken,
+  collectPersonalData,
+  erasePersonalData,
+  privacyPage
+} from '../../_lib/privacy.js';
+import { escapeHtml } from '../../_lib/http.js';
+
+const EXPIRED_PAGE_BODY = '<p>erasure links only work for one hour. you can ask for a new one from the privacy section of the site.</p>';
+
+export async function onRequestGet(context) {
+  const { request, env } = context;
+  const token = new URL(request.url).searchParams.get('token');
+
+  const email = token && await verifyPrivacyToken(env, token, 'delete');
+  if (!email) {
+    return privacyPage('this link has expired', EXPIRED_PAGE_BODY, 400);
+  }
+
+  const data = await collectPersonalData(env, email);
+  const count = data.contacts.length;
+  const bookings = data.bookings.length;
+  const bookingNote = bookings > 0
+    ? ` and ${bookings} booked reading${bookings === 1 ? '' : 's'} (any still to come will be cancelled)`
+    : '';
+  const paymentNote = data.orders.length > 0
+    ? ' our record of your payments goes too; the payment processor keeps its own receipts.'
+    : '';
+  const subscriptionNote = data.subscription
+    ? ` your quick guide signup goes too${data.subscription.substackStatus === 'forwarded' ? ' - to leave the newsletter, use the unsubscribe link in any issue' : ''}.`
+    : '';
+
+  return privacyPage('erase your data', `
+        <p>this will permanently erase ${count} stored message${count === 1 ? '' : 's'}${bookingNote} for <strong>${escapeHtml(email)}</strong>, along with any emails still waiting to be sent.${paymentNote}${subscriptionNote} it can't be undone.</p>
+        <form method="post" action="/api/privacy/delete">
+            <input type="hidden" name="token" value="${escapeHtml(token)}">
+            <button type="submit">erase my data</button>
+        </form>`);
+}
+
+export async function onRequestPost(context) {
+  const { request, env } = context;
+  const { email, token } = await readPrivacyBody(request);
+
+  if (!token) {
+    return requestPrivacyLink(context, 'delete', email);
+  }
+
+  const verifiedEmail = await verifyPrivacyToken(env, token, 'delete');
+  if (!verifiedEmail) {
+    return privacyPage('this link has expired', EXPIRED_PAGE_BODY, 400);
+  }
+
+  try {
+    await erasePersonalData(env, verifiedEmail);
+    return privacyPage('your data has been erased',
+      '<p>everything this site stored for your address is gone. thank you for being in touch.</p>');
+  } catch (error) {
+    console.error('Privacy erasure error:', error);
+    return privacyPage('something went wrong',
+      '<p>we couldn\'t finish erasing your data. please try the link again in a few minutes, or email hello@dreamthewilderness.com.</p>', 500);
+  }
+}
@@ -0,0 +1,52 @@
+// functions/api/privacy/export.js
+// Data subject access requests.
+//
+// POST { email }      -> mails a signed link to that address (if we hold anything for it)
+// GET  ?token=<token> -> downloads everything stored for the address as JSON
+
+import {
+  requestPrivacyLink,
+  readPrivacyBody,
+  verifyPrivacyToken,
+  collectPersonalData,
+  privacyPage
+} from '../../_lib/privacy.js';
+
+export async function onRequestPost(context) {
+  const { email } = await readPrivacyBody(context.request);
+  return requestPrivacyLink(context, 'export', email);
+}
+
+export async function onRequestGet(context) {
+  const { request, env } = context;
+  const token = new URL(request.url).searchParams.get('token');
+
+  const email = token && await verifyPrivacyToken(env, token, 'export');
+  if (!email) {
+    return privacyPage('this link has expired',
+      '<p>download links only work for one hour. you can ask for a new one from the privacy section of the site.</p>', 400);
+  }
+
+  try {
+    const data = await collectPersonalData(env, email);
+    const body = JSON.stringify({
+      email,
+      exportedAt: new Date().toISOString(),
+      ...data
+    }, null, 2);
+
+    return new Response(body, {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Disposition': 'attachment; filename="dream-the-wilderness-data.json"',
+        'Cache-Control': 'no-store',
+        'Referrer-Policy': 'no-referrer'
+      }
+    });
+  } catch (error) {
+    console.error('Privacy export error:', error);
+    return privacyPage('something went wrong',
+      '<p>we couldn\'t gather your data just now. please try the link again in a few minutes, or email hello@dreamthewilderness.com.</p>', 500);
+  }
+}
@@ -0,0 +1,70 @@
+// functions/api/stripe/webhook.js
+// Receives Stripe events for Checkout sessions started by /api/checkout and
+// marks the order, and its booking if any, as paid.
+//
+// Every request must carry a Stripe-Signature header signed with
+// STRIPE_WEBHOOK_SECRET; anything else is rejected with 400 before the body
+// is looked at. Events we don't act on are acknowledged so Stripe stops
+// retrying them.
+
+import { verifyStripeSignature, recordCheckoutResult } from '../../_lib/stripe.js';
+import { jsonResponse } from '../../_lib/http.js';
+
+// Checkout event -> order status
+const CHECKOUT_EVENTS = {
+  'checkout.session.completed': null, // depends on the session's payment_status
+  'checkout.session.async_payment_succeeded': 'paid',
+  'checkout.session.async_payment_failed': 'failed',
+  'checkout.session.expired': 'expired'
+};
+
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  if (!env.STRIPE_WEBHOOK_SECRET) {
+    console.warn('Stripe webhook not configured - set STRIPE_WEBHOOK_SECRET');
+    return jsonResponse({ status: 'error', message: 'Webhook not configured' }, 503);
+  }
+
+  // The signature covers the exact bytes Stripe sent, so read them as-is
+  const payload = await request.text();
+  const verified = await verifyStripeSignature(payload, request.headers.get('Stripe-Signature'), env.STRIPE_WEBHOOK_SECRET);
+  if (!verified) {
+    return jsonResponse({ status: 'error', message: 'Invalid signature' }, 400);
+  }
+
+  let event;
+  try {
+    event = JSON.parse(payload);
+  } catch (error) {
+    return jsonResponse({ status: 'error', message: 'Invalid JSON payload' }, 400);
+  }
+
+  if (!event || !Object.prototype.hasOwnProperty.call(CHECKOUT_EVENTS, event.type)) {
+    return jsonResponse({ status: 'ok', received: true });
+  }
+
+  const session = event.data && event.data.object;
+  if (!session) {
+    return jsonResponse({ status: 'error', message: 'Event has no session' }, 400);
+  }
+
+  let status = CHECKOUT_EVENTS[event.type];
+  if (status === null) {
+    // Bank debits and the like complete before the money arrives; the
+    // async_payment_* event settles them later
+    if (session.payment_status !== 'paid') {
+      return jsonResponse({ status: 'ok', received: true });
+    }
+    status = 'paid';
+  }
+
+  try {
+    await recordCheckoutResult(env, session, status);
+    return jsonResponse({ status: 'ok', received: true });
+  } catch (error) {
+    // A non-2xx makes Stripe retry the event later
+    console.error('Stripe webhook error:', error);
+    return jsonResponse({ status: 'error', message: 'Could not record the payment' }, 500);
+  }
+}
@@ -0,0 +1,169 @@
+// functions/api/subscribe.js
+// Signup for the free quick guide, with double opt-in (see
+// _lib/subscribers.js).
+//
+// GET  -> { formToken } for the spam filter's timing check, as
+// /api/contact/token does for the contact form
+// POST { email, consent, source?, utm_*?, referrer? } plus the same spam
+// protections as the contact form: a honeypot `website` field, `form_token`
+// and a Turnstile response. Responds 202 with the same message whether or
+// not the address is already subscribed, so the form can't be used to find
+// out who is.
+
+import { validateContact } from '../../js/contact-schema.js';
+import { SUBSCRIBE_SCHEMA } from '../../js/subscribe-schema.js';
+import {
+  loadSubscriber,
+  saveSubscriber,
+  createConfirmLink,
+  buildConfirmEmail,
+  readAttribution,
+  LEAD_MAGNET_PRODUCT
+} from '../_lib/subscribers.js';
+import { sendDownloadLink } from '../_lib/downloads.js';
+import { deliverEmail } from '../_lib/email.js';
+import { createRateLimiter, normalizeEmail } from '../_lib/rate-limit.js';
+import { verifySubmissionTurnstile, TURNSTILE_ERRORS } from '../_lib/turnstile.js';
+import { createFormToken, loadKeywordWeights, scoreSubmission, thresholdsFromEnv } from '../_lib/spam.js';
+import { hashIp } from '../_lib/privacy.js';
+import { PRIVACY_POLICY_VERSION } from '../_lib/site.js';
+import { jsonResponse, readSubmission, rateLimitedResponse } from '../_lib/http.js';
+
+const IP_RATE_LIMIT = { limit: 5, windowSeconds: 3600 };
+const EMAIL_RATE_LIMIT = { limit: 3, windowSeconds: 24 * 3600 };
+const RATE_LIMITED = {
+  status: 'error',
+  message: 'Too many signup attempts. Please try again later.'
+};
+
+const TURNSTILE_STATUS = {
+  [TURNSTILE_ERRORS.missing]: 400,
+  [TURNSTILE_ERRORS.failed]: 403,
+  [TURNSTILE_ERRORS.unavailable]: 503
+};
+
+export async function onRequestGet(context) {
+  const { env } = context;
+
+  if (!env.FORM_SIGNING_SECRET) {
+    return jsonResponse({ status: 'ok', formToken: null });
+  }
+  return jsonResponse({ status: 'ok', formToken: await createFormToken(env.FORM_SIGNING_SECRET) });
+}
+
+export async function onRequestPost(context) {
+  const { request, env } = context;
+  const kv = env.CONTACTS_KV;
+
+  if (!kv || !env.SUBSCRIBE_SIGNING_SECRET) {
+    console.warn('Guide signup not configured - bind CONTACTS_KV and set SUBSCRIBE_SIGNING_SECRET');
+    return jsonResponse({
+      status: 'error',
+      message: 'Signup is not available right now. Please email hello@dreamthewilderness.com for the guide'
+    }, 503);
+  }
+
+  try {
+    const rateLimitKv = env.RATE_LIMIT_KV || kv;
+    const ipLimit = await createRateLimiter({ kv: rateLimitKv, salt: env.IP_HASH_SALT, prefix: 'subscribe_ip', ...IP_RATE_LIMIT })
+      .consume(request.headers.get('CF-Connecting-IP'));
+    if (!ipLimit.allowed) {
+      return rateLimitedResponse(ipLimit, RATE_LIMITED);
+    }
+
+    let submission;
+    try {
+      submission = await readSubmission(request);
+    } catch (error) {
+      return jsonResponse({ status: 'error', message: 'The request body could not be read' }, 400);
+    }
+
+    const { values, errors } = validateContact(submission, SUBSCRIBE_SCHEMA);
+    if (Object.keys(errors).length > 0) {
+      return jsonResponse({
+        status: 'error',
+        code: 'validation_failed',
+        message: 'Please check the highlighted fields',
+        errors
+      }, 422);
+    }
+    const { email } = values;
+
+    // Turnstile CAPTCHA (only skipped in local dev without a secret)
+    const verification = await verifySubmissionTurnstile(env, request, submission['cf-turnstile-response']);
+    if (!verification.success) {
+      return jsonResponse({
+        status: 'error',
+        code: verification.code,
+        message: 'The security check didn\'t pass. Please try it again'
+      }, TURNSTILE_STATUS[verification.code]);
+    }
+
+    // Only the address goes through the filter; there's no message to score
+    const spamCheck = await scoreSubmission({
+      email,
+      honeypot: submission.website,
+      formToken: submission.form_token
+    }, {
+      keywordWeights: await loadKeywordWeights(env.SPAM_CONFIG_KV || kv),
+      thresholds: thresholdsFromEnv(env),
+      signingSecret: env.FORM_SIGNING_SECRET
+    });
+    if (spamCheck.verdict === 'spam') {
+      console.warn(`Rejected guide signup (score ${spamCheck.score}):`, spamCheck.signals.map(signal => signal.name).join(', '));
+      return jsonResponse({ status: 'error', code: 'spam_rejected', message: 'Signup appears to be spam' }, 400);
+    }
+
+    // Only counted for signups that got past Turnstile and the spam filter,
+    // so a bot can't use up someone else's allowance
+    const emailLimit = await createRateLimiter({ kv: rateLimitKv, salt: env.IP_HASH_SALT, prefix: 'subscribe_email', ...EMAIL_RATE_LIMIT })
+      .consume(normalizeEmail(email));
+    if (!emailLimit.allowed) {
+      return rateLimitedResponse(emailLimit, RATE_LIMITED);
+    }
+
+    const fromEmail = env.FROM_EMAIL || 'noreply@dreamthewilderness.com';
+    const ownerEmail = env.CONTACT_EMAIL || 'hello@dreamthewilderness.com';
+    const existing = await loadSubscriber(kv, email);
+
+    if (existing && existing.status === 'confirmed') {
+      // Already confirmed - they just need the guide again
+      context.waitUntil(
+        sendDownloadLink(env, LEAD_MAGNET_PRODUCT, email, { source: 'signup' })
+          .catch(error => console.error('Guide resend failed:', error.message))
+      );
+    } else {
+      const createdAt = new Date().toISOString();
+      await saveSubscriber(kv, {
+        email,
+        status: 'pending',
+        ...readAttribution(submission),
+        createdAt,
+        consent: {
+          policyVersion: String(submission.policy_version || PRIVACY_POLICY_VERSION).slice(0, 32),
+          givenAt: createdAt
+        },
+        spamStatus: spamCheck.verdict,
+        spamScore: spamCheck.score,
+        ipHash: await hashIp(env, request.headers.get('CF-Connecting-IP'))
+      });
+
+      const link = await createConfirmLink(env, email);
+      context.waitUntil(
+        deliverEmail({ ...buildConfirmEmail(link), to: email, from: fromEmail, replyTo: ownerEmail }, env)
+          .catch(error => console.error('Signup confirmation failed:', error.message))
+      );
+    }
+
+    return jsonResponse({
+      status: 'ok',
+      message: 'Almost there! Check your inbox for a link to confirm your address, and the guide will follow.'
+    }, 202);
+  } catch (error) {
+    console.error('Guide signup error:', error);
+    return jsonResponse({
+      status: 'error',
+      message: 'Sorry, there was an error signing you up. Please try again.'
+    }, 500);
+  }
+}
@@ -0,0 +1,95 @@
+// functions/api/subscribe/confirm.js
+// Second step of the guide signup: the link from the confirmation email.
+//
+// GET  ?token=... shows a confirm button. Confirming takes a POST, so mail
+//      scanners that open every link don't sign anyone up.
+// POST token=...  confirms the address, emails the guide's download link and
+//      passes the address on to Substack when SUBSTACK_FORWARD is on. Only the
+//      first confirmation does any of that; repeats just say it's done.
+
+import {
+  verifyConfirmToken,
+  loadSubscriber,
+  saveSubscriber,
+  forwardToSubstack,
+  LEAD_MAGNET_PRODUCT
+} from '../../_lib/subscribers.js';
+import { createDownloadLink, sendDownloadLink } from '../../_lib/downloads.js';
+import { standalonePage } from '../../_lib/pages.js';
+import { escapeHtml } from '../../_lib/http.js';
+
+const EXPIRED_PAGE_BODY = '<p>confirmation links work for 48 hours. <a href="/#guide">sign up again</a> and a fresh one will be sent.</p>';
+
+export async function onRequestGet(context) {
+  const { request, env } = context;
+  const token = new URL(request.url).searchParams.get('token');
+
+  const email = await verifyConfirmToken(env, token);
+  if (!email) {
+    return standalonePage('this link has expired', EXPIRED_PAGE_BODY, 400);
+  }
+
+  return standalonePage('confirm your email', `
+        <p>confirm that <strong>${escapeHtml(email)}</strong> should get a quick guide to traditional astrology${env.SUBSTACK_FORWARD === 'true' ? ' and the dream the wilderness newsletter' : ''}.</p>
+        <form method="post" action="/api/subscribe/confirm">
+            <input type="hidden" name="token" value="${escapeHtml(token)}">
+            <button type="submit">confirm</button>
+        </form>`);
+}
+
+export async function onRequestPost(context) {
+  const { request, env } = context;
+  const kv = env.CONTACTS_KV;
+
+  let token = null;
+  try {
+    token = (await request.formData()).get('token');
+  } catch (error) {
+    // Falls through to the expired page
+  }
+
+  const email = await verifyConfirmToken(env, token);
+  if (!email || !kv) {
+    return standalonePage('this link has expired', EXPIRED_PAGE_BODY, 400);
+  }
+
+  try {
+    const subscriber = await loadSubscriber(kv, email);
+    if (!subscriber) {
+      // The pending record expired or was erased
+      return standalonePage('this link has expired', EXPIRED_PAGE_BODY, 400);
+    }
+
+    // A repeat POST (a second click, a reloaded page) doesn't mint another
+    // download link; the one already emailed is still good
+    if (subscriber.status === 'confirmed') {
+      return standalonePage('you\'re already confirmed', `
+        <p><strong>${escapeHtml(subscriber.email)}</strong> is already confirmed, and the guide's download link is in your inbox.</p>
+        <p><a href="/">back to dream the wilderness</a></p>`);
+    }
+
+    const substackStatus = await forwardToSubstack(env, subscriber.email);
+    await saveSubscriber(kv, {
+      ...subscriber,
+      status: 'confirmed',
+      confirmedAt: new Date().toISOString(),
+      substackStatus
+    });
+    console.log(`Guide signup confirmed (source ${subscriber.source}, Substack ${substackStatus})`);
+
+    context.waitUntil(
+      sendDownloadLink(env, LEAD_MAGNET_PRODUCT, subscriber.email, { source: 'signup' })
+        .catch(error => console.error('Guide email failed:', error.message))
+    );
+
+    // Offer the download straight away too; the emailed copy is for later
+    const link = await createDownloadLink(env, LEAD_MAGNET_PRODUCT, { source: 'signup' });
+    return standalonePage('you\'re confirmed', `
+        <p>thank you! the guide is on its way to <strong>${escapeHtml(subscriber.email)}</strong>.</p>
+        ${link ? `<p><a href="${escapeHtml(link)}">download it now</a></p>` : ''}
+        <p><a href="/">back to dream the wilderness</a></p>`);
+  } catch (error) {
+    console.error('Signup confirmation error:', error);
+    return standalonePage('something went wrong', '<p>your address couldn\'t be confirmed just now. please try the link again in a few minutes.</p>', 500);
+  }
+}
@@ -0,0 +1,8 @@
+// functions/atom.xml.js
+// Cloudflare Pages Function republishing the blog as Atom 1.0
+
+import { syndicationResponse } from './_lib/syndication.js';
+
+export async function onRequestGet(context) {
+  return syndicationResponse(context, 'atom');
+}
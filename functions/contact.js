@@ -1,214 +1,276 @@
 // functions/contact.js
-// Cloudflare Pages Function for handling contact form submissions
+// Cloudflare Pages Function for handling contact form submissions. POST only:
+// GET /contact is the contact page, and the form's timing token comes from
+// /api/contact/token
+
+import { verifySubmissionTurnstile, TURNSTILE_ERRORS } from './_lib/turnstile.js';
+import { createRateLimiter, parseRateLimit, normalizeEmail } from './_lib/rate-limit.js';
+import { buildAutoReply } from './_lib/auto-reply.js';
+import { saveContact, retentionDays } from './_lib/contacts.js';
+import { hashIp } from './_lib/privacy.js';
+import { PRIVACY_POLICY_VERSION } from './_lib/site.js';
+import { validateContact, BIRTH_CHART_SERVICE } from '../js/contact-schema.js';
+import { resolveBirthData } from './_lib/gazetteer.js';
+import { deliverEmail, flushPendingEmails } from './_lib/email.js';
+import { notifyWebhooks } from './_lib/webhooks.js';
+import { loadKeywordWeights, scoreSubmission, thresholdsFromEnv } from './_lib/spam.js';
+import { jsonResponse, readSubmission, rateLimitedResponse, escapeHtml } from './_lib/http.js';
+
+// Submission limits, overridable with "<count>/<seconds>" env vars
+const DEFAULT_IP_RATE_LIMIT = { limit: 5, windowSeconds: 3600 };
+const DEFAULT_EMAIL_RATE_LIMIT = { limit: 3, windowSeconds: 3600 };
+
+// Messages for Turnstile failures; the client shows these beside the widget
+const TURNSTILE_MESSAGES = {
+  [TURNSTILE_ERRORS.missing]: 'Please complete the security check',
+  [TURNSTILE_ERRORS.failed]: 'The security check didn\'t pass. Please try it again',
+  [TURNSTILE_ERRORS.unavailable]: 'We couldn\'t reach the security check service. Please try again in a moment'
+};
+
+const TURNSTILE_STATUS = {
+  [TURNSTILE_ERRORS.missing]: 400,
+  [TURNSTILE_ERRORS.failed]: 403,
+  [TURNSTILE_ERRORS.unavailable]: 503
+};
 
 export async function onRequestPost(context) {
   const { request, env } = context;
 
-  // Handle CORS - Allow both custom domain and Cloudflare Pages dev URLs
-  const origin = request.headers.get('Origin');
-  const allowedOrigins = [
-    'https://dreamthewilderness.com',
-    'http://localhost:8000',
-    'http://localhost:3000'
-  ];
-
-  // Also allow any *.pages.dev subdomain (Cloudflare Pages deployments)
-  const isPagesDev = origin && origin.endsWith('.pages.dev');
-  const isAllowed = allowedOrigins.includes(origin) || isPagesDev;
-
-  const corsHeaders = {
-    'Access-Control-Allow-Origin': isAllowed ? origin : 'https://dreamthewilderness.com',
-    'Access-Control-Allow-Methods': 'POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
-  };
-
   try {
-    // Parse form data
-    const formData = await request.formData();
-    const name = formData.get('name');
-    const email = formData.get('email');
-    const service = formData.get('service') || 'General Inquiry';
-    const message = formData.get('message');
-
-    // Basic validation
-    if (!name || !email || !message) {
-      return jsonResponse({ 
-        success: false, 
-        error: 'Name, email, and message are required' 
-      }, 400, corsHeaders);
+    // Rate limit by IP before doing any other work
+    const ipLimit = await contactRateLimiter(env, 'contact_ip', env.CONTACT_IP_RATE_LIMIT, DEFAULT_IP_RATE_LIMIT)
+      .consume(request.headers.get('CF-Connecting-IP'));
+    if (!ipLimit.allowed) {
+      return rateLimitedResponse(ipLimit, rateLimitedBody(ipLimit));
     }
 
-    // Email validation
-    if (!isValidEmail(email)) {
-      return jsonResponse({ 
-        success: false, 
-        error: 'Please provide a valid email address' 
-      }, 400, corsHeaders);
+    // Parse the submission - FormData from the site's form, or JSON
+    let submission;
+    try {
+      submission = await readSubmission(request);
+    } catch (error) {
+      return jsonResponse({
+        success: false,
+        error: 'The request body could not be read'
+      }, 400);
     }
 
-    // Spam protection
-    if (containsSpam(message)) {
-      return jsonResponse({ 
-        success: false, 
-        error: 'Message appears to be spam' 
-      }, 400, corsHeaders);
+    // Validate against the same schema the browser uses
+    const { values, errors } = validateContact(submission);
+    if (Object.keys(errors).length > 0) {
+      return jsonResponse({
+        success: false,
+        code: 'validation_failed',
+        error: 'Please check the highlighted fields',
+        errors
+      }, 422);
+    }
+    const { name, email, service, message } = values;
+
+    // Birth chart inquiries come with birth details; resolve the place to
+    // coordinates and the birth time to UTC so the reading can start there
+    const birthData = service === BIRTH_CHART_SERVICE ? resolveBirthData(values) : null;
+
+    // Turnstile CAPTCHA (only skipped in local dev without a secret)
+    const verification = await verifySubmissionTurnstile(env, request, submission['cf-turnstile-response']);
+    if (!verification.success) {
+      return jsonResponse({
+        success: false,
+        code: verification.code,
+        error: TURNSTILE_MESSAGES[verification.code]
+      }, TURNSTILE_STATUS[verification.code]);
+    }
+
+    // Spam scoring - clear spam is rejected, borderline messages are kept
+    // but flagged so nothing real gets lost
+    const spamCheck = await scoreSubmission({
+      name,
+      email,
+      message,
+      honeypot: submission.website,
+      formToken: submission.form_token
+    }, {
+      keywordWeights: await loadKeywordWeights(env.SPAM_CONFIG_KV || env.CONTACTS_KV),
+      thresholds: thresholdsFromEnv(env),
+      signingSecret: env.FORM_SIGNING_SECRET
+    });
+
+    if (spamCheck.verdict === 'spam') {
+      console.warn(`Rejected spam (score ${spamCheck.score}):`, spamCheck.signals.map(signal => signal.name).join(', '));
+      return jsonResponse({
+        success: false,
+        code: 'spam_rejected',
+        error: 'Message appears to be spam'
+      }, 400);
     }
 
+    // Rate limit by address, so rotating IPs doesn't get around it. Checked
+    // only once the submission has passed Turnstile and the spam filter, so
+    // a bot can't use up someone else's allowance by posting their address
+    const emailLimit = await contactRateLimiter(env, 'contact_email', env.CONTACT_EMAIL_RATE_LIMIT, DEFAULT_EMAIL_RATE_LIMIT)
+      .consume(normalizeEmail(email));
+    if (!emailLimit.allowed) {
+      return rateLimitedResponse(emailLimit, rateLimitedBody(emailLimit));
+    }
+
+    const isSuspect = spamCheck.verdict === 'suspect';
+
+    const ownerEmail = env.CONTACT_EMAIL || 'hello@dreamthewilderness.com';
+    const fromEmail = env.FROM_EMAIL || 'noreply@dreamthewilderness.com';
+
     // Prepare email content
     const emailContent = {
-      to: env.CONTACT_EMAIL || 'hello@dreamthewilderness.com',
-      from: env.FROM_EMAIL || 'noreply@dreamthewilderness.com',
-      subject: `New Contact Form: ${service}`,
+      to: ownerEmail,
+      from: fromEmail,
+      replyTo: email,
+      subject: `${isSuspect ? '[possible spam] ' : ''}New Contact Form: ${service}`,
       html: `
         <h2>New Contact Form Submission</h2>
         <p><strong>Name:</strong> ${escapeHtml(name)}</p>
         <p><strong>Email:</strong> ${escapeHtml(email)}</p>
         <p><strong>Service Interest:</strong> ${escapeHtml(service)}</p>
+        ${birthData ? birthDetailsHtml(birthData) : ''}
         <p><strong>Message:</strong></p>
         <div style="background: #f5f5f5; padding: 15px; border-radius: 5px;">
           ${escapeHtml(message).replace(/\n/g, '<br>')}
         </div>
+        ${isSuspect ? `<p><small>Spam score ${spamCheck.score}: ${escapeHtml(spamCheck.signals.map(signal => signal.detail).join('; '))}</small></p>` : ''}
         <hr>
         <p><small>Sent from dreamthewilderness.com contact form</small></p>
       `
     };
 
-    // Send email
-    await sendEmail(emailContent, env);
+    const contactId = `contact_${Date.now()}_${Math.random().toString(36).substring(7)}`;
+    const timestamp = new Date().toISOString();
 
-    // Store in KV if available with automatic expiration
+    // Store in KV if available with automatic expiration. Records are kept
+    // for the retention period (90 days unless CONTACT_RETENTION_DAYS says
+    // otherwise) for reference while preventing indefinite storage. The
+    // record is saved before the email goes out, so a message is never lost
+    // to a failure after it was accepted
+    const record = {
+      name,
+      email,
+      service,
+      message,
+      birthData,
+      timestamp,
+      expiresAt: new Date(Date.parse(timestamp) + retentionDays(env) * 24 * 60 * 60 * 1000).toISOString(),
+      // Consent is required by the schema, so reaching here means it was given
+      consent: {
+        policyVersion: String(submission.policy_version || PRIVACY_POLICY_VERSION).slice(0, 32),
+        givenAt: timestamp
+      },
+      status: 'new',
+      deliveryStatus: 'pending',
+      spamStatus: spamCheck.verdict,
+      spamScore: spamCheck.score,
+      spamSignals: spamCheck.signals,
+      // Only a salted hash - enough to spot repeat senders, not to identify anyone
+      ipHash: await hashIp(env, request.headers.get('CF-Connecting-IP')),
+      userAgent: request.headers.get('User-Agent')
+    };
     if (env.CONTACTS_KV) {
-      const timestamp = new Date().toISOString();
-      const contactId = `contact_${Date.now()}_${Math.random().toString(36).substring(7)}`;
-
-      // Store contact with 90-day expiration (7776000 seconds)
-      // This keeps records for reference while preventing indefinite storage
-      await env.CONTACTS_KV.put(
-        contactId,
-        JSON.stringify({
-          name,
-          email,
-          service,
-          message,
-          timestamp,
-          ip: request.headers.get('CF-Connecting-IP'),
-          userAgent: request.headers.get('User-Agent')
-        }),
-        {
-          expirationTtl: 7776000 // 90 days in seconds
-        }
+      await saveContact(env.CONTACTS_KV, contactId, record);
+    }
+
+    // Send email - if every provider is down the message is queued in KV and
+    // retried later, so the visitor still gets a success response. The queue
+    // entry carries the contactId, and the retry updates the record
+    const deliveryStatus = await deliverEmail(emailContent, env, { contactId });
+    if (env.CONTACTS_KV && deliveryStatus !== record.deliveryStatus) {
+      await saveContact(env.CONTACTS_KV, contactId, { ...record, deliveryStatus });
+    }
+
+    // Confirmation to the submitter. Runs after the response and never fails
+    // the submission; skipped for suspect messages so a spammer's forged
+    // address doesn't get mail from us.
+    if (!isSuspect) {
+      const autoReply = buildAutoReply({ name, service, message });
+      context.waitUntil(
+        deliverEmail({ ...autoReply, to: email, from: fromEmail, replyTo: ownerEmail }, env)
+          .catch(error => console.error('Auto-reply failed:', error.message))
+      );
+    }
+
+    // Chat / automation notifications, also after the response
+    context.waitUntil(notifyWebhooks(env, {
+      id: contactId,
+      submittedAt: timestamp,
+      name,
+      email,
+      service,
+      message,
+      spamStatus: spamCheck.verdict,
+      spamScore: spamCheck.score
+    }));
+
+    // Email is working again, so retry anything queued while it wasn't
+    if (deliveryStatus === 'sent') {
+      context.waitUntil(
+        flushPendingEmails(env, { limit: 3 })
+          .catch(error => console.error('Pending email flush failed:', error.message))
       );
     }
 
     return jsonResponse({ 
       success: true, 
       message: 'Thank you for your message! I\'ll get back to you soon.' 
-    }, 200, corsHeaders);
+    }, 200);
 
   } catch (error) {
     console.error('Contact form error:', error);
     return jsonResponse({ 
       success: false, 
       error: 'Sorry, there was an error sending your message. Please try again.' 
-    }, 500, corsHeaders);
+    }, 500);
   }
 }
 
-// Handle CORS preflight requests
-export async function onRequestOptions(context) {
-  const { request } = context;
-  const origin = request.headers.get('Origin');
-  const allowedOrigins = [
-    'https://dreamthewilderness.com',
-    'http://localhost:8000',
-    'http://localhost:3000'
-  ];
-
-  // Also allow any *.pages.dev subdomain (Cloudflare Pages deployments)
-  const isPagesDev = origin && origin.endsWith('.pages.dev');
-  const isAllowed = allowedOrigins.includes(origin) || isPagesDev;
-
-  return new Response(null, {
-    status: 200,
-    headers: {
-      'Access-Control-Allow-Origin': isAllowed ? origin : 'https://dreamthewilderness.com',
-      'Access-Control-Allow-Methods': 'POST, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type',
-      'Access-Control-Max-Age': '86400'
-    }
-  });
-}
-
 // Helper functions
-function jsonResponse(data, status = 200, additionalHeaders = {}) {
-  return new Response(JSON.stringify(data), {
-    status,
-    headers: {
-      'Content-Type': 'application/json',
-      ...additionalHeaders
-    }
-  });
-}
 
-function isValidEmail(email) {
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  return emailRegex.test(email);
-}
-
-function containsSpam(text) {
-  const spamKeywords = ['bitcoin', 'crypto', 'viagra', 'casino', 'lottery', 'million dollars'];
-  const lowerText = text.toLowerCase();
-  return spamKeywords.some(keyword => lowerText.includes(keyword));
+function contactRateLimiter(env, prefix, setting, defaults) {
+  return createRateLimiter({
+    kv: env.RATE_LIMIT_KV || env.CONTACTS_KV,
+    salt: env.IP_HASH_SALT,
+    prefix,
+    ...parseRateLimit(setting, defaults)
+  });
 }
 
-function escapeHtml(text) {
-  if (!text) return '';
-  return text
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#039;');
+function rateLimitedBody(result) {
+  const minutes = Math.ceil(result.retryAfter / 60);
+  return {
+    success: false,
+    error: `You've sent several messages recently. Please wait ${minutes} minute${minutes === 1 ? '' : 's'} before trying again.`
+  };
 }
 
-async function sendEmail(emailContent, env) {
-  // Using Resend API for sending emails
-  if (env.RESEND_API_KEY) {
-    const emailData = {
-      from: emailContent.from,
-      to: [emailContent.to],
-      subject: emailContent.subject,
-      html: emailContent.html
-    };
-
-    // Add reply-to if specified
-    if (emailContent.replyTo) {
-      emailData.reply_to = emailContent.replyTo;
-    }
-
-    const response = await fetch('https://api.resend.com/emails', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${env.RESEND_API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(emailData)
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Resend error: ${response.statusText} - ${errorText}`);
-    }
+// Birth details section of the notification email
+function birthDetailsHtml(birthData) {
+  const { location } = birthData;
+  const timeNotes = {
+    ambiguous: 'this time happened twice as the clocks went back - the earlier one is assumed',
+    nonexistent: 'the clocks skipped this time - read with the offset from before the change'
+  };
 
-    const result = await response.json();
-    console.log('Email sent successfully:', result.id);
-    
+  let resolved;
+  if (!location) {
+    resolved = '<p><em>Not found in the offline gazetteer - look this place up by hand.</em></p>';
   } else {
-    // Log when API key is missing
-    console.log('Email would be sent:', emailContent);
-    console.log('Note: Set RESEND_API_KEY environment variable to actually send emails');
-    
-    // Throw error to prevent silent failures
-    throw new Error('Email service not configured - missing RESEND_API_KEY');
+    resolved = `
+        <p><strong>Resolved Place:</strong> ${escapeHtml(location.label)} (${location.latitude.toFixed(4)}, ${location.longitude.toFixed(4)})</p>
+        <p><strong>Time Zone:</strong> ${escapeHtml(location.timeZone)}${birthData.utcOffset ? `, UTC${birthData.utcOffset}${birthData.timeUnknown ? ' at local noon' : ''}` : ''}</p>
+        ${birthData.utc ? `<p><strong>Birth Time (UTC):</strong> ${escapeHtml(birthData.utc.replace('.000Z', 'Z'))}</p>` : ''}
+        ${birthData.timeNote ? `<p><small>Note: ${timeNotes[birthData.timeNote]}.</small></p>` : ''}
+        ${location.alternatives.length > 0 ? `<p><small>Other places with this name: ${escapeHtml(location.alternatives.join('; '))}</small></p>` : ''}`;
   }
-}
\ No newline at end of file
+
+  return `
+        <h3>Birth Details</h3>
+        <p><strong>Birth Date:</strong> ${escapeHtml(birthData.date)}</p>
+        <p><strong>Birth Time:</strong> ${birthData.timeUnknown ? 'unknown' : escapeHtml(birthData.time)}</p>
+        <p><strong>Birth Place:</strong> ${escapeHtml(birthData.place)}</p>
+        ${resolved}
+  `;
+}
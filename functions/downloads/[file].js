@@ -0,0 +1,66 @@
+// functions/downloads/[file].js
+// Serves gated files for a valid download link (see _lib/downloads.js).
+//
+// GET /downloads/<file>?token=<token>
+// Without a token - including old links to the file's public static path -
+// the visitor is redirected to where they can get one. An expired, forged or
+// used-up token gets a short page explaining what to do instead.
+
+import {
+  findProduct,
+  productIdForFile,
+  verifyDownloadToken,
+  countDownload,
+  loadProductFile
+} from '../_lib/downloads.js';
+import { standalonePage } from '../_lib/pages.js';
+
+export async function onRequestGet(context) {
+  const { request, env, params } = context;
+  const productId = productIdForFile(params.file);
+  const product = productId && findProduct(productId);
+
+  if (!product) {
+    return standalonePage('file not found', '<p>there\'s no download here. <a href="/">back to the site</a></p>', 404);
+  }
+
+  const token = new URL(request.url).searchParams.get('token');
+  if (!token) {
+    return Response.redirect(new URL(product.gate, request.url).toString(), 302);
+  }
+
+  const payload = await verifyDownloadToken(env, token, productId);
+  if (!payload) {
+    return standalonePage('this link has expired', `<p>download links only work for a few days. <a href="${product.gate}">ask for a fresh one</a>, or reply to the email it came in.</p>`, 410);
+  }
+
+  try {
+    // Find the file first, so a missing one doesn't use up the link
+    const file = await loadProductFile(env, product, request);
+    if (!file) {
+      console.error(`Download file missing for ${productId}: ${product.file}`);
+      return standalonePage('download unavailable', '<p>something went wrong on our side. please try again later, or email hello@dreamthewilderness.com</p>', 503);
+    }
+
+    const usage = await countDownload(env, payload);
+    if (!usage.allowed) {
+      return standalonePage('this link has been used up', `<p>each link only works a few times. <a href="${product.gate}">ask for a fresh one</a>, or reply to the email it came in.</p>`, 410);
+    }
+
+    console.log(`Download of ${productId} (${payload.source || 'unknown source'}), ${usage.remaining} uses left on the link`);
+
+    const headers = {
+      'Content-Type': product.contentType,
+      'Content-Disposition': `attachment; filename="${product.file}"`,
+      'Cache-Control': 'private, no-store',
+      'Referrer-Policy': 'no-referrer',
+      'X-Robots-Tag': 'noindex'
+    };
+    if (file.size) headers['Content-Length'] = String(file.size);
+    if (file.etag) headers['ETag'] = file.etag;
+    return new Response(file.body, { headers });
+  } catch (error) {
+    console.error('Download error:', error);
+    return standalonePage('download unavailable', '<p>something went wrong on our side. please try again later, or email hello@dreamthewilderness.com</p>', 500);
+  }
+}
@@ -0,0 +1,8 @@
+// functions/feed.json.js
+// Cloudflare Pages Function republishing the blog as JSON Feed 1.1
+
+import { syndicationResponse } from './_lib/syndication.js';
+
+export async function onRequestGet(context) {
+  return syndicationResponse(context, 'json');
+}
@@ -0,0 +1,8 @@
+// functions/feed.xml.js
+// Cloudflare Pages Function republishing the blog as RSS 2.0
+
+import { syndicationResponse } from './_lib/syndication.js';
+
+export async function onRequestGet(context) {
+  return syndicationResponse(context, 'rss');
+}
@@ -0,0 +1,286 @@
+/**
+ * Dream the Wilderness - Inquiries Admin
+ * Browses, updates and exports stored contact form submissions
+ * through /api/admin/contacts
+ */
+
+const ADMIN_API = '/api/admin/contacts';
+const ADMIN_TOKEN_KEY = 'dtw_admin_token';
+const ADMIN_PAGE_SIZE = 25;
+
+// Cursor for the next (older) page, or null on the last page
+let adminNextCursor = null;
+
+/**
+ * Headers for admin API calls - the bearer token if one was entered;
+ * behind Cloudflare Access the cookie is enough
+ * @returns {Object} Request headers
+ */
+function adminHeaders() {
+    const token = sessionStorage.getItem(ADMIN_TOKEN_KEY);
+    return token ? { 'Authorization': `Bearer ${token}` } : {};
+}
+
+/**
+ * Call the admin API and parse the JSON envelope
+ * @param {string} url - Endpoint URL
+ * @param {Object} options - fetch options
+ * @returns {Promise<Object>} Response body
+ */
+async function adminFetch(url, options = {}) {
+    const response = await fetch(url, {
+        ...options,
+        headers: { ...adminHeaders(), ...(options.headers || {}) }
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || data.status !== 'ok') {
+        throw new Error(data.message || `Request failed (${response.status})`);
+    }
+    return data;
+}
+
+/**
+ * Current filters as query parameters
+ * @returns {URLSearchParams} Filter parameters, empty values dropped
+ */
+function getFilterParams() {
+    const params = new URLSearchParams();
+    const form = document.getElementById('filter-form');
+    new FormData(form).forEach((value, key) => {
+        if (value) {
+            params.set(key, value);
+        }
+    });
+    return params;
+}
+
+/**
+ * Show a status line above the table
+ * @param {string} message - Text to show
+ * @param {boolean} isError - Style as an error
+ */
+function setAdminStatus(message, isError = false) {
+    const status = document.getElementById('status');
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+}
+
+/**
+ * Load a page of inquiries
+ * @param {string|null} cursor - Cursor from the previous page, null for the newest
+ */
+async function loadInquiries(cursor = null) {
+    const params = getFilterParams();
+    params.set('limit', ADMIN_PAGE_SIZE);
+    if (cursor) {
+        params.set('cursor', cursor);
+    }
+
+    setAdminStatus('loading...');
+    try {
+        const data = await adminFetch(`${ADMIN_API}?${params}`);
+        adminNextCursor = data.nextCursor;
+        renderInquiries(data.items);
+        setAdminStatus(`${data.total} matching inquir${data.total === 1 ? 'y' : 'ies'}`);
+    } catch (error) {
+        renderInquiries([]);
+        setAdminStatus(error.message, true);
+    }
+
+    document.getElementById('next-page').disabled = !adminNextCursor;
+}
+
+/**
+ * Render table rows. Built with DOM methods so submitted text is never parsed as HTML
+ * @param {Array} items - Inquiry records
+ */
+function renderInquiries(items) {
+    const tbody = document.getElementById('inquiries');
+    tbody.replaceChildren();
+
+    items.forEach(item => {
+        const row = document.createElement('tr');
+        row.dataset.id = item.id;
+        if (item.spamStatus === 'suspect') {
+            row.classList.add('suspect');
+        }
+
+        const from = document.createElement('td');
+        const email = document.createElement('a');
+        email.href = `mailto:${item.email}`;
+        email.textContent = item.email;
+        from.append(item.name, document.createElement('br'), email);
+
+        const message = document.createElement('td');
+        message.className = 'message';
+        message.textContent = item.message;
+
+        const service = createCell(item.service);
+        if (item.birthData) {
+            service.append(document.createElement('br'), describeBirthData(item.birthData));
+        }
+
+        const status = item.spamStatus === 'suspect'
+            ? `${item.status} (suspect, score ${item.spamScore})`
+            : item.status;
+
+        const actions = document.createElement('td');
+        const actionList = document.createElement('div');
+        actionList.className = 'actions';
+        actionList.append(
+            createActionButton('replied', 'mark replied', item.status === 'replied'),
+            createActionButton('archived', 'archive', item.status === 'archived'),
+            createActionButton('delete', 'delete', false)
+        );
+        actions.append(actionList);
+
+        row.append(
+            createCell(new Date(item.timestamp).toLocaleString()),
+            from,
+            service,
+            message,
+            createCell(status),
+            actions
+        );
+        tbody.append(row);
+    });
+}
+
+/**
+ * One-line summary of a birth chart inquiry's birth details
+ * @param {Object} birthData - Birth details as stored with the inquiry
+ * @returns {HTMLElement} Summary element
+ */
+function describeBirthData(birthData) {
+    const summary = document.createElement('small');
+    const time = birthData.timeUnknown ? 'time unknown' : birthData.time;
+    let place = `${birthData.place} (not resolved)`;
+    if (birthData.location) {
+        place = birthData.utcOffset
+            ? `${birthData.location.label} (UTC${birthData.utcOffset})`
+            : birthData.location.label;
+    }
+    summary.textContent = `born ${birthData.date}, ${time}, ${place}`;
+    return summary;
+}
+
+/**
+ * @param {string} text - Cell text
+ * @returns {HTMLTableCellElement} Cell
+ */
+function createCell(text) {
+    const cell = document.createElement('td');
+    cell.textContent = text;
+    return cell;
+}
+
+/**
+ * @param {string} action - Status to set, or 'delete'
+ * @param {string} label - Button text
+ * @param {boolean} disabled - Whether the action is a no-op for this row
+ * @returns {HTMLButtonElement} Button
+ */
+function createActionButton(action, label, disabled) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = action === 'delete' ? 'secondary' : '';
+    button.dataset.action = action;
+    button.textContent = label;
+    button.disabled = disabled;
+    return button;
+}
+
+/**
+ * Handle row actions via event delegation
+ * @param {Event} event - Click event from the table body
+ */
+async function handleRowAction(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) {
+        return;
+    }
+
+    const id = button.closest('tr').dataset.id;
+    const action = button.dataset.action;
+
+    if (action === 'delete' && !confirm('Delete this inquiry permanently?')) {
+        return;
+    }
+
+    button.disabled = true;
+    try {
+        if (action === 'delete') {
+            await adminFetch(`${ADMIN_API}/${encodeURIComponent(id)}`, { method: 'DELETE' });
+        } else {
+            await adminFetch(`${ADMIN_API}/${encodeURIComponent(id)}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ status: action })
+            });
+        }
+        await loadInquiries();
+    } catch (error) {
+        button.disabled = false;
+        setAdminStatus(error.message, true);
+    }
+}
+
+/**
+ * Download an export. Fetched rather than linked so the token header is sent
+ * @param {string} format - 'csv' or 'json'
+ */
+async function exportInquiries(format) {
+    const params = getFilterParams();
+    params.set('format', format);
+
+    try {
+        const response = await fetch(`${ADMIN_API}/export?${params}`, { headers: adminHeaders() });
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.message || `Export failed (${response.status})`);
+        }
+
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const match = /filename="([^"]+)"/.exec(disposition);
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(await response.blob());
+        link.download = match ? match[1] : `inquiries.${format}`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    } catch (error) {
+        setAdminStatus(error.message, true);
+    }
+}
+
+/**
+ * Initialize the admin page on DOM ready
+ */
+document.addEventListener('DOMContentLoaded', function() {
+    document.getElementById('auth-form').addEventListener('submit', function(event) {
+        event.preventDefault();
+        const input = document.getElementById('admin-token');
+        if (input.value) {
+            sessionStorage.setItem(ADMIN_TOKEN_KEY, input.value);
+        } else {
+            sessionStorage.removeItem(ADMIN_TOKEN_KEY);
+        }
+        input.value = '';
+        loadInquiries();
+    });
+
+    document.getElementById('filter-form').addEventListener('submit', function(event) {
+        event.preventDefault();
+        loadInquiries();
+    });
+
+    document.querySelectorAll('[data-export]').forEach(button => {
+        button.addEventListener('click', () => exportInquiries(button.dataset.export));
+    });
+
+    document.getElementById('inquiries').addEventListener('click', handleRowAction);
+    document.getElementById('first-page').addEventListener('click', () => loadInquiries());
+    document.getElementById('next-page').addEventListener('click', () => loadInquiries(adminNextCursor));
+
+    loadInquiries();
+});
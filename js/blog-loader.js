@@ -3,12 +3,35 @@
  * Fetches and displays Substack RSS feed posts
  */
 
+// Number of cards requested per page from /api/blog
+const BLOG_PAGE_SIZE = 6;
+
+// Cursor for the next page of posts, or null when everything is shown
+let blogNextCursor = null;
+
+// Substack home and subscribe page, used by the reader's call to action
+const SUBSTACK_URL = 'https://dreamthewilderness.substack.com';
+const SUBSTACK_SUBSCRIBE_URL = `${SUBSTACK_URL}/subscribe`;
+
+// Full posts already fetched for the reader view, keyed by slug
+const blogPostCache = new Map();
+
+// Slug the reader is currently showing (or loading)
+let activeBlogSlug = null;
+
 /**
  * Fetch Substack posts from the /api/blog endpoint with timeout
  */
 async function loadSubstackPosts() {
     const blogContainer = document.getElementById('blog-posts');
 
+    // The server already rendered the first page of posts into the grid
+    // (functions/_lib/prerender.js); keep them and just pick up paging
+    if (blogContainer.hasAttribute('data-prerendered')) {
+        updateLoadMoreButton(blogContainer.dataset.nextCursor);
+        return;
+    }
+
     // Set timeout to clear skeleton loaders after 10 seconds
     const timeoutId = setTimeout(() => {
         const skeletonLoaders = blogContainer.querySelectorAll('.skeleton-loader');
@@ -23,7 +46,7 @@ async function loadSubstackPosts() {
         const controller = new AbortController();
         const fetchTimeout = setTimeout(() => controller.abort(), 8000); // 8 second timeout
 
-        const response = await fetch('/api/blog', { signal: controller.signal });
+        const response = await fetch(`/api/blog?limit=${BLOG_PAGE_SIZE}`, { signal: controller.signal });
         clearTimeout(fetchTimeout); // Clear fetch timeout on success
 
         if (!response.ok) {
@@ -34,7 +57,9 @@ async function loadSubstackPosts() {
         clearTimeout(timeoutId); // Clear loader timeout on success
 
         if (data.status === 'ok' && data.items && data.items.length > 0) {
-            displayBlogPosts(data.items.slice(0, 6)); // Show latest 6 posts
+            displayBlogPosts(data.items);
+            updateLoadMoreButton(data.nextCursor);
+            updateSavedPostsNotice(data);
         } else {
             showBlogError('No posts found at this time');
         }
@@ -58,13 +83,106 @@ async function loadSubstackPosts() {
 }
 
 /**
- * Display blog posts in the DOM
+ * Fetch the next page of posts and append them to the grid
+ */
+async function loadMoreBlogPosts() {
+    const button = document.getElementById('blog-load-more');
+    if (!blogNextCursor || !button) return;
+
+    button.disabled = true;
+    button.textContent = 'loading...';
+
+    try {
+        const params = new URLSearchParams({ limit: BLOG_PAGE_SIZE, cursor: blogNextCursor });
+        const response = await fetch(`/api/blog?${params}`);
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const data = await response.json();
+        if (data.status === 'ok' && data.items) {
+            displayBlogPosts(data.items, { append: true });
+        }
+        updateLoadMoreButton(data.nextCursor);
+    } catch (error) {
+        console.error('Error loading more posts:', error);
+        button.textContent = 'try again';
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Wire up the "more reflections" button below the blog grid
+ */
+function setupBlogLoadMore() {
+    const button = document.getElementById('blog-load-more');
+    if (button) {
+        button.addEventListener('click', loadMoreBlogPosts);
+    }
+}
+
+/**
+ * Reload the page from the "Try Again" button that showBlogError renders.
+ * Delegated from the blog grid, which outlives the button
+ */
+function setupBlogRetry() {
+    const blogContainer = document.getElementById('blog-posts');
+    if (!blogContainer) return;
+
+    blogContainer.addEventListener('click', function(event) {
+        if (event.target.closest('[data-blog-retry]')) {
+            window.location.reload();
+        }
+    });
+}
+
+/**
+ * Show or hide the "more reflections" button based on the paging cursor
+ * @param {string|null} nextCursor - Cursor returned by /api/blog
+ */
+function updateLoadMoreButton(nextCursor) {
+    const button = document.getElementById('blog-load-more');
+    blogNextCursor = nextCursor || null;
+    if (!button) return;
+
+    button.hidden = !blogNextCursor;
+    button.textContent = 'more reflections';
+}
+
+/**
+ * Let readers know when the API fell back to its saved copy of the feed
+ * because Substack couldn't be reached
+ * @param {Object} data - Response body from /api/blog
+ */
+function updateSavedPostsNotice(data) {
+    const notice = document.getElementById('blog-notice');
+    if (!notice) return;
+
+    if (data.stale && data.upstreamError) {
+        const savedOn = new Date(data.updatedAt).toLocaleDateString('en-US', {
+            month: 'long',
+            day: 'numeric'
+        });
+        notice.textContent = `showing saved posts from ${savedOn} - newer reflections may be waiting on Substack.`;
+        notice.hidden = false;
+    } else {
+        notice.hidden = true;
+    }
+}
+
+/**
+ * Display blog posts in the DOM. The card markup is repeated in
+ * functions/_lib/prerender.js; keep the two in step
  * @param {Array} posts - Array of post objects from the API
+ * @param {Object} [options]
+ * @param {boolean} [options.append=false] - Add to the existing cards instead of replacing them
  */
-function displayBlogPosts(posts) {
+function displayBlogPosts(posts, options = {}) {
     const blogContainer = document.getElementById('blog-posts');
 
-    blogContainer.innerHTML = posts.map(post => {
+    const html = posts.map(post => {
         // Format date
         const date = new Date(post.pubDate).toLocaleDateString('en-US', {
             year: 'numeric',
@@ -79,15 +197,21 @@ function displayBlogPosts(posts) {
         const description = post.description || 'Read more on Substack...';
 
         return `
-            <div class="service-card blog-post">
-                <img src="${imageUrl}" alt="${escapeHtml(post.title)}" loading="lazy" class="blog-post-image">
+            <div class="service-card blog-post visible">
+                <img src="${escapeAttribute(imageUrl)}" alt="${escapeAttribute(post.title)}" loading="lazy" class="blog-post-image">
                 <h3 class="blog-post-title">${escapeHtml(post.title)}</h3>
                 <p class="blog-post-date">${date}</p>
                 <p class="blog-post-excerpt">${escapeHtml(description)}</p>
-                <a href="${post.link}" target="_blank" rel="noopener noreferrer" class="btn">Read Full Post</a>
+                <a href="/blog/${encodeURIComponent(getPostSlug(post))}" data-section="blog/${encodeURIComponent(getPostSlug(post))}" class="btn">Read Full Post</a>
             </div>
         `;
     }).join('');
+
+    if (options.append) {
+        blogContainer.insertAdjacentHTML('beforeend', html);
+    } else {
+        blogContainer.innerHTML = html;
+    }
 }
 
 /**
@@ -103,12 +227,201 @@ function showBlogError(message) {
             <p style="color: #b8a082; margin-bottom: 1.5rem;">In the meantime, visit our full blog on Substack for the latest reflections and insights from the wilderness.</p>
             <div style="display: flex; gap: 1rem; flex-direction: column;">
                 <a href="https://dreamthewilderness.substack.com" target="_blank" rel="noopener noreferrer" class="btn">Visit Substack Blog</a>
-                <button onclick="location.reload()" style="background: linear-gradient(135deg, #666, #555); color: #f5f1e8; padding: 0.8rem 2rem; border: none; border-radius: 25px; cursor: pointer; text-decoration: none; letter-spacing: 0.5px; box-shadow: 0 8px 20px rgba(0,0,0,0.2); transition: all 0.3s ease;">Try Again</button>
+                <button type="button" data-blog-retry style="background: linear-gradient(135deg, #666, #555); color: #f5f1e8; padding: 0.8rem 2rem; border: none; border-radius: 25px; cursor: pointer; text-decoration: none; letter-spacing: 0.5px; box-shadow: 0 8px 20px rgba(0,0,0,0.2); transition: all 0.3s ease;">Try Again</button>
             </div>
         </div>
     `;
 }
 
+/**
+ * Get a post's slug, deriving it from the Substack link for older API responses
+ * @param {Object} post - Post object from the API
+ * @returns {string} Slug, e.g. "libra-as-ecology"
+ */
+function getPostSlug(post) {
+    if (post.slug) return post.slug;
+    const segments = new URL(post.link).pathname.split('/').filter(Boolean);
+    return segments[segments.length - 1] || '';
+}
+
+/**
+ * Fetch a full post and show it in the reader view
+ * @param {string} slug - Substack slug of the post
+ */
+async function loadBlogPost(slug) {
+    const reader = document.getElementById('blog-reader');
+    if (!reader) return;
+
+    activeBlogSlug = slug;
+
+    // Opened straight from a /blog/<slug> link: the server already rendered
+    // the post and its page details (functions/_lib/prerender.js)
+    if (reader.dataset.prerendered === slug) {
+        delete reader.dataset.prerendered;
+        const heading = document.getElementById('blog-post-title');
+        document.title = `${heading.textContent} | Dream the Wilderness`;
+        return;
+    }
+
+    if (blogPostCache.has(slug)) {
+        displayBlogPost(blogPostCache.get(slug));
+        return;
+    }
+
+    reader.setAttribute('aria-busy', 'true');
+    reader.innerHTML = `
+        <div class="skeleton-loader">
+            <div class="skeleton-line skeleton-title"></div>
+            <div class="skeleton-line skeleton-image"></div>
+            <div class="skeleton-line skeleton-text"></div>
+            <div class="skeleton-line skeleton-text"></div>
+        </div>
+    `;
+
+    try {
+        const controller = new AbortController();
+        const fetchTimeout = setTimeout(() => controller.abort(), 8000); // 8 second timeout
+
+        const response = await fetch(`/api/blog/${encodeURIComponent(slug)}`, { signal: controller.signal });
+        clearTimeout(fetchTimeout);
+
+        if (response.status === 404) {
+            if (activeBlogSlug === slug) {
+                showBlogPostError('That reflection couldn\'t be found. It may have moved, or it may only live on Substack.');
+            }
+            return;
+        }
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const data = await response.json();
+        blogPostCache.set(slug, data);
+
+        // Ignore responses for posts the reader has already navigated away from
+        if (activeBlogSlug === slug) {
+            displayBlogPost(data);
+        }
+    } catch (error) {
+        console.error('Error loading blog post:', error);
+
+        if (activeBlogSlug !== slug) return;
+
+        const errorMessage = error.name === 'AbortError'
+            ? 'This reflection took longer than expected to load. Please try again in a moment.'
+            : 'Unable to load this reflection right now. Please check back later.';
+        showBlogPostError(errorMessage);
+    }
+}
+
+/**
+ * Render a full post in the reader view and move focus to its title. The
+ * markup is repeated in functions/_lib/prerender.js; keep the two in step
+ * @param {Object} data - Response body from /api/blog/:slug
+ */
+function displayBlogPost(data) {
+    const reader = document.getElementById('blog-reader');
+    const post = data.post;
+
+    const date = new Date(post.pubDate).toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    });
+
+    // Substack bodies usually open with their own image; only add the
+    // featured image when the content has none
+    const showFeaturedImage = post.image && !/<img\b/i.test(post.content);
+
+    const neighbourLink = (neighbour, label, className) => neighbour ? `
+        <a href="/blog/${encodeURIComponent(neighbour.slug)}" data-section="blog/${encodeURIComponent(neighbour.slug)}" class="${className}">
+            <span class="blog-reader-nav-label">${label}</span>
+            <span class="blog-reader-nav-title">${escapeHtml(neighbour.title)}</span>
+        </a>
+    ` : '<span></span>';
+
+    reader.innerHTML = `
+        <a href="/blog" data-section="blog" class="blog-reader-back">&larr; all reflections</a>
+        <header class="blog-reader-header">
+            <h1 id="blog-post-title" class="blog-reader-title" tabindex="-1">${escapeHtml(post.title)}</h1>
+            <p class="blog-reader-meta">
+                <span>${escapeHtml(post.author)}</span> &middot;
+                <time datetime="${new Date(post.pubDate).toISOString()}">${date}</time> &middot;
+                <span>${post.readingTime} min read</span>
+            </p>
+        </header>
+        ${showFeaturedImage ? `<img src="${escapeAttribute(post.image)}" alt="" class="blog-reader-image">` : ''}
+        <div class="blog-reader-content">${post.content}</div>
+        <aside class="blog-reader-cta" aria-label="continue on Substack">
+            <p>enjoying these reflections? new essays arrive by email first.</p>
+            <div class="blog-reader-cta-actions">
+                <a href="${SUBSTACK_SUBSCRIBE_URL}" target="_blank" rel="noopener noreferrer" class="btn">subscribe on Substack</a>
+                <a href="${escapeAttribute(post.link)}" target="_blank" rel="noopener noreferrer" class="btn btn-secondary">read on Substack</a>
+            </div>
+        </aside>
+        <nav class="blog-reader-nav" aria-label="more reflections">
+            ${neighbourLink(data.previous, '&larr; previous', 'blog-reader-prev')}
+            ${neighbourLink(data.next, 'next &rarr;', 'blog-reader-next')}
+        </nav>
+    `;
+
+    reader.removeAttribute('aria-busy');
+    document.title = `${post.title} | Dream the Wilderness`;
+    setPostPageMeta(post);
+
+    // Move focus to the title so keyboard and screen reader users start at the post
+    const heading = document.getElementById('blog-post-title');
+    if (heading) {
+        heading.focus({ preventScroll: true });
+    }
+}
+
+/**
+ * Describe the open post to anything reading the page's head: its excerpt,
+ * and a canonical link to the original on Substack
+ * @param {Object} post - Post from /api/blog/:slug
+ */
+function setPostPageMeta(post) {
+    const description = document.querySelector('meta[name="description"]');
+    if (description && post.description) {
+        description.setAttribute('content', post.description);
+    }
+
+    const canonical = document.querySelector('link[rel="canonical"]');
+    if (canonical) {
+        canonical.setAttribute('href', post.link);
+    }
+}
+
+/**
+ * Show an error inside the reader view
+ * @param {string} message - Error message to display
+ */
+function showBlogPostError(message) {
+    const reader = document.getElementById('blog-reader');
+    reader.removeAttribute('aria-busy');
+    reader.innerHTML = `
+        <a href="/blog" data-section="blog" class="blog-reader-back">&larr; all reflections</a>
+        <h1 id="blog-post-title" class="blog-reader-title" tabindex="-1">Wilderness Journal</h1>
+        <p style="color: #d9534f; margin-bottom: 1rem;">⚠️ ${message}</p>
+        <a href="${SUBSTACK_URL}" target="_blank" rel="noopener noreferrer" class="btn">Visit Substack Blog</a>
+    `;
+
+    const heading = document.getElementById('blog-post-title');
+    if (heading) {
+        heading.focus({ preventScroll: true });
+    }
+}
+
+/**
+ * Forget the open post when leaving the reader. The router sets the next
+ * page's title
+ */
+function resetBlogReader() {
+    activeBlogSlug = null;
+}
+
 /**
  * Escape HTML special characters to prevent XSS
  * @param {string} text - Text to escape
@@ -119,3 +432,12 @@ function escapeHtml(text) {
     div.textContent = text;
     return div.innerHTML;
 }
+
+/**
+ * Escape text for use inside a double-quoted HTML attribute
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped attribute value
+ */
+function escapeAttribute(text) {
+    return escapeHtml(text).replace(/"/g, '&quot;');
+}
@@ -0,0 +1,36 @@
+/**
+ * Dream the Wilderness - Booking Form Schema
+ * Field rules for the reading booking form, shared by the browser
+ * (js/booking.js) and the server (functions/api/bookings.js) and checked
+ * with validateContact() from contact-schema.js
+ */
+
+import { CONTACT_SCHEMA } from './contact-schema.js';
+
+export const BOOKING_SCHEMA = {
+    start: {
+        required: true,
+        maxLength: 40,
+        type: 'datetime',
+        messages: {
+            required: 'Please choose a time for your reading',
+            maxLength: 'Please choose one of the listed times',
+            type: 'Please choose one of the listed times'
+        }
+    },
+    name: CONTACT_SCHEMA.name,
+    email: CONTACT_SCHEMA.email,
+    notes: {
+        maxLength: 2000,
+        messages: {
+            maxLength: 'Notes must be 2,000 characters or fewer'
+        }
+    },
+    consent: {
+        required: true,
+        type: 'checkbox',
+        messages: {
+            required: 'Please agree to the privacy policy so your booking can be stored'
+        }
+    }
+};
@@ -0,0 +1,453 @@
+/**
+ * Dream the Wilderness - Reading Booking
+ * Lists open reading slots from /api/availability in the visitor's own time
+ * zone, books the chosen one through /api/bookings and offers sliding-scale
+ * payment for it through /api/checkout
+ */
+
+import { validateContact } from './contact-schema.js';
+import { BOOKING_SCHEMA } from './booking-schema.js';
+
+const AVAILABILITY_DAYS = 28;
+
+/**
+ * sessionStorage key for a booking that hasn't been paid for yet, so the
+ * payment form can come back after a cancelled checkout
+ */
+const UNPAID_BOOKING_KEY = 'dtw.unpaidBooking';
+
+/**
+ * Visitor's time zone, e.g. "America/Chicago"
+ */
+const visitorTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const dayFormat = new Intl.DateTimeFormat(undefined, { weekday: 'long', month: 'long', day: 'numeric' });
+const timeFormat = new Intl.DateTimeFormat(undefined, { hour: 'numeric', minute: '2-digit' });
+const fullFormat = new Intl.DateTimeFormat(undefined, {
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZoneName: 'short'
+});
+
+/**
+ * Show a message under the booking form
+ * @param {string} message - Message text
+ * @param {string} type - 'success' or 'error'
+ */
+function showBookingMessage(message, type) {
+    const messageDiv = document.getElementById('bookingMessage');
+    messageDiv.textContent = message;
+    messageDiv.classList.remove('success', 'error');
+    messageDiv.classList.add(type);
+}
+
+/**
+ * Clear field errors on the booking form
+ */
+function clearBookingErrors() {
+    const form = document.getElementById('bookingForm');
+    form.querySelectorAll('.error').forEach(field => field.classList.remove('error'));
+    form.querySelectorAll('.field-error').forEach(span => {
+        span.textContent = '';
+        span.classList.remove('show');
+    });
+}
+
+/**
+ * Show one error per field. Booking fields are prefixed "booking-" so their
+ * IDs don't clash with the contact form's
+ * @param {Object} errors - Map of schema field -> message
+ */
+function showBookingErrors(errors) {
+    Object.entries(errors).forEach(([field, message]) => {
+        const input = document.getElementById(`booking-${field}`);
+        const errorSpan = document.getElementById(`booking-${field}-error`);
+        if (input) {
+            input.classList.add('error');
+        }
+        if (errorSpan) {
+            errorSpan.textContent = message;
+            errorSpan.classList.add('show');
+        }
+    });
+}
+
+/**
+ * Group slots by the visitor's local day
+ * @param {Array} slots - [{ start, end }] from /api/availability
+ * @returns {Map} Day label -> slots
+ */
+function groupSlotsByDay(slots) {
+    const days = new Map();
+    slots.forEach(slot => {
+        const label = dayFormat.format(new Date(slot.start));
+        if (!days.has(label)) {
+            days.set(label, []);
+        }
+        days.get(label).push(slot);
+    });
+    return days;
+}
+
+/**
+ * Render open slots as buttons grouped by day
+ * @param {Array} slots - [{ start, end }] from /api/availability
+ */
+function renderSlots(slots) {
+    const container = document.getElementById('bookingSlots');
+    container.replaceChildren();
+
+    if (slots.length === 0) {
+        const empty = document.createElement('p');
+        empty.append('there are no open times in the next few weeks. please ');
+        const link = document.createElement('a');
+        link.href = '/contact';
+        link.dataset.section = 'contact';
+        link.textContent = 'send a message';
+        empty.append(link, ' and we\'ll find a time together.');
+        container.append(empty);
+        return;
+    }
+
+    groupSlotsByDay(slots).forEach((daySlots, label) => {
+        const day = document.createElement('div');
+        day.className = 'booking-day';
+
+        const heading = document.createElement('h4');
+        heading.textContent = label;
+
+        const list = document.createElement('div');
+        list.className = 'booking-slot-list';
+        daySlots.forEach(slot => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'booking-slot';
+            button.dataset.start = slot.start;
+            button.setAttribute('aria-pressed', 'false');
+            button.textContent = timeFormat.format(new Date(slot.start));
+            list.append(button);
+        });
+
+        day.append(heading, list);
+        container.append(day);
+    });
+}
+
+/**
+ * Load open slots from the server
+ */
+async function loadAvailability() {
+    const container = document.getElementById('bookingSlots');
+    try {
+        const response = await fetch(`/api/availability?days=${AVAILABILITY_DAYS}`, { cache: 'no-store' });
+        const result = await response.json();
+        if (!response.ok || result.status !== 'ok') {
+            throw new Error(result.message || `Server error: ${response.status}`);
+        }
+
+        renderSlots(result.slots);
+    } catch (error) {
+        console.error('Availability error:', error);
+        container.textContent = 'open times couldn\'t be loaded just now. please refresh the page, or email hello@dreamthewilderness.com to book.';
+    }
+}
+
+/**
+ * Select a slot and reveal the form
+ * @param {HTMLButtonElement} button - The clicked slot button
+ */
+function selectSlot(button) {
+    document.querySelectorAll('.booking-slot[aria-pressed="true"]').forEach(selected => {
+        selected.setAttribute('aria-pressed', 'false');
+    });
+    button.setAttribute('aria-pressed', 'true');
+
+    const form = document.getElementById('bookingForm');
+    form.elements.start.value = button.dataset.start;
+    document.getElementById('bookingChosen').textContent = fullFormat.format(new Date(button.dataset.start));
+    form.hidden = false;
+
+    const errorSpan = document.getElementById('booking-start-error');
+    errorSpan.textContent = '';
+    errorSpan.classList.remove('show');
+}
+
+/**
+ * Handle booking form submission
+ * @param {SubmitEvent} event - Form submit event
+ */
+async function handleBookingSubmit(event) {
+    event.preventDefault();
+
+    const form = event.target;
+    clearBookingErrors();
+
+    const { errors } = validateContact({
+        start: form.elements.start.value,
+        name: form.elements.name.value,
+        email: form.elements.email.value,
+        notes: form.elements.notes.value,
+        consent: form.elements.consent.checked
+    }, BOOKING_SCHEMA);
+    if (Object.keys(errors).length > 0) {
+        showBookingErrors(errors);
+        return;
+    }
+
+    const submitBtn = form.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'booking...';
+
+    try {
+        const response = await fetch('/api/bookings', {
+            method: 'POST',
+            body: new FormData(form)
+        });
+        const result = await response.json().catch(() => ({}));
+
+        if (response.ok && result.status === 'ok') {
+            showBookingMessage(result.message, 'success');
+            form.reset();
+            form.hidden = true;
+            loadAvailability();
+            rememberUnpaidBooking(result.booking.id);
+            showPaymentForm(result.booking.id);
+        } else if (result.errors) {
+            showBookingErrors(result.errors);
+        } else if (result.code === 'slot_unavailable') {
+            showBookingMessage(result.message, 'error');
+            form.hidden = true;
+            loadAvailability();
+        } else {
+            showBookingMessage(result.message || 'Something went wrong. Please try again.', 'error');
+        }
+    } catch (error) {
+        console.error('Booking error:', error);
+        showBookingMessage('Network error: Unable to connect. Please check your internet connection and try again.', 'error');
+    } finally {
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'book this time';
+        // Turnstile tokens are single-use
+        if (window.turnstile && document.getElementById('booking-turnstile')) {
+            window.turnstile.reset('#booking-turnstile');
+        }
+    }
+}
+
+/**
+ * Remember (or, given null, forget) the booking awaiting payment
+ * @param {string|null} bookingId - Booking ID from /api/bookings
+ */
+function rememberUnpaidBooking(bookingId) {
+    try {
+        if (bookingId) {
+            sessionStorage.setItem(UNPAID_BOOKING_KEY, bookingId);
+        } else {
+            sessionStorage.removeItem(UNPAID_BOOKING_KEY);
+        }
+    } catch (error) {
+        // Storage can be unavailable (e.g. private browsing); payment still works this visit
+    }
+}
+
+/**
+ * @returns {string|null} Booking awaiting payment, if any
+ */
+function unpaidBooking() {
+    try {
+        return sessionStorage.getItem(UNPAID_BOOKING_KEY);
+    } catch (error) {
+        return null;
+    }
+}
+
+let paymentSettings = null;
+
+/**
+ * Offer sliding-scale payment for a booking. Stays hidden when online
+ * payment isn't set up
+ * @param {string} bookingId - Booking ID from /api/bookings
+ */
+async function showPaymentForm(bookingId) {
+    const form = document.getElementById('paymentForm');
+    if (!form) {
+        return;
+    }
+
+    try {
+        if (!paymentSettings) {
+            const response = await fetch('/api/checkout', { cache: 'no-store' });
+            const result = await response.json();
+            if (!response.ok || result.status !== 'ok') {
+                return;
+            }
+            paymentSettings = result;
+        }
+    } catch (error) {
+        console.error('Payment settings error:', error);
+        return;
+    }
+
+    const money = new Intl.NumberFormat(undefined, {
+        style: 'currency',
+        currency: paymentSettings.currency.toUpperCase(),
+        maximumFractionDigits: 0
+    });
+
+    const tiers = document.getElementById('paymentTiers');
+    tiers.replaceChildren(...paymentSettings.tiers.map(amount => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'booking-slot';
+        button.dataset.amount = amount;
+        button.setAttribute('aria-pressed', 'false');
+        button.textContent = money.format(amount);
+        return button;
+    }));
+
+    const amountInput = form.elements.amount;
+    amountInput.min = paymentSettings.min;
+    amountInput.max = paymentSettings.max;
+    amountInput.value = '';
+    document.getElementById('paymentRange').textContent =
+        `${money.format(paymentSettings.min)} to ${money.format(paymentSettings.max)}`;
+
+    form.elements.bookingId.value = bookingId;
+    form.hidden = false;
+}
+
+/**
+ * Pick a suggested amount
+ * @param {HTMLButtonElement} button - The clicked tier button
+ */
+function selectTier(button) {
+    document.querySelectorAll('#paymentTiers .booking-slot').forEach(tier => {
+        tier.setAttribute('aria-pressed', String(tier === button));
+    });
+    document.getElementById('payment-amount').value = button.dataset.amount;
+}
+
+/**
+ * Show or clear the amount error
+ * @param {string} message - Error text, or '' to clear
+ */
+function showAmountError(message) {
+    const input = document.getElementById('payment-amount');
+    const errorSpan = document.getElementById('payment-amount-error');
+    input.classList.toggle('error', Boolean(message));
+    errorSpan.textContent = message;
+    errorSpan.classList.toggle('show', Boolean(message));
+}
+
+/**
+ * Handle payment form submission: start a Checkout session and go to it
+ * @param {SubmitEvent} event - Form submit event
+ */
+async function handlePaymentSubmit(event) {
+    event.preventDefault();
+
+    const form = event.target;
+    const amount = Number(form.elements.amount.value);
+    if (!Number.isInteger(amount) || amount < paymentSettings.min || amount > paymentSettings.max) {
+        showAmountError(`Please choose a whole amount from ${paymentSettings.min} to ${paymentSettings.max}`);
+        return;
+    }
+    showAmountError('');
+
+    const messageDiv = document.getElementById('paymentMessage');
+    messageDiv.textContent = '';
+    messageDiv.classList.remove('success', 'error');
+
+    const submitBtn = form.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'opening checkout...';
+
+    try {
+        const response = await fetch('/api/checkout', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ amount, bookingId: form.elements.bookingId.value })
+        });
+        const result = await response.json().catch(() => ({}));
+
+        if (response.ok && result.status === 'ok') {
+            window.location.assign(result.url);
+            return;
+        }
+        if (result.errors && result.errors.amount) {
+            showAmountError(result.errors.amount);
+        } else {
+            if (result.code === 'already_paid' || result.code === 'not_found') {
+                rememberUnpaidBooking(null);
+                form.hidden = true;
+            }
+            messageDiv.textContent = result.message || 'Something went wrong. Please try again.';
+            messageDiv.classList.add('error');
+        }
+    } catch (error) {
+        console.error('Checkout error:', error);
+        messageDiv.textContent = 'Network error: Unable to connect. Please check your internet connection and try again.';
+        messageDiv.classList.add('error');
+    }
+
+    submitBtn.disabled = false;
+    submitBtn.textContent = 'continue to payment';
+}
+
+/**
+ * Initialize booking on DOM ready
+ */
+document.addEventListener('DOMContentLoaded', function() {
+    const form = document.getElementById('bookingForm');
+    const slots = document.getElementById('bookingSlots');
+    if (!form || !slots) {
+        return;
+    }
+
+    form.elements.time_zone.value = visitorTimeZone;
+    document.getElementById('bookingTimeZone').textContent = visitorTimeZone.replace(/_/g, ' ');
+
+    slots.addEventListener('click', function(event) {
+        const button = event.target.closest('.booking-slot');
+        if (button) {
+            selectSlot(button);
+        }
+    });
+    form.addEventListener('submit', handleBookingSubmit);
+
+    const paymentForm = document.getElementById('paymentForm');
+    if (paymentForm) {
+        document.getElementById('paymentTiers').addEventListener('click', function(event) {
+            const button = event.target.closest('.booking-slot');
+            if (button) {
+                selectTier(button);
+            }
+        });
+        paymentForm.elements.amount.addEventListener('input', function() {
+            document.querySelectorAll('#paymentTiers .booking-slot').forEach(tier => {
+                tier.setAttribute('aria-pressed', String(tier.dataset.amount === this.value));
+            });
+        });
+        paymentForm.addEventListener('submit', handlePaymentSubmit);
+
+        // Back from Stripe Checkout: a completed payment needs no form; a
+        // cancelled one gets it again
+        if (window.location.pathname === '/payment/success' || window.location.hash === '#payment/success') {
+            rememberUnpaidBooking(null);
+        } else if (unpaidBooking()) {
+            showPaymentForm(unpaidBooking());
+        }
+    }
+
+    const jump = document.getElementById('bookingJump');
+    if (jump) {
+        jump.addEventListener('click', function() {
+            document.getElementById('booking').scrollIntoView({ behavior: 'smooth' });
+        });
+    }
+
+    loadAvailability();
+});
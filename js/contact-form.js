@@ -2,18 +2,45 @@
  * Dream the Wilderness - Contact Form Handler
  * Manages contact form submission and response handling
  * Uses event delegation for form submission handling
+ * Loaded as an ES module so it can share field rules with the server
  */
 
+import { validateContact, BIRTH_CHART_SERVICE } from './contact-schema.js';
+
+/**
+ * Error codes returned by /contact that belong to a specific field
+ * Maps code -> { field, message }; the field is the ID passed to showFieldError
+ */
+const CONTACT_ERROR_FIELDS = {
+    captcha_missing: {
+        field: 'turnstile',
+        message: 'Please complete the security check before sending'
+    },
+    captcha_failed: {
+        field: 'turnstile',
+        message: 'The security check didn\'t pass. Please try it again'
+    },
+    captcha_unavailable: {
+        field: 'turnstile',
+        message: 'We couldn\'t reach the security check service. Please wait a moment and try again'
+    }
+};
+
 /**
  * Clear all field-specific errors
  */
 function clearFieldErrors() {
     const form = document.getElementById('contactForm');
-    const inputs = form.querySelectorAll('.form-input, .form-textarea, .form-select');
+    const inputs = form.querySelectorAll('.form-input, .form-textarea, .form-select, .form-checkbox');
     inputs.forEach(input => {
         input.classList.remove('error');
     });
 
+    const captcha = document.getElementById('turnstile');
+    if (captcha) {
+        captcha.classList.remove('error');
+    }
+
     const errorSpans = form.querySelectorAll('.field-error');
     errorSpans.forEach(span => {
         span.textContent = '';
@@ -41,44 +68,34 @@ function showFieldError(fieldName, message) {
 }
 
 /**
- * Validate form inputs before submission
+ * Validate form inputs before submission, using the shared contact schema
  * @returns {boolean} true if valid, false otherwise
  */
 function validateContactForm() {
     const form = document.getElementById('contactForm');
-    const name = form.elements.name.value.trim();
-    const email = form.elements.email.value.trim();
-    const message = form.elements.message.value.trim();
 
     // Clear previous errors
     clearFieldErrors();
 
-    let isValid = true;
-
-    // Validate name
-    if (!name) {
-        showFieldError('name', 'Name is required');
-        isValid = false;
-    } else if (name.length < 2) {
-        showFieldError('name', 'Name must be at least 2 characters (first and last name recommended)');
-        isValid = false;
-    }
+    const { errors } = validateContact({
+        name: form.elements.name.value,
+        email: form.elements.email.value,
+        service: form.elements.service.value,
+        birth_date: form.elements.birth_date.value,
+        birth_time: form.elements.birth_time.value,
+        birth_time_unknown: form.elements.birth_time_unknown.checked,
+        birth_place: form.elements.birth_place.value,
+        message: form.elements.message.value,
+        consent: form.elements.consent.checked
+    });
+    showFieldErrors(errors);
 
-    // Validate email
-    if (!email) {
-        showFieldError('email', 'Email is required so we can respond to you');
-        isValid = false;
-    } else if (!isValidEmail(email)) {
-        showFieldError('email', 'Please enter a valid email address (e.g., name@example.com)');
-        isValid = false;
-    }
+    let isValid = Object.keys(errors).length === 0;
 
-    // Validate message
-    if (!message) {
-        showFieldError('message', 'Message is required');
-        isValid = false;
-    } else if (message.length < 10) {
-        showFieldError('message', 'Message should be at least 10 characters to give us enough detail');
+    // Validate CAPTCHA (only once the Turnstile widget has rendered its hidden input)
+    const captchaInput = form.elements['cf-turnstile-response'];
+    if (captchaInput && !captchaInput.value) {
+        showFieldError('turnstile', CONTACT_ERROR_FIELDS.captcha_missing.message);
         isValid = false;
     }
 
@@ -86,13 +103,13 @@ function validateContactForm() {
 }
 
 /**
- * Validate email format
- * @param {string} email - Email to validate
- * @returns {boolean} true if valid
+ * Show one error per field, e.g. the `errors` object from a 422 response
+ * @param {Object} errors - Map of field ID -> message
  */
-function isValidEmail(email) {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email);
+function showFieldErrors(errors) {
+    Object.entries(errors).forEach(([field, message]) => {
+        showFieldError(field, message);
+    });
 }
 
 /**
@@ -115,17 +132,141 @@ function showFormValidationError(message) {
     showFormMessage(message, 'error');
 }
 
+/**
+ * Show a server error next to its field when the error code maps to one
+ * @param {Object} result - JSON body from /contact
+ * @returns {boolean} true if the error was shown on a field
+ */
+function showServerFieldError(result) {
+    const mapping = result.code && CONTACT_ERROR_FIELDS[result.code];
+    if (!mapping) {
+        return false;
+    }
+
+    showFieldError(mapping.field, mapping.message);
+    return true;
+}
+
+/**
+ * Friendly message for a rate-limited submission
+ * @param {number} retryAfter - Seconds until another message can be sent
+ * @returns {string} Message text
+ */
+function getRateLimitMessage(retryAfter) {
+    if (!retryAfter || Number.isNaN(retryAfter)) {
+        return 'you\'ve sent a few messages in a short while. please wait a little before trying again, or email hello@dreamthewilderness.com directly.';
+    }
+
+    const minutes = Math.max(1, Math.ceil(retryAfter / 60));
+    return `thank you for your enthusiasm! you've sent a few messages in a short while, so please wait ${minutes} minute${minutes === 1 ? '' : 's'} before sending another.`;
+}
+
+/**
+ * Turnstile success callback (named in the widget's data-callback attribute)
+ * Clears any CAPTCHA error once the visitor passes the check
+ */
+function onTurnstileSuccess() {
+    const captcha = document.getElementById('turnstile');
+    const errorSpan = document.getElementById('turnstile-error');
+
+    if (captcha) {
+        captcha.classList.remove('error');
+    }
+
+    if (errorSpan) {
+        errorSpan.textContent = '';
+        errorSpan.classList.remove('show');
+    }
+}
+
+// Turnstile looks its callback up by name on window; module functions aren't global
+window.onTurnstileSuccess = onTurnstileSuccess;
+
+/**
+ * Reset the Turnstile widget - tokens are single-use, so every submission
+ * attempt needs a fresh one
+ */
+function resetTurnstile() {
+    if (window.turnstile && document.getElementById('turnstile')) {
+        window.turnstile.reset('#turnstile');
+    }
+}
+
+/**
+ * Fetch a signed render-time token from /api/contact/token for the spam timing check
+ * Refreshed after a successful send so the next message is timed from then
+ */
+async function refreshFormToken() {
+    const tokenInput = document.getElementById('form_token');
+    if (!tokenInput) {
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/contact/token', {
+            headers: { 'Accept': 'application/json' },
+            cache: 'no-store'
+        });
+        if (!response.ok) {
+            throw new Error(`Server error: ${response.status}`);
+        }
+
+        const result = await response.json();
+        tokenInput.value = result.formToken || '';
+    } catch (error) {
+        // The submission still goes through without one, it just scores higher
+        console.warn('Could not fetch form token:', error);
+    }
+}
+
+/**
+ * Show the birth details fields only for birth chart readings, and the time
+ * input only while "unknown time" is unticked. Disabled fields are left out
+ * of the submission
+ */
+function updateBirthFields() {
+    const form = document.getElementById('contactForm');
+    const birthDetails = document.getElementById('birthDetails');
+    if (!form || !birthDetails) {
+        return;
+    }
+
+    const isBirthChart = form.elements.service.value === BIRTH_CHART_SERVICE;
+    birthDetails.hidden = !isBirthChart;
+    birthDetails.disabled = !isBirthChart;
+
+    const timeInput = form.elements.birth_time;
+    const timeUnknown = form.elements.birth_time_unknown.checked;
+    timeInput.disabled = timeUnknown;
+    timeInput.required = !timeUnknown;
+    timeInput.setAttribute('aria-required', String(!timeUnknown));
+    if (timeUnknown) {
+        timeInput.value = '';
+        timeInput.classList.remove('error');
+        const errorSpan = document.getElementById('birth_time-error');
+        errorSpan.textContent = '';
+        errorSpan.classList.remove('show');
+    }
+}
+
 /**
  * Setup contact form handlers
  */
 function setupContactFormHandler() {
     const form = document.getElementById('contactForm');
     if (form) {
+        refreshFormToken();
+
         // Form submission
         form.addEventListener('submit', handleFormSubmit);
 
+        // Birth details follow the chosen service
+        form.elements.service.addEventListener('change', updateBirthFields);
+        form.elements.birth_time_unknown.addEventListener('change', updateBirthFields);
+        updateBirthFields();
+
         // Clear field errors on input
-        const fields = form.querySelectorAll('.form-input, .form-textarea, .form-select');
+        const fields = form.querySelectorAll('.form-input, .form-textarea, .form-select, .form-checkbox');
         fields.forEach(field => {
             field.addEventListener('focus', function() {
                 // Clear error for this specific field
@@ -186,8 +327,10 @@ async function handleFormSubmit(event) {
 
         clearTimeout(timeoutId); // Cancel timeout on response
 
-        // Handle network errors
-        if (!response.ok) {
+        // Error responses from the contact function still carry a JSON body;
+        // anything else (e.g. a platform error page) is a network-level failure
+        const isJson = (response.headers.get('Content-Type') || '').includes('application/json');
+        if (!response.ok && !isJson) {
             throw new Error(`Server error: ${response.status}`);
         }
 
@@ -205,8 +348,17 @@ async function handleFormSubmit(event) {
             // Reset form after short delay
             setTimeout(() => {
                 form.reset();
+                updateBirthFields();
             }, 500);
-        } else {
+            refreshFormToken();
+        } else if (response.status === 429) {
+            // Too many recent submissions
+            const retryAfter = result.retryAfter || parseInt(response.headers.get('Retry-After'), 10);
+            showFormMessage(getRateLimitMessage(retryAfter), 'error');
+        } else if (result.errors) {
+            // Field-level validation errors from the server
+            showFieldErrors(result.errors);
+        } else if (!showServerFieldError(result)) {
             // Error message from server
             showFormMessage(
                 result.error || 'An error occurred. Please try again.',
@@ -234,6 +386,7 @@ async function handleFormSubmit(event) {
         // Reset button
         submitBtn.textContent = 'Send Message';
         submitBtn.disabled = false;
+        resetTurnstile();
     }
 }
 
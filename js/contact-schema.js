@@ -0,0 +1,253 @@
+/**
+ * Dream the Wilderness - Contact Form Schema
+ * The single set of rules for contact form fields, shared by the browser
+ * (js/contact-form.js) and the server (functions/contact.js)
+ */
+
+/**
+ * Services offered in the form's dropdown, in display order
+ */
+export const CONTACT_SERVICES = [
+    'general inquiry',
+    'birth chart reading',
+    'Re-Rooting book',
+    'ecology of the zodiac series'
+];
+
+/**
+ * Service that asks for birth details
+ */
+export const BIRTH_CHART_SERVICE = 'birth chart reading';
+
+/**
+ * Field rules, checked in order. Each field may set:
+ *   when       - only applies when earlier fields hold these values; otherwise
+ *                it is ignored and left empty
+ *   required   - must be present (non-empty text, or a ticked checkbox)
+ *   type       - 'text' (default), 'email', 'checkbox', 'date' (YYYY-MM-DD),
+ *                'time' (HH:MM, 24-hour) or 'datetime' (a UTC ISO 8601 instant)
+ *   minLength / maxLength - length limits after trimming
+ *   min / max  - earliest and latest dates, 'today' meaning the current date
+ *   oneOf      - allowed values, matched case-insensitively
+ *   default    - value used when an optional field is left empty
+ *   messages   - error text per rule
+ */
+export const CONTACT_SCHEMA = {
+    name: {
+        required: true,
+        minLength: 2,
+        maxLength: 100,
+        messages: {
+            required: 'Name is required',
+            minLength: 'Name must be at least 2 characters (first and last name recommended)',
+            maxLength: 'Name must be 100 characters or fewer'
+        }
+    },
+    email: {
+        required: true,
+        type: 'email',
+        maxLength: 254,
+        messages: {
+            required: 'Email is required so we can respond to you',
+            type: 'Please enter a valid email address (e.g., name@example.com)',
+            maxLength: 'Email must be 254 characters or fewer'
+        }
+    },
+    service: {
+        oneOf: CONTACT_SERVICES,
+        default: 'general inquiry',
+        messages: {
+            oneOf: 'Please choose one of the listed services'
+        }
+    },
+    birth_date: {
+        when: { service: BIRTH_CHART_SERVICE },
+        required: true,
+        type: 'date',
+        min: '1800-01-01',
+        max: 'today',
+        messages: {
+            required: 'Birth date is required for a birth chart reading',
+            type: 'Please enter your birth date as YYYY-MM-DD',
+            min: 'Birth date must be after 1800',
+            max: 'Birth date can\'t be in the future'
+        }
+    },
+    birth_time_unknown: {
+        when: { service: BIRTH_CHART_SERVICE },
+        type: 'checkbox'
+    },
+    birth_time: {
+        when: { service: BIRTH_CHART_SERVICE, birth_time_unknown: false },
+        required: true,
+        type: 'time',
+        messages: {
+            required: 'Birth time is required - tick "I don\'t know my birth time" if you\'re not sure',
+            type: 'Please enter your birth time as HH:MM (24-hour)'
+        }
+    },
+    birth_place: {
+        when: { service: BIRTH_CHART_SERVICE },
+        required: true,
+        minLength: 2,
+        maxLength: 200,
+        messages: {
+            required: 'Birth place is required for a birth chart reading',
+            minLength: 'Please enter the town or city you were born in',
+            maxLength: 'Birth place must be 200 characters or fewer'
+        }
+    },
+    message: {
+        required: true,
+        minLength: 10,
+        maxLength: 5000,
+        messages: {
+            required: 'Message is required',
+            minLength: 'Message should be at least 10 characters to give us enough detail',
+            maxLength: 'Message must be 5,000 characters or fewer'
+        }
+    },
+    consent: {
+        required: true,
+        type: 'checkbox',
+        messages: {
+            required: 'Please agree to the privacy policy so your message can be stored'
+        }
+    }
+};
+
+/**
+ * Validate email format
+ * @param {string} email - Email to validate
+ * @returns {boolean} true if valid
+ */
+export function isValidEmail(email) {
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    return emailRegex.test(email);
+}
+
+/**
+ * Validate submitted values against the schema
+ * @param {Object} input - Raw values keyed by field name (strings, or booleans for checkboxes)
+ * @param {Object} [schema=CONTACT_SCHEMA] - Field rules
+ * @returns {{ values: Object, errors: Object }} Cleaned values, and one message per invalid field
+ */
+export function validateContact(input, schema = CONTACT_SCHEMA) {
+    const values = {};
+    const errors = {};
+
+    Object.entries(schema).forEach(([field, rules]) => {
+        const raw = input[field];
+
+        if (rules.when && !conditionsMet(rules.when, values)) {
+            values[field] = rules.type === 'checkbox' ? false : '';
+            return;
+        }
+
+        if (rules.type === 'checkbox') {
+            const checked = raw === true || raw === 'yes' || raw === 'on' || raw === 'true';
+            values[field] = checked;
+            if (rules.required && !checked) {
+                errors[field] = rules.messages.required;
+            }
+            return;
+        }
+
+        let value = typeof raw === 'string' ? raw.trim() : '';
+
+        if (!value) {
+            if (rules.required) {
+                errors[field] = rules.messages.required;
+            }
+            values[field] = rules.default || '';
+            return;
+        }
+
+        if (rules.minLength && value.length < rules.minLength) {
+            errors[field] = rules.messages.minLength;
+        } else if (rules.maxLength && value.length > rules.maxLength) {
+            errors[field] = rules.messages.maxLength;
+        } else if (rules.type === 'email' && !isValidEmail(value)) {
+            errors[field] = rules.messages.type;
+        } else if (rules.type === 'date' && !isValidDate(value)) {
+            errors[field] = rules.messages.type;
+        } else if (rules.type === 'time' && !isValidTime(value)) {
+            errors[field] = rules.messages.type;
+        } else if (rules.type === 'datetime' && !isValidDateTime(value)) {
+            errors[field] = rules.messages.type;
+        } else if (rules.min && value < resolveDateLimit(rules.min)) {
+            errors[field] = rules.messages.min;
+        } else if (rules.max && value > resolveDateLimit(rules.max)) {
+            errors[field] = rules.messages.max;
+        } else if (rules.oneOf) {
+            // Store the canonical spelling, whatever case was sent
+            const match = rules.oneOf.find(option => option.toLowerCase() === value.toLowerCase());
+            if (match) {
+                value = match;
+            } else {
+                errors[field] = rules.messages.oneOf;
+            }
+        }
+
+        values[field] = value;
+    });
+
+    return { values, errors };
+}
+
+/**
+ * Check a field's `when` conditions against the values validated so far
+ * @param {Object} conditions - Expected values keyed by field name
+ * @param {Object} values - Cleaned values of earlier fields
+ * @returns {boolean} true if every condition holds
+ */
+function conditionsMet(conditions, values) {
+    return Object.entries(conditions).every(([field, expected]) => values[field] === expected);
+}
+
+/**
+ * Validate a calendar date written as YYYY-MM-DD
+ * @param {string} value - Date to validate
+ * @returns {boolean} true if the date exists
+ */
+export function isValidDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (!match) {
+        return false;
+    }
+    const [year, month, day] = match.slice(1).map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * Validate a 24-hour time written as HH:MM (seconds, as some browsers send, are allowed)
+ * @param {string} value - Time to validate
+ * @returns {boolean} true if valid
+ */
+export function isValidTime(value) {
+    return /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(value);
+}
+
+/**
+ * Validate a UTC instant in ISO 8601 form, e.g. 2026-11-03T16:00:00.000Z
+ * @param {string} value - Date and time to validate
+ * @returns {boolean} true if valid
+ */
+export function isValidDateTime(value) {
+    const match = /^(\d{4}-\d{2}-\d{2})T([01]\d|2[0-3]):[0-5]\d(:[0-5]\d(\.\d{1,3})?)?Z$/.exec(value);
+    return Boolean(match) && isValidDate(match[1]);
+}
+
+/**
+ * Turn a `min` / `max` date rule into a YYYY-MM-DD string
+ * @param {string} limit - A date, or 'today'
+ * @returns {string} Date to compare against
+ */
+function resolveDateLimit(limit) {
+    if (limit !== 'today') {
+        return limit;
+    }
+    // A day ahead of UTC, so the date is never "in the future" anywhere on Earth
+    return new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
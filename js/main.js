@@ -2,13 +2,98 @@
  * Dream the Wilderness - Main Navigation & DOM Management
  * Handles section navigation, mobile menu, and page initialization
  * Uses event delegation for better maintainability and performance
+ *
+ * Each section has its own path (/blog, /reading, ...; see js/routes.js),
+ * kept in the address bar with the History API. Older #section links still
+ * open the right section and are swapped for its path
  */
 
+import { ROUTES, SITE_ORIGIN, resolveRoute, routeFromPath, pathForRoute } from './routes.js';
+
+/**
+ * Check whether a route name points at a section on this page
+ * @param {string} sectionName - Route name from the URL
+ * @returns {boolean}
+ */
+function isKnownRoute(sectionName) {
+    if (!sectionName) return false;
+    const route = resolveRoute(sectionName);
+    if (!route) return false;
+    const section = document.getElementById(route.sectionId);
+    return Boolean(section && section.classList.contains('content-section'));
+}
+
+/**
+ * Work out which route the current URL shows. An old-style "#about" hash
+ * wins over the path, since it's what the link meant
+ * @returns {string} Route name
+ */
+function currentRoute() {
+    const hash = window.location.hash.substring(1);
+    if (isKnownRoute(hash)) {
+        return hash;
+    }
+
+    const fromPath = routeFromPath(window.location.pathname);
+    return isKnownRoute(fromPath) ? fromPath : 'home';
+}
+
+/**
+ * Point the page title, meta description and canonical link at a route.
+ * Blog posts set their own once they've loaded
+ * @param {string} sectionName - Route name
+ */
+function updateRouteMeta(sectionName) {
+    const route = resolveRoute(sectionName);
+    const meta = ROUTES[route.name];
+
+    document.title = meta.title;
+    if (route.sectionId === 'blog-post') {
+        return;
+    }
+
+    const description = document.querySelector('meta[name="description"]');
+    if (description) {
+        description.setAttribute('content', meta.description);
+    }
+
+    const canonical = document.querySelector('link[rel="canonical"]');
+    if (canonical) {
+        canonical.setAttribute('href', `${SITE_ORIGIN}${pathForRoute(sectionName)}`);
+    }
+}
+
+/**
+ * Move focus to a section's heading and announce the new page, as a full
+ * page load would for screen reader users
+ * @param {HTMLElement} section - Section that was just shown
+ */
+function focusSection(section) {
+    const heading = section.querySelector('h1');
+    if (heading) {
+        if (!heading.hasAttribute('tabindex')) {
+            heading.setAttribute('tabindex', '-1');
+        }
+        heading.focus({ preventScroll: true });
+    }
+
+    const announcer = document.getElementById('routeAnnouncer');
+    if (announcer) {
+        announcer.textContent = document.title;
+    }
+}
+
 /**
  * Show a content section and hide others
- * @param {string} sectionName - ID of the section to show
+ * @param {string} sectionName - Route name of the section to show
+ * @param {Object} [options]
+ * @param {boolean} [options.updateHistory=true] - Push a history entry (false for back/forward and page load)
+ * @param {boolean} [options.moveFocus=true] - Focus the section heading (false on page load)
  */
-function showSection(sectionName) {
+function showSection(sectionName, options = {}) {
+    const { updateHistory = true, moveFocus = true } = options;
+    const route = resolveRoute(sectionName);
+
     // Hide all sections
     const sections = document.querySelectorAll('.content-section');
     sections.forEach(section => {
@@ -16,7 +101,7 @@ function showSection(sectionName) {
     });
 
     // Show target section
-    const targetSection = document.getElementById(sectionName);
+    const targetSection = document.getElementById(route.sectionId);
     if (targetSection) {
         targetSection.classList.add('active');
     }
@@ -28,7 +113,7 @@ function showSection(sectionName) {
     });
 
     // Find and activate the corresponding nav link
-    const activeLink = document.querySelector(`[data-section="${sectionName}"]`);
+    const activeLink = document.querySelector(`[data-section="${route.navSection}"]`);
     if (activeLink) {
         activeLink.classList.add('active');
     }
@@ -39,23 +124,53 @@ function showSection(sectionName) {
         navLinksContainer.classList.remove('active');
     }
 
-    // Update URL hash for browser history and shareable links
-    window.history.pushState(
-        { section: sectionName },
-        `Dream the Wilderness - ${sectionName.charAt(0).toUpperCase() + sectionName.slice(1)}`,
-        `#${sectionName}`
-    );
+    // Give the section its own URL for browser history and shareable links
+    if (updateHistory) {
+        window.history.pushState({ section: sectionName }, '', pathForRoute(sectionName));
+    }
+
+    updateRouteMeta(sectionName);
+
+    // Open the requested post in the reader view; it focuses the post's
+    // title itself once it has loaded
+    if (route.sectionId === 'blog-post') {
+        loadBlogPost(route.param);
+    } else {
+        resetBlogReader();
+        if (moveFocus && targetSection) {
+            focusSection(targetSection);
+        }
+    }
+
+    if (route.sectionId === 'payment') {
+        showPaymentResult(route.param);
+    }
 
     // Scroll to top
     window.scrollTo(0, 0);
 }
 
+/**
+ * Show the message for a Checkout result ("success" or "cancelled")
+ * @param {string|null} result - Result from the "payment/<result>" route
+ */
+function showPaymentResult(result) {
+    document.querySelectorAll('[data-payment-result]').forEach(block => {
+        block.hidden = block.dataset.paymentResult !== (result === 'success' ? 'success' : 'cancelled');
+    });
+}
+
 /**
  * Setup navigation link delegation
  * Handles clicks on all links with data-section attribute
  */
 function setupNavigationDelegation() {
     document.addEventListener('click', function(event) {
+        // Let the browser open links in a new tab or window as usual
+        if (event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+            return;
+        }
+
         // Check if clicked element or its parent has data-section attribute
         let target = event.target;
         while (target && target !== document) {
@@ -110,8 +225,44 @@ function setupMobileMenuClickHandler() {
 function setupPopstateHandler() {
     window.addEventListener('popstate', function(event) {
         if (event.state && event.state.section) {
-            showSection(event.state.section);
+            // The browser already moved through history; don't push again
+            showSection(event.state.section, { updateHistory: false });
+            return;
         }
+
+        // An old-style "#about" hash typed or followed on the page
+        const hash = window.location.hash.substring(1);
+        if (isKnownRoute(hash)) {
+            showSection(hash, { updateHistory: false });
+            window.history.replaceState({ section: hash }, '', pathForRoute(hash));
+        }
+    });
+}
+
+/**
+ * Fade in cards, heroes and .fade-in-element blocks as they scroll into view
+ */
+function setupScrollAnimations() {
+    const observerOptions = {
+        threshold: 0.1,
+        rootMargin: '0px 0px -50px 0px'
+    };
+
+    const fadeInObserver = new IntersectionObserver(function(entries) {
+        entries.forEach(entry => {
+            if (entry.isIntersecting) {
+                entry.target.classList.add('visible');
+            }
+        });
+    }, observerOptions);
+
+    document.querySelectorAll('.service-card, .fade-in-element').forEach(element => {
+        fadeInObserver.observe(element);
+    });
+
+    document.querySelectorAll('.hero').forEach(hero => {
+        hero.classList.add('fade-in-element');
+        fadeInObserver.observe(hero);
     });
 }
 
@@ -124,33 +275,29 @@ document.addEventListener('DOMContentLoaded', function() {
     setupMobileMenuToggle();
     setupMobileMenuClickHandler();
     setupPopstateHandler();
+    setupScrollAnimations();
 
-    // Check for hash in URL on initial load
-    const hash = window.location.hash.substring(1);
-    const initialSection = (hash && document.getElementById(hash)) ? hash : 'home';
-
-    // Set initial section (without adding to history since it's page load)
-    const sections = document.querySelectorAll('.content-section');
-    sections.forEach(section => {
-        section.classList.remove('active');
-    });
-
-    const targetSection = document.getElementById(initialSection);
-    if (targetSection) {
-        targetSection.classList.add('active');
-    }
-
-    // Update nav link highlight for initial section
-    const navLinks = document.querySelectorAll('[data-section]');
-    navLinks.forEach(link => {
-        link.classList.remove('active');
-    });
+    // Set initial section (without adding to history since it's page load),
+    // but record it so back/forward can return to this entry. A "#section"
+    // link becomes its path; other hashes are in-page anchors and stay
+    const initialSection = currentRoute();
+    const hash = isKnownRoute(window.location.hash.substring(1)) ? '' : window.location.hash;
+    showSection(initialSection, { updateHistory: false, moveFocus: false });
+    window.history.replaceState(
+        { section: initialSection },
+        '',
+        `${pathForRoute(initialSection)}${window.location.search}${hash}`
+    );
 
-    const activeLink = document.querySelector(`[data-section="${initialSection}"]`);
-    if (activeLink) {
-        activeLink.classList.add('active');
+    // showSection scrolled to the top; go on to the anchor, e.g. "/#guide"
+    // from an expired download link
+    const anchor = hash ? document.getElementById(hash.substring(1)) : null;
+    if (anchor) {
+        anchor.scrollIntoView();
     }
 
     // Load blog posts
+    setupBlogLoadMore();
+    setupBlogRetry();
     loadSubstackPosts();
 });
@@ -0,0 +1,88 @@
+/**
+ * Dream the Wilderness - Privacy Requests
+ * Sends data export and erasure requests from the privacy section.
+ * Both only ask the server to email a confirmation link; nothing is
+ * returned or erased until that link is opened
+ */
+
+import { isValidEmail } from './contact-schema.js';
+
+const PRIVACY_ENDPOINTS = {
+    export: '/api/privacy/export',
+    delete: '/api/privacy/delete'
+};
+
+/**
+ * Show the result of a privacy request
+ * @param {string} message - Message text
+ * @param {string} type - 'success' or 'error'
+ */
+function showPrivacyMessage(message, type) {
+    const messageDiv = document.getElementById('privacyMessage');
+    messageDiv.textContent = message;
+    messageDiv.classList.remove('success', 'error');
+    messageDiv.classList.add(type);
+}
+
+/**
+ * Handle privacy form submission - the clicked button's value picks the request
+ * @param {SubmitEvent} event - Form submit event
+ */
+async function handlePrivacySubmit(event) {
+    event.preventDefault();
+
+    const form = event.target;
+    const action = event.submitter && event.submitter.value === 'delete' ? 'delete' : 'export';
+    const emailInput = form.elements.email;
+    const errorSpan = document.getElementById('privacy-email-error');
+    const email = emailInput.value.trim();
+
+    emailInput.classList.remove('error');
+    errorSpan.textContent = '';
+    errorSpan.classList.remove('show');
+
+    if (!isValidEmail(email)) {
+        emailInput.classList.add('error');
+        errorSpan.textContent = 'Please enter a valid email address (e.g., name@example.com)';
+        errorSpan.classList.add('show');
+        return;
+    }
+
+    const buttons = form.querySelectorAll('button');
+    buttons.forEach(button => {
+        button.disabled = true;
+    });
+
+    try {
+        const response = await fetch(PRIVACY_ENDPOINTS[action], {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ email })
+        });
+        const result = await response.json().catch(() => ({}));
+
+        if (response.ok && result.status === 'ok') {
+            showPrivacyMessage(result.message, 'success');
+            form.reset();
+        } else {
+            showPrivacyMessage(result.message || 'Something went wrong. Please try again, or email hello@dreamthewilderness.com.', 'error');
+        }
+    } catch (error) {
+        console.error('Privacy request error:', error);
+        showPrivacyMessage('Network error: Unable to connect. Please check your internet connection and try again.', 'error');
+    } finally {
+        buttons.forEach(button => {
+            button.disabled = false;
+        });
+    }
+}
+
+/**
+ * Initialize privacy form on DOM ready
+ */
+document.addEventListener('DOMContentLoaded', function() {
+    const form = document.getElementById('privacyForm');
+    if (form) {
+        form.addEventListener('submit', handlePrivacySubmit);
+    }
+});
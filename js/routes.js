@@ -0,0 +1,92 @@
+/**
+ * Dream the Wilderness - Routes
+ * The paths, titles and descriptions of the site's sections, shared by the
+ * browser's router (js/main.js) and the server
+ */
+
+/**
+ * Live site origin, used for canonical links
+ */
+export const SITE_ORIGIN = 'https://dreamthewilderness.com';
+
+/**
+ * Top-level routes by name. The name is also the id of the section element
+ * that shows the route
+ */
+export const ROUTES = {
+    home: {
+        title: 'Dream the Wilderness | Courtney Chandrea',
+        description: 'exploring perception and imagination within the living cosmos. birth chart readings, Re-Rooting ebook, and the ecology of the zodiac essay series by Courtney Chandrea.'
+    },
+    blog: {
+        title: 'wilderness reflections | Dream the Wilderness',
+        description: 'thoughts, musings, and wisdom from the borderlands between earth and sky'
+    },
+    reading: {
+        title: 'book a reading | Dream the Wilderness',
+        description: 'connect with the wisdom of the stars and planets to illuminate your path'
+    },
+    about: {
+        title: 'about | Dream the Wilderness',
+        description: 'Courtney Chandrea is a writer, animist, and consulting Hellenistic astrologer exploring perception and imagination within the living cosmos.'
+    },
+    contact: {
+        title: 'connect | Dream the Wilderness',
+        description: 'ready to begin your journey?'
+    },
+    privacy: {
+        title: 'privacy | Dream the Wilderness',
+        description: 'what happens to the things you share here'
+    },
+    payment: {
+        title: 'payment | Dream the Wilderness',
+        description: 'connect with the wisdom of the stars and planets to illuminate your path'
+    }
+};
+
+/**
+ * Map a route name to the section element that displays it
+ * Sub-routes such as "blog/<slug>" open a view inside the blog; "payment/<result>"
+ * is where Stripe Checkout sends visitors back to
+ * @param {string} routeName - Route name, e.g. "about" or "blog/libra-as-ecology"
+ * @returns {{ name: string, sectionId: string, navSection: string, param: (string|null) }|null}
+ *     null when there's no such route
+ */
+export function resolveRoute(routeName) {
+    const [baseSection, param, ...rest] = String(routeName || '').split('/');
+    if (!Object.prototype.hasOwnProperty.call(ROUTES, baseSection) || rest.length > 0) {
+        return null;
+    }
+
+    if (baseSection === 'blog' && param) {
+        return { name: baseSection, sectionId: 'blog-post', navSection: 'blog', param: param };
+    }
+
+    if (baseSection === 'payment') {
+        return { name: baseSection, sectionId: 'payment', navSection: 'reading', param: param || null };
+    }
+
+    if (param) {
+        return null;
+    }
+    return { name: baseSection, sectionId: baseSection, navSection: baseSection, param: null };
+}
+
+/**
+ * Get the route name for a URL path
+ * @param {string} pathname - Path such as "/about" or "/blog/libra-as-ecology/"
+ * @returns {string|null} Route name, or null for paths that aren't routes
+ */
+export function routeFromPath(pathname) {
+    const routeName = String(pathname || '/').replace(/^\/+|\/+$/g, '') || 'home';
+    return resolveRoute(routeName) ? routeName : null;
+}
+
+/**
+ * Get the URL path for a route name
+ * @param {string} routeName - Route name, e.g. "home" or "blog/libra-as-ecology"
+ * @returns {string} Path, e.g. "/" or "/blog/libra-as-ecology"
+ */
+export function pathForRoute(routeName) {
+    return routeName === 'home' ? '/' : `/${routeName}`;
+}
@@ -0,0 +1,19 @@
+/**
+ * Dream the Wilderness - Guide Signup Schema
+ * Field rules for the quick guide signup form, shared by the browser
+ * (js/subscribe.js) and the server (functions/api/subscribe.js) and checked
+ * with validateContact() from contact-schema.js
+ */
+
+import { CONTACT_SCHEMA } from './contact-schema.js';
+
+export const SUBSCRIBE_SCHEMA = {
+    email: CONTACT_SCHEMA.email,
+    consent: {
+        required: true,
+        type: 'checkbox',
+        messages: {
+            required: 'Please agree to the privacy policy so we can send you the guide'
+        }
+    }
+};
@@ -0,0 +1,143 @@
+/**
+ * Dream the Wilderness - Guide Signup
+ * Posts the quick guide signup form to /api/subscribe, which emails a link
+ * to confirm the address before the guide is sent
+ */
+
+import { validateContact } from './contact-schema.js';
+import { SUBSCRIBE_SCHEMA } from './subscribe-schema.js';
+
+/**
+ * Show a message under the signup form
+ * @param {string} message - Message text
+ * @param {string} type - 'success' or 'error'
+ */
+function showSubscribeMessage(message, type) {
+    const messageDiv = document.getElementById('subscribeMessage');
+    messageDiv.textContent = message;
+    messageDiv.classList.remove('success', 'error');
+    messageDiv.classList.add(type);
+}
+
+/**
+ * Show one error per field, or clear them all when given no errors.
+ * Signup fields are prefixed "subscribe-" so their IDs don't clash with the
+ * other forms'
+ * @param {Object} errors - Map of schema field -> message
+ */
+function showSubscribeErrors(errors) {
+    Object.keys(SUBSCRIBE_SCHEMA).forEach(field => {
+        const input = document.getElementById(`subscribe-${field}`);
+        const errorSpan = document.getElementById(`subscribe-${field}-error`);
+        const message = errors[field] || '';
+        if (input) {
+            input.classList.toggle('error', Boolean(message));
+        }
+        if (errorSpan) {
+            errorSpan.textContent = message;
+            errorSpan.classList.toggle('show', Boolean(message));
+        }
+    });
+}
+
+/**
+ * Record where the visitor came from, for attribution: UTM tags on the page
+ * URL and the referring site (host only)
+ * @param {HTMLFormElement} form - The signup form
+ */
+function fillAttribution(form) {
+    const params = new URLSearchParams(window.location.search);
+    ['utm_source', 'utm_medium', 'utm_campaign'].forEach(field => {
+        form.elements[field].value = params.get(field) || '';
+    });
+
+    try {
+        const referrer = document.referrer ? new URL(document.referrer) : null;
+        form.elements.referrer.value = referrer && referrer.host !== window.location.host ? referrer.host : '';
+    } catch (error) {
+        form.elements.referrer.value = '';
+    }
+}
+
+/**
+ * Fetch a signed render-time token for the spam timing check
+ * @param {HTMLFormElement} form - The signup form
+ */
+async function refreshSubscribeToken(form) {
+    try {
+        const response = await fetch('/api/subscribe', { cache: 'no-store' });
+        if (!response.ok) {
+            throw new Error(`Server error: ${response.status}`);
+        }
+        const result = await response.json();
+        form.elements.form_token.value = result.formToken || '';
+    } catch (error) {
+        // The signup still goes through without one, it just scores higher
+        console.warn('Could not fetch form token:', error);
+    }
+}
+
+/**
+ * Handle signup form submission
+ * @param {SubmitEvent} event - Form submit event
+ */
+async function handleSubscribeSubmit(event) {
+    event.preventDefault();
+
+    const form = event.target;
+    const { errors } = validateContact({
+        email: form.elements.email.value,
+        consent: form.elements.consent.checked
+    }, SUBSCRIBE_SCHEMA);
+    showSubscribeErrors(errors);
+    if (Object.keys(errors).length > 0) {
+        return;
+    }
+
+    const submitBtn = form.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'sending...';
+
+    try {
+        const response = await fetch('/api/subscribe', {
+            method: 'POST',
+            body: new FormData(form)
+        });
+        const result = await response.json().catch(() => ({}));
+
+        if (response.ok && result.status === 'ok') {
+            showSubscribeMessage(result.message, 'success');
+            form.reset();
+            fillAttribution(form);
+            refreshSubscribeToken(form);
+        } else if (result.errors) {
+            showSubscribeErrors(result.errors);
+        } else {
+            showSubscribeMessage(result.message || 'Something went wrong. Please try again.', 'error');
+        }
+    } catch (error) {
+        console.error('Signup error:', error);
+        showSubscribeMessage('Network error: Unable to connect. Please check your internet connection and try again.', 'error');
+    } finally {
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'send me the guide';
+        // Turnstile tokens are single-use
+        if (window.turnstile && document.getElementById('subscribe-turnstile')) {
+            window.turnstile.reset('#subscribe-turnstile');
+        }
+    }
+}
+
+/**
+ * Initialize the signup form on DOM ready
+ */
+document.addEventListener('DOMContentLoaded', function() {
+    const form = document.getElementById('subscribeForm');
+    if (!form) {
+        return;
+    }
+
+    fillAttribution(form);
+    refreshSubscribeToken(form);
+    form.addEventListener('submit', handleSubscribeSubmit);
+});
@@ -0,0 +1,10 @@
+-- Claims on reading slots (see functions/_lib/bookings.js). The primary key
+-- is what makes a claim atomic: only one insert per start time succeeds.
+-- Apply with: wrangler d1 migrations apply BOOKINGS_DB
+CREATE TABLE IF NOT EXISTS slot_claims (
+  start TEXT PRIMARY KEY,      -- slot start, UTC ISO string
+  booking_id TEXT NOT NULL,    -- booking_<start ms>_<id> in BOOKINGS_KV
+  expires_at INTEGER NOT NULL  -- ms since epoch; a day after the session
+);
+
+CREATE INDEX IF NOT EXISTS slot_claims_expires_at ON slot_claims (expires_at);
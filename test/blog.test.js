@@ -0,0 +1,58 @@
+// test/blog.test.js
+// Filters and cursors in functions/api/blog.js, served from a cached feed.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { onRequestGet } from '../functions/api/blog.js';
+
+const ITEMS = [
+  { title: 'winter solstice', link: 'https://dreamthewilderness.substack.com/p/solstice', timestamp: Date.parse('2026-12-21T18:00:00Z') },
+  { title: '✦ reading the stars', link: 'https://dreamthewilderness.substack.com/p/✦-reading-the-stars', timestamp: Date.parse('2026-12-10T23:30:00Z') },
+  { title: 'saturn returns', link: 'https://dreamthewilderness.substack.com/p/saturn', timestamp: Date.parse('2026-12-10T09:00:00Z') },
+  { title: 'new moon', link: 'https://dreamthewilderness.substack.com/p/new-moon', timestamp: Date.parse('2026-12-01T12:00:00Z') }
+].map(item => ({ description: '', categories: [], ...item }));
+
+// A BLOG_CACHE whose fresh copy always hits, so Substack is never fetched
+const env = {
+  BLOG_CACHE: {
+    async get(key, type) {
+      if (key !== 'blog_feed_cache') return null;
+      const feed = { items: ITEMS, updatedAt: new Date().toISOString() };
+      return type === 'json' ? feed : JSON.stringify(feed);
+    }
+  }
+};
+
+async function getPosts(query) {
+  const request = new Request(`https://dreamthewilderness.com/api/blog?${query}`);
+  const response = await onRequestGet({ request, env, waitUntil() {} });
+  return { status: response.status, body: await response.json() };
+}
+
+test('a bare until date includes posts from that whole day', async () => {
+  const { status, body } = await getPosts('since=2026-12-10&until=2026-12-10');
+  assert.equal(status, 200);
+  assert.deepEqual(body.items.map(item => item.title), ['✦ reading the stars', 'saturn returns']);
+});
+
+test('an until time is used as given', async () => {
+  const { body } = await getPosts('until=2026-12-10T12:00:00Z');
+  assert.deepEqual(body.items.map(item => item.title), ['saturn returns', 'new moon']);
+});
+
+test('cursors page past posts whose links are not Latin-1', async () => {
+  const first = await getPosts('limit=2');
+  assert.equal(first.status, 200);
+  assert.deepEqual(first.body.items.map(item => item.title), ['winter solstice', '✦ reading the stars']);
+  assert.ok(first.body.nextCursor);
+
+  const second = await getPosts(`limit=2&cursor=${first.body.nextCursor}`);
+  assert.equal(second.status, 200);
+  assert.deepEqual(second.body.items.map(item => item.title), ['saturn returns', 'new moon']);
+  assert.equal(second.body.nextCursor, null);
+});
+
+test('rejects a cursor that does not decode', async () => {
+  const { status } = await getPosts('cursor=not-a-cursor');
+  assert.equal(status, 400);
+});
@@ -0,0 +1,159 @@
+// test/bookings.test.js
+// Slot generation and claims in functions/_lib/bookings.js. Times are in
+// America/Chicago, which moves to CDT on 2026-03-08 and back to CST on
+// 2026-11-01.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { openSlots, isOfferedSlot, claimSlot } from '../functions/_lib/bookings.js';
+
+function rulesWith(overrides) {
+  return {
+    timeZone: 'America/Chicago',
+    weekly: {},
+    blackouts: [],
+    minNoticeHours: 0,
+    horizonDays: 365,
+    ...overrides
+  };
+}
+
+function slotsBetween(rules, from, until, now = Date.parse('2026-01-01T00:00:00Z')) {
+  return openSlots(rules, new Set(), { fromMs: Date.parse(from), untilMs: Date.parse(until), now });
+}
+
+const starts = slots => slots.map(slot => slot.start);
+
+// Just enough of a D1 database for claimSlot: slot_claims rows by start time
+function memoryD1() {
+  const claims = new Map();
+  const run = ({ sql, args }) => {
+    if (sql.startsWith('DELETE FROM slot_claims WHERE expires_at <= ?')) {
+      let changes = 0;
+      for (const [start, row] of claims) {
+        if (row.expires_at <= args[0]) {
+          claims.delete(start);
+          changes++;
+        }
+      }
+      return { meta: { changes } };
+    }
+    if (sql.startsWith('INSERT OR IGNORE INTO slot_claims')) {
+      const [start, bookingId, expiresAt] = args;
+      if (claims.has(start)) return { meta: { changes: 0 } };
+      claims.set(start, { booking_id: bookingId, expires_at: expiresAt });
+      return { meta: { changes: 1 } };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+  return {
+    claims,
+    prepare(sql) {
+      return { bind: (...args) => ({ sql, args }) };
+    },
+    async batch(statements) {
+      return statements.map(run);
+    }
+  };
+}
+
+test('skips the hour the clocks jump over when DST starts', () => {
+  const rules = rulesWith({ weekly: { sunday: [{ start: '01:00', end: '05:00' }] } });
+  const slots = slotsBetween(rules, '2026-03-08T00:00:00Z', '2026-03-09T00:00:00Z');
+
+  // 01:00 CST, then 03:00 and 04:00 CDT - 02:00 never happens
+  assert.deepEqual(slots, [
+    { start: '2026-03-08T07:00:00.000Z', end: '2026-03-08T08:00:00.000Z' },
+    { start: '2026-03-08T08:00:00.000Z', end: '2026-03-08T09:00:00.000Z' },
+    { start: '2026-03-08T09:00:00.000Z', end: '2026-03-08T10:00:00.000Z' }
+  ]);
+  assert.equal(isOfferedSlot(rules, '2026-03-08T08:00:00.000Z', Date.parse('2026-01-01T00:00:00Z')), true);
+});
+
+test('offers the repeated hour once when DST ends', () => {
+  const rules = rulesWith({ weekly: { sunday: [{ start: '00:00', end: '04:00' }] } });
+  const slots = slotsBetween(rules, '2026-11-01T00:00:00Z', '2026-11-02T00:00:00Z');
+
+  // 00:00 and 01:00 CDT, then 02:00 and 03:00 CST; the second 01:00 isn't offered
+  assert.deepEqual(starts(slots), [
+    '2026-11-01T05:00:00.000Z',
+    '2026-11-01T06:00:00.000Z',
+    '2026-11-01T08:00:00.000Z',
+    '2026-11-01T09:00:00.000Z'
+  ]);
+  assert.equal(isOfferedSlot(rules, '2026-11-01T07:00:00.000Z', Date.parse('2026-01-01T00:00:00Z')), false);
+});
+
+test('blackouts cover every day from `from` through `to`', () => {
+  const rules = rulesWith({
+    weekly: { tuesday: [{ start: '10:00', end: '11:00' }] },
+    blackouts: [{ from: '2026-11-10', to: '2026-11-17' }]
+  });
+  const slots = slotsBetween(rules, '2026-11-01T00:00:00Z', '2026-11-30T00:00:00Z');
+
+  assert.deepEqual(starts(slots), ['2026-11-03T16:00:00.000Z', '2026-11-24T16:00:00.000Z']);
+  assert.equal(isOfferedSlot(rules, '2026-11-17T16:00:00.000Z', Date.parse('2026-11-01T00:00:00Z')), false);
+});
+
+test('a blackout without `to` covers just its `from` day', () => {
+  const rules = rulesWith({
+    weekly: { tuesday: [{ start: '10:00', end: '11:00' }] },
+    blackouts: [{ from: '2026-11-10' }]
+  });
+  const slots = slotsBetween(rules, '2026-11-01T00:00:00Z', '2026-11-20T00:00:00Z');
+
+  assert.deepEqual(starts(slots), ['2026-11-03T16:00:00.000Z', '2026-11-17T16:00:00.000Z']);
+});
+
+test('clips slots to the notice period and the horizon', () => {
+  const daily = [{ start: '10:00', end: '12:00' }];
+  const rules = rulesWith({
+    weekly: { monday: daily, tuesday: daily, wednesday: daily, thursday: daily, friday: daily },
+    minNoticeHours: 24,
+    horizonDays: 3
+  });
+  // Monday 2026-11-02, 10:30 CST
+  const now = Date.parse('2026-11-02T16:30:00Z');
+  const slots = slotsBetween(rules, '2026-11-01T00:00:00Z', '2026-12-01T00:00:00Z', now);
+
+  assert.deepEqual(starts(slots), [
+    '2026-11-03T17:00:00.000Z',
+    '2026-11-04T16:00:00.000Z',
+    '2026-11-04T17:00:00.000Z',
+    '2026-11-05T16:00:00.000Z'
+  ]);
+  assert.equal(isOfferedSlot(rules, '2026-11-03T16:00:00.000Z', now), false);
+  assert.equal(isOfferedSlot(rules, '2026-11-03T17:00:00.000Z', now), true);
+  assert.equal(isOfferedSlot(rules, '2026-11-05T17:00:00.000Z', now), false);
+});
+
+test('leaves out slots that are already booked', () => {
+  const rules = rulesWith({ weekly: { tuesday: [{ start: '10:00', end: '12:00' }] } });
+  const booked = new Set(['2026-11-03T16:00:00.000Z']);
+  const slots = openSlots(rules, booked, {
+    fromMs: Date.parse('2026-11-03T00:00:00Z'),
+    untilMs: Date.parse('2026-11-04T00:00:00Z'),
+    now: Date.parse('2026-11-01T00:00:00Z')
+  });
+
+  assert.deepEqual(starts(slots), ['2026-11-03T17:00:00.000Z']);
+});
+
+test('only the first claim on a start time wins', async () => {
+  const db = memoryD1();
+  const start = '2026-11-03T16:00:00.000Z';
+  const now = Date.parse('2026-11-01T00:00:00Z');
+
+  assert.equal(await claimSlot(db, start, 'booking_a', now), true);
+  assert.equal(await claimSlot(db, start, 'booking_b', now), false);
+  assert.equal(db.claims.get(start).booking_id, 'booking_a');
+});
+
+test('a lapsed claim no longer holds the slot', async () => {
+  const db = memoryD1();
+  const start = '2026-11-03T16:00:00.000Z';
+
+  assert.equal(await claimSlot(db, start, 'booking_a', Date.parse('2026-11-01T00:00:00Z')), true);
+  assert.equal(await claimSlot(db, start, 'booking_b', Date.parse('2026-11-05T00:00:00Z')), true);
+  assert.equal(db.claims.get(start).booking_id, 'booking_b');
+});
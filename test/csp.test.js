@@ -0,0 +1,31 @@
+// test/csp.test.js
+// The Content Security Policy in functions/_lib/csp.js against the embeds
+// the post sanitizer keeps.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HTMLRewriter } from '@miniflare/html-rewriter';
+
+globalThis.HTMLRewriter = HTMLRewriter;
+const { buildPolicy } = await import('../functions/_lib/csp.js');
+const { APPROVED_EMBEDS } = await import('../functions/_lib/embeds.js');
+const { sanitizeHtml } = await import('../functions/_lib/sanitize-html.js');
+
+function frameSources() {
+  const directive = buildPolicy('nonce').split('; ').find(part => part.startsWith('frame-src '));
+  return directive.split(' ').slice(1);
+}
+
+test('frame-src allows Turnstile', () => {
+  assert.ok(frameSources().includes('https://challenges.cloudflare.com'));
+});
+
+test('frame-src allows every embed the sanitizer keeps', async () => {
+  const sources = frameSources();
+  for (const { origin, path } of APPROVED_EMBEDS) {
+    const src = `${origin}${path}abc`;
+    const kept = await sanitizeHtml(`<iframe src="${src}"></iframe>`);
+    assert.match(kept, /^<iframe /, `${src} should survive sanitizing`);
+    assert.ok(sources.includes(new URL(src).origin), `${origin} should be in frame-src`);
+  }
+});
@@ -0,0 +1,93 @@
+// test/sanitize-html.test.js
+// Input/output cases for functions/_lib/sanitize-html.js, run on Miniflare's
+// build of the same HTMLRewriter the Workers runtime uses.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HTMLRewriter } from '@miniflare/html-rewriter';
+
+globalThis.HTMLRewriter = HTMLRewriter;
+const { sanitizeHtml, countWords, readingTimeMinutes } = await import('../functions/_lib/sanitize-html.js');
+
+test('keeps allowed markup', async () => {
+  assert.equal(
+    await sanitizeHtml('<p>a <strong>bold</strong> <em>move</em></p><ul><li>one</li></ul>'),
+    '<p>a <strong>bold</strong> <em>move</em></p><ul><li>one</li></ul>'
+  );
+});
+
+test('drops scripts and styles with their contents', async () => {
+  assert.equal(await sanitizeHtml('<p>a</p><script>alert(1)</script><style>p{}</style>'), '<p>a</p>');
+});
+
+test('unwraps unknown elements but keeps their text', async () => {
+  assert.equal(await sanitizeHtml('<article><p>kept</p></article>'), '<p>kept</p>');
+});
+
+test('strips event handlers and unknown attributes', async () => {
+  assert.equal(
+    await sanitizeHtml('<p onclick="alert(1)" class="x" title="t">a</p>'),
+    '<p title="t">a</p>'
+  );
+});
+
+test('removes javascript: and data: URLs', async () => {
+  assert.equal(await sanitizeHtml('<a href="javascript:alert(1)">x</a>'), '<a>x</a>');
+  assert.equal(await sanitizeHtml('<a href=" java\tscript:alert(1)">x</a>'), '<a>x</a>');
+  assert.equal(await sanitizeHtml('<img src="data:image/svg+xml,<svg onload=alert(1)>">'), '');
+});
+
+test('opens external links in a new tab without an opener', async () => {
+  assert.equal(
+    await sanitizeHtml('<a href="https://example.com">x</a>'),
+    '<a href="https://example.com" target="_blank" rel="noopener noreferrer">x</a>'
+  );
+});
+
+test('lazy-loads images and drops ones without a source', async () => {
+  assert.equal(
+    await sanitizeHtml('<img src="https://example.com/a.jpg" alt="a" onerror="alert(1)"><img alt="none">'),
+    '<img src="https://example.com/a.jpg" alt="a" loading="lazy" decoding="async">'
+  );
+});
+
+test('checks every srcset candidate', async () => {
+  assert.equal(
+    await sanitizeHtml('<img src="/a.jpg" srcset="/a.jpg 1x, javascript:alert(1) 2x">'),
+    '<img src="/a.jpg" loading="lazy" decoding="async">'
+  );
+});
+
+test('keeps approved embeds only, sandboxed and empty', async () => {
+  assert.equal(await sanitizeHtml('<iframe src="https://evil.example/embed"></iframe>'), '');
+  const kept = await sanitizeHtml('<iframe src="https://www.youtube.com/embed/abc"><img src=x onerror=alert(1)></iframe>');
+  assert.match(kept, /^<iframe src="https:\/\/www\.youtube\.com\/embed\/abc"[^>]* sandbox="allow-scripts allow-same-origin allow-presentation allow-popups"[^>]*><\/iframe>$/);
+});
+
+test('drops raw-text elements instead of unwrapping them', async () => {
+  const bypasses = [
+    '<xmp><script>alert(1)</script></xmp>',
+    '<noembed><img src=x onerror=alert(1)></noembed>',
+    '<noframes><img src=x onerror=alert(1)></noframes>',
+    '<noscript><img src=x onerror=alert(1)></noscript>',
+    '<textarea><img src=x onerror=alert(1)></textarea>',
+    '<title><img src=x onerror=alert(1)></title>'
+  ];
+  for (const html of bypasses) {
+    assert.equal(await sanitizeHtml(`<p>a</p>${html}<p>b</p>`), '<p>a</p><p>b</p>', html);
+  }
+});
+
+test('drops everything after plaintext', async () => {
+  assert.equal(await sanitizeHtml('<p>a</p><plaintext><img src=x onerror=alert(1)>'), '<p>a</p>');
+});
+
+test('removes comments', async () => {
+  assert.equal(await sanitizeHtml('<p>a<!-- <script>alert(1)</script> --></p>'), '<p>a</p>');
+});
+
+test('counts words and reading time', () => {
+  assert.equal(countWords('<p>one two</p><p>three &amp; four</p>'), 4);
+  assert.equal(readingTimeMinutes(0), 1);
+  assert.equal(readingTimeMinutes(460), 2);
+});
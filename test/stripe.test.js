@@ -0,0 +1,130 @@
+// test/stripe.test.js
+// Stripe-Signature checks and webhook retries against functions/_lib/stripe.js
+// and functions/api/stripe/webhook.js.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { hmacSha256Hex } from '../functions/_lib/signing.js';
+import { verifyStripeSignature } from '../functions/_lib/stripe.js';
+import { onRequestPost } from '../functions/api/stripe/webhook.js';
+
+const SECRET = 'whsec_test';
+const PAYLOAD = JSON.stringify({ id: 'evt_1', type: 'checkout.session.completed' });
+const NOW = Date.UTC(2026, 9, 19, 12);
+
+async function signatureHeader(payload, timestampSeconds, secret = SECRET) {
+  return `t=${timestampSeconds},v1=${await hmacSha256Hex(secret, `${timestampSeconds}.${payload}`)}`;
+}
+
+// Just enough of a KV namespace for orders, bookings and queued email
+function memoryKV() {
+  const entries = new Map();
+  return {
+    async get(key, type) {
+      if (!entries.has(key)) return null;
+      const value = entries.get(key).value;
+      return type === 'json' ? JSON.parse(value) : value;
+    },
+    async put(key, value, options = {}) {
+      entries.set(key, { value: String(value), metadata: options.metadata || null });
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async list({ prefix = '' } = {}) {
+      const keys = [...entries.keys()].filter(name => name.startsWith(prefix))
+        .map(name => ({ name, metadata: entries.get(name).metadata }));
+      return { keys, list_complete: true };
+    }
+  };
+}
+
+test('accepts a signature made with the webhook secret', async () => {
+  const header = await signatureHeader(PAYLOAD, NOW / 1000);
+  assert.equal(await verifyStripeSignature(PAYLOAD, header, SECRET, NOW), true);
+});
+
+test('rejects a body changed after signing', async () => {
+  const header = await signatureHeader(PAYLOAD, NOW / 1000);
+  const tampered = PAYLOAD.replace('evt_1', 'evt_2');
+  assert.equal(await verifyStripeSignature(tampered, header, SECRET, NOW), false);
+});
+
+test('rejects a timestamp outside the 300 second tolerance', async () => {
+  const stale = await signatureHeader(PAYLOAD, NOW / 1000 - 301);
+  const future = await signatureHeader(PAYLOAD, NOW / 1000 + 301);
+  assert.equal(await verifyStripeSignature(PAYLOAD, stale, SECRET, NOW), false);
+  assert.equal(await verifyStripeSignature(PAYLOAD, future, SECRET, NOW), false);
+});
+
+test('accepts a header where any of several v1 signatures matches', async () => {
+  const timestamp = NOW / 1000;
+  const valid = await hmacSha256Hex(SECRET, `${timestamp}.${PAYLOAD}`);
+  const rolled = await hmacSha256Hex('whsec_old', `${timestamp}.${PAYLOAD}`);
+  const header = `t=${timestamp},v1=${rolled},v1=${valid},v0=ignored`;
+  assert.equal(await verifyStripeSignature(PAYLOAD, header, SECRET, NOW), true);
+
+  const noneValid = `t=${timestamp},v1=${rolled},v1=${'0'.repeat(64)}`;
+  assert.equal(await verifyStripeSignature(PAYLOAD, noneValid, SECRET, NOW), false);
+});
+
+test('a repeated checkout.session.completed event sends the download link once', async (t) => {
+  const sent = [];
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = async (url, options) => {
+    assert.match(String(url), /resend/);
+    sent.push(JSON.parse(options.body));
+    return Response.json({ id: 'email_1' });
+  };
+  t.after(() => { globalThis.fetch = realFetch; });
+
+  const orderId = `order_${crypto.randomUUID()}`;
+  const env = {
+    STRIPE_WEBHOOK_SECRET: SECRET,
+    RESEND_API_KEY: 're_test',
+    DOWNLOAD_SIGNING_SECRET: 'download-secret',
+    BOOKINGS_KV: memoryKV(),
+    CONTACTS_KV: memoryKV()
+  };
+  await env.BOOKINGS_KV.put(orderId, JSON.stringify({
+    id: orderId,
+    bookingId: null,
+    productId: 'quick-guide-traditional-astrology',
+    amount: 1200,
+    currency: 'usd',
+    status: 'pending',
+    sessionId: 'cs_test_1',
+    email: null,
+    createdAt: new Date().toISOString()
+  }));
+
+  const payload = JSON.stringify({
+    id: 'evt_completed',
+    type: 'checkout.session.completed',
+    data: {
+      object: {
+        id: 'cs_test_1',
+        client_reference_id: orderId,
+        payment_status: 'paid',
+        amount_total: 1200,
+        customer_details: { email: 'buyer@example.com' }
+      }
+    }
+  });
+
+  // Stripe retries until it sees a 2xx, so the same event can arrive twice
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const request = new Request('https://dreamthewilderness.com/api/stripe/webhook', {
+      method: 'POST',
+      headers: { 'Stripe-Signature': await signatureHeader(payload, Math.floor(Date.now() / 1000)) },
+      body: payload
+    });
+    const response = await onRequestPost({ request, env });
+    assert.equal(response.status, 200);
+  }
+
+  assert.equal(sent.length, 1);
+  assert.deepEqual(sent[0].to, ['buyer@example.com']);
+  const order = await env.BOOKINGS_KV.get(orderId, 'json');
+  assert.equal(order.status, 'paid');
+});